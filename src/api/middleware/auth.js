@@ -1,32 +1,60 @@
+import crypto from 'crypto';
 import { verifyToken } from '../../utils/jwt.js';
 import { UnauthorizedError, ForbiddenError } from '../../utils/errors.js';
 import logger from '../../utils/logger.js';
-import { query } from '../../db/connection.js';
+import * as authSessionService from '../../services/authSessionService.js';
+import * as adminUserService from '../../services/adminUserService.js';
+import * as apiKeyService from '../../services/apiKeyService.js';
 
-export const requireApiToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  const expectedToken = process.env.BACKEND_API_TOKEN;
+// Constant-time check of the shared BACKEND_API_TOKEN (hashed first so lengths can't leak)
+const isLegacyApiToken = (token) => {
+  const expected = process.env.BACKEND_API_TOKEN;
+  if (!expected || process.env.ACCEPT_LEGACY_API_TOKEN === 'false') {
+    return false;
+  }
+
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+// Integration routes: an API key (Authorization: Bearer tbk_... or X-API-Key) with the given scope.
+// The legacy BACKEND_API_TOKEN still works (with every scope) until ACCEPT_LEGACY_API_TOKEN=false.
+export const requireApiKey = (scope) => async (req, res, next) => {
+  const token = req.headers['x-api-key'] || req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
-    throw new UnauthorizedError('Missing API token');
+    throw new UnauthorizedError('Missing API key');
+  }
+
+  let apiKey = await apiKeyService.authenticateApiKey(token);
+
+  if (!apiKey && isLegacyApiToken(token)) {
+    logger.warn({ path: req.originalUrl }, 'Request used the deprecated BACKEND_API_TOKEN - switch to an API key');
+    apiKey = { id: null, name: 'legacy', scopes: apiKeyService.SCOPES };
+  }
+
+  if (!apiKey) {
+    throw new UnauthorizedError('Invalid API key');
   }
 
-  if (token !== expectedToken) {
-    throw new UnauthorizedError('Invalid API token');
+  if (!apiKey.scopes.includes(scope)) {
+    throw new ForbiddenError(`API key lacks the ${scope} scope`);
   }
 
-  // Set a dummy user for API requests
+  // System user for API operations
+  req.apiKey = apiKey;
   req.user = {
     type: 'api',
-    source: 'rolebot',
-    discord_id: '0', // System user for API operations
-    email: 'system@rolebot'
+    source: apiKey.name,
+    discord_id: '0',
+    email: `system@${apiKey.name}`
   };
 
   next();
 };
 
-export const requireAuth = (req, res, next) => {
+// Verified, unrevoked JWT payload from the Authorization header
+const authenticate = async (req) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
@@ -38,30 +66,59 @@ export const requireAuth = (req, res, next) => {
     throw new UnauthorizedError('Invalid or expired token');
   }
 
-  req.user = decoded;
+  if (await authSessionService.isTokenRevoked(decoded)) {
+    throw new UnauthorizedError('Token has been revoked');
+  }
+
+  return decoded;
+};
+
+export const requireAuth = async (req, res, next) => {
+  req.user = await authenticate(req);
   next();
 };
 
+// Admin routes need an admin session token (from /api/auth/admin/discord) for someone in admin_users.
+// req.admin carries their role for requirePermission.
 export const requireAdmin = async (req, res, next) => {
-  requireAuth(req, res, () => {
-    // Check if user is admin
-    const adminDiscordIds = (process.env.ADMIN_DISCORD_IDS || '').split(',').map(id => id.trim());
+  req.user = await authenticate(req);
 
-    if (!adminDiscordIds.includes(req.user.discord_id)) {
-      throw new ForbiddenError('Admin access required');
-    }
+  const admin = req.user.type === 'admin' ? await adminUserService.getAdmin(req.user.discord_id) : null;
+  if (!admin) {
+    throw new ForbiddenError('Admin access required');
+  }
 
-    next();
-  });
+  req.admin = admin;
+  next();
 };
 
-export const optionalAuth = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+// Use after requireAdmin
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !adminUserService.hasPermission(req.admin.role, permission)) {
+    throw new ForbiddenError(`Requires the ${permission} permission`);
+  }
+
+  next();
+};
+
+// Routes open to both admins (with the permission) and integrations (API key with the scope).
+// An X-API-Key header or a tbk_ bearer token is treated as an API key, anything else as an admin token.
+export const requireAdminOrApiKey = (permission, scope = permission) => async (req, res, next) => {
+  const bearer = req.headers.authorization?.replace('Bearer ', '');
+
+  if (req.headers['x-api-key'] || bearer?.startsWith('tbk_')) {
+    return requireApiKey(scope)(req, res, next);
+  }
+
+  await requireAdmin(req, res, () => requirePermission(permission)(req, res, next));
+};
 
-  if (token) {
-    const decoded = verifyToken(token);
-    if (decoded) {
-      req.user = decoded;
+export const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization) {
+    try {
+      req.user = await authenticate(req);
+    } catch (err) {
+      logger.debug({ errorMessage: err.message }, 'Ignoring invalid optional auth token');
     }
   }
 
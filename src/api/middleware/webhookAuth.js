@@ -30,11 +30,12 @@ export const webhookIdempotency = async (req, res, next) => {
   }
 };
 
-export const markWebhookProcessed = async (stripeEventId) => {
+export const markWebhookProcessed = async (stripeEventId, eventType) => {
   try {
     await query(
-      'INSERT INTO processed_webhooks (stripe_event_id) VALUES ($1)',
-      [stripeEventId]
+      `INSERT INTO processed_webhooks (stripe_event_id, event_type) VALUES ($1, $2)
+       ON CONFLICT (stripe_event_id) DO NOTHING`,
+      [stripeEventId, eventType]
     );
   } catch (err) {
     logger.error({ err, stripeEventId }, 'Failed to mark webhook as processed');
@@ -1,9 +1,26 @@
 import express from 'express';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { requireAdmin, requireApiToken } from '../middleware/auth.js';
+import { requireAdmin, requireAdminOrApiKey, requireApiKey, requirePermission } from '../middleware/auth.js';
 import * as auditLogService from '../../services/auditLogService.js';
 import * as gracePeriodService from '../../services/gracePeriodService.js';
-import * as webhookService from '../../services/webhookService.js';
+import * as stripeEventService from '../../services/stripeEventService.js';
+import * as stripeEventQueue from '../../queues/stripeEventQueue.js';
+import * as stripeBackfillService from '../../services/stripeBackfillService.js';
+import * as refundService from '../../services/refundService.js';
+import * as dunningService from '../../services/dunningService.js';
+import * as planService from '../../services/planService.js';
+import * as giftService from '../../services/giftService.js';
+import * as entitlementService from '../../services/entitlementService.js';
+import * as membershipService from '../../services/membershipService.js';
+import * as reconciliationService from '../../services/reconciliationService.js';
+import * as doctorService from '../../services/doctorService.js';
+import * as pauseService from '../../services/pauseService.js';
+import * as reportService from '../../services/reportService.js';
+import * as adminUserService from '../../services/adminUserService.js';
+import * as apiKeyService from '../../services/apiKeyService.js';
+import * as webhookEndpointService from '../../services/webhookEndpointService.js';
+import * as webhookDeliveryService from '../../services/webhookDeliveryService.js';
+import * as webhookDeliveryQueue from '../../queues/webhookDeliveryQueue.js';
 import logger from '../../utils/logger.js';
 import { query } from '../../db/connection.js';
 import { ValidationError, NotFoundError } from '../../utils/errors.js';
@@ -11,8 +28,8 @@ import { ValidationError, NotFoundError } from '../../utils/errors.js';
 const router = express.Router();
 
 // POST /api/admin/subscriptions/gift - Grant a gift subscription to a user
-// Uses API token auth (not JWT) for rolebot integration
-router.post('/subscriptions/gift', requireApiToken, asyncHandler(async (req, res) => {
+// Uses API key auth (gifts:write scope, not JWT) for rolebot integration
+router.post('/subscriptions/gift', requireApiKey('gifts:write'), asyncHandler(async (req, res) => {
   const { discordId, duration, reason } = req.body;
 
   // Validate input
@@ -20,111 +37,24 @@ router.post('/subscriptions/gift', requireApiToken, asyncHandler(async (req, res
     throw new ValidationError('discordId is required');
   }
 
-  // Parse duration (e.g., "1_month", "3_months", "1_year")
-  const durationMap = {
-    '1_month': 30,
-    '3_months': 90,
-    '6_months': 180,
-    '1_year': 365,
-  };
-
-  const days = durationMap[duration];
-  if (!days) {
-    throw new ValidationError('Invalid duration. Must be one of: 1_month, 3_months, 6_months, 1_year');
-  }
+  // Throws ValidationError for unknown durations (e.g. "1_month", "3_months", "1_year")
+  giftService.getGiftDays(duration);
 
   try {
-    // Find or create user
-    let userResult = await query(
-      'SELECT * FROM users WHERE discord_id = $1',
-      [discordId]
-    );
-
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + days);
-
-    let userId;
-    if (userResult.rows.length === 0) {
-      // Create new user with minimal info
-      const newUserResult = await query(
-        `INSERT INTO users (discord_id, tier, email, subscription_end_date)
-         VALUES ($1, $2, $3, $4)
-         RETURNING *`,
-        [discordId, 'paid', `gift-${discordId}@triboar.guild`, expiresAt]
-      );
-      userId = newUserResult.rows[0].id;
-    } else {
-      userId = userResult.rows[0].id;
-      // Update existing user to paid tier with expiration date
-      await query(
-        'UPDATE users SET tier = $1, subscription_end_date = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
-        ['paid', expiresAt, userId]
-      );
-    }
-
-    // Create admin override record
-    await query(
-      `INSERT INTO admin_overrides
-       (user_id, admin_discord_id, override_type, reason, expires_at, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [
-        userId,
-        req.user?.discord_id || null,
-        'tier_change',
-        reason || `Gift subscription: ${duration}`,
-        expiresAt,
-        JSON.stringify({
-          originalTier: userResult.rows[0]?.tier || 'free',
-          newTier: 'paid',
-          duration,
-          days,
-          giftedBy: req.user?.email || 'admin'
-        })
-      ]
-    );
-
-    // Remove from grace period if they're in one
-    try {
-      await gracePeriodService.removeFromGracePeriod(userId, discordId);
-    } catch (err) {
-      // Ignore if not in grace period
-      logger.debug({ userId, discordId }, 'User not in grace period (expected for new gifts)');
-    }
-
-    // Log audit event
-    await auditLogService.logEvent(
-      userId,
-      'gift_subscription.granted',
-      {
-        discordId,
-        duration,
-        days,
-        expiresAt,
-        reason: reason || 'Gift subscription'
-      },
-      {
-        action: 'grant',
-        resourceType: 'subscription'
-      }
-    );
-
-    // Trigger webhook to notify rolebot
-    await webhookService.sendWebhook('subscription.activated', {
-      discordId,
-      source: 'gift_subscription',
-      expiresAt: expiresAt.toISOString()
+    const grant = await giftService.grantGiftSubscription(discordId, duration, {
+      reason,
+      actorDiscordId: req.user?.discord_id || null,
+      giftedBy: req.user?.email || 'admin',
     });
 
-    logger.info({ discordId, userId, duration, expiresAt }, 'Gift subscription granted');
-
     res.json({
       success: true,
       message: `Gift subscription granted for ${duration}`,
       user: {
-        id: userId,
+        id: grant.userId,
         discordId,
-        tier: 'paid',
-        expiresAt
+        tier: grant.tier,
+        expiresAt: grant.expiresAt
       }
     });
 
@@ -134,11 +64,10 @@ router.post('/subscriptions/gift', requireApiToken, asyncHandler(async (req, res
   }
 }));
 
-// All admin routes require authentication
-router.use(requireAdmin);
+// Read-only member lookups also accept an API key with the members:read scope (e.g. RoleBot)
 
 // GET /api/admin/users/search - Search users
-router.get('/users/search', asyncHandler(async (req, res) => {
+router.get('/users/search', requireAdminOrApiKey('members:read'), asyncHandler(async (req, res) => {
   const { email, discord_id, limit = 20, offset = 0 } = req.query;
 
   if (!email && !discord_id) {
@@ -182,7 +111,7 @@ router.get('/users/search', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/admin/users/:userId - Get user details
-router.get('/users/:userId', asyncHandler(async (req, res) => {
+router.get('/users/:userId', requireAdminOrApiKey('members:read'), asyncHandler(async (req, res) => {
   const { userId } = req.params;
 
   try {
@@ -205,9 +134,25 @@ router.get('/users/:userId', asyncHandler(async (req, res) => {
       [userId]
     );
 
+    // Get disputes (chargebacks) and failed-payment progress
+    const disputes = await refundService.getUserDisputes(userId);
+    const dunning = await dunningService.getDunningState(userId);
+
+    // Membership time from every source (Stripe, gifts, comps, lifetime)
+    const entitlements = await entitlementService.getUserEntitlements(userId);
+    const pauses = await pauseService.getPauses(userId);
+
     res.json({
       user,
+      membership: entitlementService.computeMembership(entitlements),
+      entitlements,
       subscription: subResult.rows[0] || null,
+      disputes,
+      dunning,
+      pauses,
+      flags: {
+        disputed: disputes.some(d => !['won', 'warning_closed'].includes(d.status)),
+      },
       recentLogs: logsResult.rows,
     });
   } catch (err) {
@@ -216,8 +161,241 @@ router.get('/users/:userId', asyncHandler(async (req, res) => {
   }
 }));
 
+// GET /api/admin/users/:userId/entitlements - Membership ledger for a user
+router.get('/users/:userId/entitlements', requireAdminOrApiKey('members:read'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const entitlements = await entitlementService.getUserEntitlements(userId);
+
+    res.json({
+      membership: entitlementService.computeMembership(entitlements),
+      entitlements,
+    });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get entitlements');
+    throw err;
+  }
+}));
+
+// All admin routes require an admin; each route also checks its permission
+router.use(requireAdmin);
+
+// GET /api/admin/me - The signed-in admin's role and permissions
+router.get('/me', (req, res) => {
+  res.json({
+    discordId: req.admin.discord_id,
+    role: req.admin.role,
+    permissions: adminUserService.getPermissions(req.admin.role),
+  });
+});
+
+// GET /api/admin/admins - Admins and their roles
+router.get('/admins', requirePermission('admins:manage'), asyncHandler(async (req, res) => {
+  try {
+    const admins = await adminUserService.listAdmins();
+    res.json({ admins, roles: adminUserService.ROLES });
+  } catch (err) {
+    logger.error({ err }, 'Failed to list admins');
+    throw err;
+  }
+}));
+
+// PUT /api/admin/admins/:discordId - Add an admin or change their role
+router.put('/admins/:discordId', requirePermission('admins:manage'), asyncHandler(async (req, res) => {
+  const { discordId } = req.params;
+  const { role, note } = req.body;
+
+  try {
+    const admin = await adminUserService.setAdminRole(discordId, role, { note, actor: req.user });
+    res.json({ success: true, admin });
+  } catch (err) {
+    logger.error({ err, discordId }, 'Failed to set admin role');
+    throw err;
+  }
+}));
+
+// DELETE /api/admin/admins/:discordId - Remove an admin (ends their sessions)
+router.delete('/admins/:discordId', requirePermission('admins:manage'), asyncHandler(async (req, res) => {
+  const { discordId } = req.params;
+
+  try {
+    const admin = await adminUserService.removeAdmin(discordId, { actor: req.user });
+    res.json({ success: true, admin });
+  } catch (err) {
+    logger.error({ err, discordId }, 'Failed to remove admin');
+    throw err;
+  }
+}));
+
+// GET /api/admin/api-keys?include_revoked=true - Integration API keys (never the keys themselves)
+router.get('/api-keys', requirePermission('api_keys:manage'), asyncHandler(async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listApiKeys({ includeRevoked: req.query.include_revoked === 'true' });
+    res.json({ apiKeys, scopes: apiKeyService.SCOPES });
+  } catch (err) {
+    logger.error({ err }, 'Failed to list API keys');
+    throw err;
+  }
+}));
+
+// POST /api/admin/api-keys - Create an API key (the key is only shown in this response)
+router.post('/api-keys', requirePermission('api_keys:manage'), asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  try {
+    const { key, apiKey } = await apiKeyService.createApiKey({ name, scopes, expiresAt, actor: req.user });
+    res.status(201).json({ success: true, key, apiKey });
+  } catch (err) {
+    logger.error({ err, name }, 'Failed to create API key');
+    throw err;
+  }
+}));
+
+// POST /api/admin/api-keys/:id/rotate - New key with the same name and scopes; the old one works for overlapHours (default 24)
+router.post('/api-keys/:id/rotate', requirePermission('api_keys:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { overlapHours } = req.body;
+
+  try {
+    const rotated = await apiKeyService.rotateApiKey(id, { overlapHours, actor: req.user });
+    res.json({ success: true, ...rotated });
+  } catch (err) {
+    logger.error({ err, apiKeyId: id }, 'Failed to rotate API key');
+    throw err;
+  }
+}));
+
+// POST /api/admin/api-keys/:id/revoke - Revoke an API key immediately
+router.post('/api-keys/:id/revoke', requirePermission('api_keys:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const apiKey = await apiKeyService.revokeApiKey(id, { actor: req.user });
+    res.json({ success: true, apiKey });
+  } catch (err) {
+    logger.error({ err, apiKeyId: id }, 'Failed to revoke API key');
+    throw err;
+  }
+}));
+
+// GET /api/admin/webhook-endpoints - Where outgoing webhooks are sent (never the secrets)
+router.get('/webhook-endpoints', requirePermission('webhooks:manage'), asyncHandler(async (req, res) => {
+  try {
+    const endpoints = await webhookEndpointService.listEndpoints();
+    res.json({ endpoints });
+  } catch (err) {
+    logger.error({ err }, 'Failed to list webhook endpoints');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhook-endpoints - Add an endpoint (the signing secret is only shown in this response)
+router.post('/webhook-endpoints', requirePermission('webhooks:manage'), asyncHandler(async (req, res) => {
+  const { name, url } = req.body;
+
+  try {
+    const { endpoint, secret } = await webhookEndpointService.createEndpoint({ name, url, actor: req.user });
+    res.status(201).json({ success: true, endpoint, secret });
+  } catch (err) {
+    logger.error({ err, name }, 'Failed to create webhook endpoint');
+    throw err;
+  }
+}));
+
+// PUT /api/admin/webhook-endpoints/:id - Change an endpoint's name, URL or enabled flag
+router.put('/webhook-endpoints/:id', requirePermission('webhooks:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, url, enabled } = req.body;
+
+  try {
+    const endpoint = await webhookEndpointService.updateEndpoint(id, { name, url, enabled }, { actor: req.user });
+    res.json({ success: true, endpoint });
+  } catch (err) {
+    logger.error({ err, endpointId: id }, 'Failed to update webhook endpoint');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhook-endpoints/:id/rotate-secret - New signing secret; the old one also signs for overlapHours (default 24)
+router.post('/webhook-endpoints/:id/rotate-secret', requirePermission('webhooks:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { overlapHours } = req.body;
+
+  try {
+    const rotated = await webhookEndpointService.rotateSecret(id, { overlapHours, actor: req.user });
+    res.json({ success: true, ...rotated });
+  } catch (err) {
+    logger.error({ err, endpointId: id }, 'Failed to rotate webhook endpoint secret');
+    throw err;
+  }
+}));
+
+// DELETE /api/admin/webhook-endpoints/:id - Stop sending webhooks to an endpoint
+router.delete('/webhook-endpoints/:id', requirePermission('webhooks:manage'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const endpoint = await webhookEndpointService.deleteEndpoint(id, { actor: req.user });
+    res.json({ success: true, endpoint });
+  } catch (err) {
+    logger.error({ err, endpointId: id }, 'Failed to delete webhook endpoint');
+    throw err;
+  }
+}));
+
+// POST /api/admin/users/:userId/comp - Comp membership time (stacks after existing time) or lifetime
+router.post('/users/:userId/comp', requirePermission('billing:write'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { days, lifetime = false, reason } = req.body;
+
+  if (!reason) {
+    throw new ValidationError('reason required');
+  }
+
+  if (!lifetime && (!Number.isInteger(days) || days <= 0)) {
+    throw new ValidationError('days must be a positive integer (or set lifetime: true)');
+  }
+
+  try {
+    const { entitlement, membership } = await entitlementService.compMembership(userId, {
+      days,
+      lifetime,
+      reason,
+      actorDiscordId: req.user.discord_id,
+    });
+
+    res.json({ success: true, entitlement, membership });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to comp membership');
+    throw err;
+  }
+}));
+
+// POST /api/admin/entitlements/:id/revoke - Revoke a ledger entry (gift, comp, lifetime, Stripe period)
+router.post('/entitlements/:id/revoke', requirePermission('billing:write'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ValidationError('reason required');
+  }
+
+  try {
+    const result = await entitlementService.revokeEntitlement(id, {
+      revokedBy: req.user.discord_id,
+      reason,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error({ err, entitlementId: id }, 'Failed to revoke entitlement');
+    throw err;
+  }
+}));
+
 // POST /api/admin/roles/grant - Manually grant paid role
-router.post('/roles/grant', asyncHandler(async (req, res) => {
+router.post('/roles/grant', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { discord_id, reason = 'Admin override' } = req.body;
 
   if (!discord_id) {
@@ -255,7 +433,7 @@ router.post('/roles/grant', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/admin/roles/remove - Manually remove paid role
-router.post('/roles/remove', asyncHandler(async (req, res) => {
+router.post('/roles/remove', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { discord_id, reason = 'Admin override' } = req.body;
 
   if (!discord_id) {
@@ -293,7 +471,7 @@ router.post('/roles/remove', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/admin/reconcile - Sync a user's Discord roles to Stripe state
-router.post('/reconcile', asyncHandler(async (req, res) => {
+router.post('/reconcile', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { discord_id } = req.body;
 
   if (!discord_id) {
@@ -342,7 +520,7 @@ router.post('/reconcile', asyncHandler(async (req, res) => {
 }));
 
 // GET /api/admin/audit-logs - Get audit logs
-router.get('/audit-logs', asyncHandler(async (req, res) => {
+router.get('/audit-logs', requirePermission('reports:read'), asyncHandler(async (req, res) => {
   const { user_id, event_type, start_date, end_date, limit = 100, offset = 0 } = req.query;
 
   const filters = {};
@@ -360,22 +538,25 @@ router.get('/audit-logs', asyncHandler(async (req, res) => {
   }
 }));
 
-// GET /api/admin/subscribers - Get all active subscribers
-router.get('/subscribers', asyncHandler(async (req, res) => {
+// GET /api/admin/subscribers - Get all active members (Stripe, gifted, comped, lifetime)
+router.get('/subscribers', requirePermission('members:read'), asyncHandler(async (req, res) => {
   try {
     const result = await query(
-      `SELECT u.id, u.discord_id, s.current_period_end
+      `SELECT u.id, u.discord_id, u.tier, u.subscription_end_date, u.lifetime
        FROM users u
-       JOIN subscriptions s ON u.id = s.user_id
-       WHERE s.status IN ('active', 'trialing')
-       ORDER BY u.created_at DESC`
+       WHERE u.tier = ANY($1)
+         AND (u.lifetime OR u.subscription_end_date > NOW())
+       ORDER BY u.created_at DESC`,
+      [membershipService.MEMBER_STATES]
     );
 
     const subscribers = result.rows.map(row => ({
       userId: row.id,
       discordId: row.discord_id,
-      expiresAt: row.current_period_end,
-      isActive: new Date(row.current_period_end) > new Date(),
+      status: row.tier,
+      expiresAt: row.lifetime ? null : row.subscription_end_date,
+      lifetime: row.lifetime,
+      isActive: true,
     }));
 
     res.json({ subscribers });
@@ -385,8 +566,25 @@ router.get('/subscribers', asyncHandler(async (req, res) => {
   }
 }));
 
+// GET /api/admin/dunning - Get users with failed payments (at risk of dropping into grace)
+router.get('/dunning', requirePermission('members:read'), asyncHandler(async (req, res) => {
+  const { status = 'active' } = req.query;
+
+  if (!['active', 'recovered', 'exhausted'].includes(status)) {
+    throw new ValidationError('status must be one of: active, recovered, exhausted');
+  }
+
+  try {
+    const dunningUsers = await dunningService.getDunningUsers(status);
+    res.json({ dunningUsers });
+  } catch (err) {
+    logger.error({ err }, 'Failed to get dunning users');
+    throw err;
+  }
+}));
+
 // GET /api/admin/grace-period - Get users in grace period
-router.get('/grace-period', asyncHandler(async (req, res) => {
+router.get('/grace-period', requirePermission('members:read'), asyncHandler(async (req, res) => {
   try {
     const gracePeriodUsers = await gracePeriodService.getGracePeriodUsers();
     res.json({ gracePeriodUsers });
@@ -397,7 +595,7 @@ router.get('/grace-period', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/admin/grace-period/add - Move user to grace period
-router.post('/grace-period/add', asyncHandler(async (req, res) => {
+router.post('/grace-period/add', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { userId, discordId } = req.body;
 
   if (!userId || !discordId) {
@@ -405,8 +603,11 @@ router.post('/grace-period/add', asyncHandler(async (req, res) => {
   }
 
   try {
-    await gracePeriodService.moveToGracePeriod(userId, discordId);
-    await webhookService.sendWebhook('grace_period.started', { discordId, userId });
+    // Sends RoleBot grace_period.started
+    await membershipService.transition(userId, 'grace', {
+      reason: 'Admin moved user to grace period',
+      actor: req.user.discord_id,
+    });
 
     res.json({ success: true, message: 'User moved to grace period' });
   } catch (err) {
@@ -416,7 +617,7 @@ router.post('/grace-period/add', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/admin/grace-period/remove - Remove from grace period (renewed)
-router.post('/grace-period/remove', asyncHandler(async (req, res) => {
+router.post('/grace-period/remove', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { userId, discordId } = req.body;
 
   if (!userId || !discordId) {
@@ -424,8 +625,11 @@ router.post('/grace-period/remove', asyncHandler(async (req, res) => {
   }
 
   try {
-    await gracePeriodService.removeFromGracePeriod(userId, discordId);
-    await webhookService.sendWebhook('subscription.renewed', { discordId, userId });
+    // Sends RoleBot subscription.renewed
+    await membershipService.transition(userId, 'paid', {
+      reason: 'Admin removed user from grace period (renewed)',
+      actor: req.user.discord_id,
+    });
 
     res.json({ success: true, message: 'User removed from grace period (renewed)' });
   } catch (err) {
@@ -435,7 +639,7 @@ router.post('/grace-period/remove', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/admin/grace-period/expire - Expire grace period (not renewed)
-router.post('/grace-period/expire', asyncHandler(async (req, res) => {
+router.post('/grace-period/expire', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { userId, discordId } = req.body;
 
   if (!userId || !discordId) {
@@ -443,8 +647,11 @@ router.post('/grace-period/expire', asyncHandler(async (req, res) => {
   }
 
   try {
-    await gracePeriodService.expireGracePeriod(userId, discordId);
-    await webhookService.sendWebhook('grace_period.expired', { discordId, userId });
+    // Sends RoleBot grace_period.expired
+    await membershipService.transition(userId, 'free', {
+      reason: 'Admin expired grace period',
+      actor: req.user.discord_id,
+    });
 
     res.json({ success: true, message: 'Grace period expired' });
   } catch (err) {
@@ -453,8 +660,373 @@ router.post('/grace-period/expire', asyncHandler(async (req, res) => {
   }
 }));
 
+// GET /api/admin/paused - Members currently on leave
+router.get('/paused', requirePermission('members:read'), asyncHandler(async (req, res) => {
+  try {
+    const pausedUsers = await pauseService.getPausedMembers();
+    res.json({ pausedUsers });
+  } catch (err) {
+    logger.error({ err }, 'Failed to get paused members');
+    throw err;
+  }
+}));
+
+// POST /api/admin/users/:userId/pause - Pause a member's subscription
+router.post('/users/:userId/pause', requirePermission('members:write'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { resumesAt, reason } = req.body;
+
+  if (!reason) {
+    throw new ValidationError('reason is required');
+  }
+
+  try {
+    const pause = await pauseService.pauseMembership(userId, {
+      resumesAt,
+      reason,
+      requestedBy: req.user.discord_id,
+    });
+
+    res.json({ success: true, pause });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to pause membership');
+    throw err;
+  }
+}));
+
+// POST /api/admin/users/:userId/resume - End a member's pause now
+router.post('/users/:userId/resume', requirePermission('members:write'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const pause = await pauseService.resumeMembership(userId, { requestedBy: req.user.discord_id });
+    res.json({ success: true, pause });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to resume membership');
+    throw err;
+  }
+}));
+
+// GET /api/admin/reports/churn?since=&until= - Churn for a date range (pauses reported separately)
+router.get('/reports/churn', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { since, until } = req.query;
+
+  try {
+    const report = await reportService.getChurnReport({ since, until });
+    res.json({ report });
+  } catch (err) {
+    logger.error({ err, since, until }, 'Failed to get churn report');
+    throw err;
+  }
+}));
+
+// GET /api/admin/reports/cancellations?since=&until= - Cancellation reasons and retention offer results
+router.get('/reports/cancellations', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { since, until } = req.query;
+
+  try {
+    const report = await auditLogService.getCancellationReasonSummary({ startDate: since, endDate: until });
+    res.json({ report });
+  } catch (err) {
+    logger.error({ err, since, until }, 'Failed to get cancellation report');
+    throw err;
+  }
+}));
+
+// GET /api/admin/webhooks/dead-letters - List Stripe events that exhausted their retries
+router.get('/webhooks/dead-letters', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { include_replayed, limit = 50, offset = 0 } = req.query;
+
+  try {
+    const result = await stripeEventService.getDeadLetters(
+      { includeReplayed: include_replayed === 'true' },
+      parseInt(limit),
+      parseInt(offset)
+    );
+    res.json(result);
+  } catch (err) {
+    logger.error({ err }, 'Failed to get dead-lettered webhooks');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhooks/dead-letters/:id/replay - Re-queue a dead-lettered Stripe event
+router.post('/webhooks/dead-letters/:id/replay', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deadLetter = await stripeEventService.prepareReplay(id, req.user.discord_id);
+    await stripeEventQueue.enqueueStripeEvent(deadLetter.stripe_event_id);
+
+    await auditLogService.logEvent(
+      null,
+      'admin.webhook_replayed',
+      { deadLetterId: id, eventType: deadLetter.event_type },
+      { action: 'replay', resourceType: 'stripe_event', resourceId: deadLetter.stripe_event_id, stripeEventId: deadLetter.stripe_event_id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Event queued for replay',
+      stripeEventId: deadLetter.stripe_event_id,
+    });
+  } catch (err) {
+    logger.error({ err, deadLetterId: id }, 'Failed to replay dead-lettered webhook');
+    throw err;
+  }
+}));
+
+// GET /api/admin/webhook-deliveries?status=failed,dead&endpoint_id=&limit=50&offset=0 - Outgoing webhook deliveries
+router.get('/webhook-deliveries', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { status = 'failed,dead', endpoint_id, limit = 50, offset = 0 } = req.query;
+
+  try {
+    const result = await webhookDeliveryService.getDeliveries(
+      { statuses: status.split(','), endpointId: endpoint_id || null },
+      parseInt(limit),
+      parseInt(offset)
+    );
+    res.json(result);
+  } catch (err) {
+    logger.error({ err }, 'Failed to get webhook deliveries');
+    throw err;
+  }
+}));
+
+// GET /api/admin/webhook-deliveries/:id - One delivery with its payload and every attempt
+router.get('/webhook-deliveries/:id', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const delivery = await webhookDeliveryService.getDelivery(id);
+    res.json({ delivery });
+  } catch (err) {
+    logger.error({ err, deliveryId: id }, 'Failed to get webhook delivery');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhook-deliveries/redeliver - Re-queue dead deliveries: deliveryIds, or all (optionally one endpointId)
+router.post('/webhook-deliveries/redeliver', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { deliveryIds = null, endpointId = null } = req.body;
+
+  try {
+    const ids = await webhookDeliveryService.prepareBulkRedelivery({ deliveryIds, endpointId }, req.user.discord_id);
+    await webhookDeliveryQueue.enqueueDeliveries(ids);
+
+    await auditLogService.logEvent(
+      null,
+      'admin.webhook_bulk_redelivered',
+      { count: ids.length, endpointId, requested: deliveryIds?.length || null },
+      { action: 'redeliver', resourceType: 'webhook_delivery' }
+    );
+
+    res.json({ success: true, message: `${ids.length} deliveries queued for redelivery`, deliveryIds: ids });
+  } catch (err) {
+    logger.error({ err, endpointId }, 'Failed to redeliver webhooks');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhook-deliveries/:id/redeliver - Re-queue one dead delivery
+router.post('/webhook-deliveries/:id/redeliver', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const delivery = await webhookDeliveryService.prepareRedelivery(id, req.user.discord_id);
+    await webhookDeliveryQueue.enqueueDelivery(delivery.id);
+
+    await auditLogService.logEvent(
+      null,
+      'admin.webhook_redelivered',
+      { deliveryId: id, webhookEventId: delivery.webhook_event_id, endpointId: delivery.endpoint_id },
+      { action: 'redeliver', resourceType: 'webhook_delivery', resourceId: id }
+    );
+
+    res.json({ success: true, message: 'Delivery queued for redelivery', deliveryId: id });
+  } catch (err) {
+    logger.error({ err, deliveryId: id }, 'Failed to redeliver webhook');
+    throw err;
+  }
+}));
+
+// POST /api/admin/webhooks/backfill - Replay Stripe events missed since a point in time
+// Dry run by default; pass dryRun: false to apply
+router.post('/webhooks/backfill', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { since, until, types, dryRun = true } = req.body;
+
+  if (!since) {
+    throw new ValidationError('since is required');
+  }
+
+  if (types !== undefined && !Array.isArray(types)) {
+    throw new ValidationError('types must be an array of Stripe event types');
+  }
+
+  try {
+    const report = await stripeBackfillService.backfillEvents({
+      since,
+      until,
+      types,
+      dryRun: dryRun !== false,
+    });
+
+    if (!report.dryRun) {
+      await auditLogService.logEvent(
+        null,
+        'admin.webhook_backfill',
+        {
+          since: report.since,
+          until: report.until,
+          processed: report.processed,
+          failed: report.failed,
+          adminDiscordId: req.user.discord_id,
+        },
+        { action: 'backfill', resourceType: 'stripe_event' }
+      );
+    }
+
+    res.json({ success: true, report });
+  } catch (err) {
+    logger.error({ err, since }, 'Failed to backfill Stripe events');
+    throw err;
+  }
+}));
+
+// GET /api/admin/reconciliation - Recent Stripe reconciliation runs
+router.get('/reconciliation', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  try {
+    const runs = await reconciliationService.getRuns(parseInt(limit), parseInt(offset));
+    res.json({ runs });
+  } catch (err) {
+    logger.error({ err }, 'Failed to get reconciliation runs');
+    throw err;
+  }
+}));
+
+// GET /api/admin/reconciliation/:runId - Drift report for one run
+router.get('/reconciliation/:runId', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const { runId } = req.params;
+
+  try {
+    const run = await reconciliationService.getRun(runId);
+    res.json({ run });
+  } catch (err) {
+    logger.error({ err, runId }, 'Failed to get reconciliation run');
+    throw err;
+  }
+}));
+
+// POST /api/admin/reconciliation/run - Reconcile Stripe with the database now
+// Report only by default; pass autoFix: true to apply Stripe's state
+router.post('/reconciliation/run', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { autoFix = false } = req.body;
+
+  try {
+    const run = await reconciliationService.runReconciliation({
+      autoFix: autoFix === true,
+      triggeredBy: `admin:${req.user.discord_id}`,
+    });
+
+    res.json({ success: true, run });
+  } catch (err) {
+    logger.error({ err }, 'Failed to run reconciliation');
+    throw err;
+  }
+}));
+
+// GET /api/admin/doctor?checks=a,b - List local database invariant violations
+router.get('/doctor', requirePermission('reports:read'), asyncHandler(async (req, res) => {
+  const checks = req.query.checks ? req.query.checks.split(',') : null;
+
+  try {
+    const report = await doctorService.runChecks({ checks });
+    res.json(report);
+  } catch (err) {
+    logger.error({ err }, 'Failed to run doctor checks');
+    throw err;
+  }
+}));
+
+// POST /api/admin/doctor/fix - Apply the suggested fixes (requires confirm: true)
+router.post('/doctor/fix', requirePermission('operations:write'), asyncHandler(async (req, res) => {
+  const { checks = null, confirm } = req.body;
+
+  if (confirm !== true) {
+    throw new ValidationError('confirm: true is required to apply fixes');
+  }
+
+  if (checks !== null && !Array.isArray(checks)) {
+    throw new ValidationError('checks must be an array of check names');
+  }
+
+  try {
+    const result = await doctorService.applyFixes({ checks, actorDiscordId: req.user.discord_id });
+    const report = await doctorService.runChecks({ checks });
+
+    res.json({ success: true, ...result, remaining: report });
+  } catch (err) {
+    logger.error({ err }, 'Failed to apply doctor fixes');
+    throw err;
+  }
+}));
+
+// GET /api/admin/plans - List membership plans
+router.get('/plans', requirePermission('members:read'), asyncHandler(async (req, res) => {
+  try {
+    const plans = await planService.listPlans({ includeInactive: true });
+    res.json({ plans });
+  } catch (err) {
+    logger.error({ err }, 'Failed to get plans');
+    throw err;
+  }
+}));
+
+// PUT /api/admin/plans/:tierKey - Create or update a membership plan
+router.put('/plans/:tierKey', requirePermission('billing:write'), asyncHandler(async (req, res) => {
+  const { tierKey } = req.params;
+  const { displayName, stripePriceId, discordRoleIds = [], rank = 0, isActive = true } = req.body;
+
+  if (!/^[a-z0-9_-]+$/.test(tierKey)) {
+    throw new ValidationError('tierKey may only contain lowercase letters, numbers, - and _');
+  }
+
+  if (!displayName || !stripePriceId) {
+    throw new ValidationError('displayName and stripePriceId required');
+  }
+
+  if (!Array.isArray(discordRoleIds) || !discordRoleIds.every(id => typeof id === 'string')) {
+    throw new ValidationError('discordRoleIds must be an array of role ID strings');
+  }
+
+  try {
+    const plan = await planService.upsertPlan({
+      tierKey,
+      displayName,
+      stripePriceId,
+      discordRoleIds,
+      rank: parseInt(rank),
+      isActive: isActive !== false,
+    });
+
+    await auditLogService.logEvent(
+      null,
+      'admin.plan_updated',
+      { tierKey, stripePriceId, discordRoleIds, adminDiscordId: req.user.discord_id },
+      { action: 'update', resourceType: 'plan', resourceId: tierKey }
+    );
+
+    res.json({ success: true, plan });
+  } catch (err) {
+    logger.error({ err, tierKey }, 'Failed to update plan');
+    throw err;
+  }
+}));
+
 // PUT /api/admin/users/:userId/grace-dm-preference - Update DM preference
-router.put('/users/:userId/grace-dm-preference', asyncHandler(async (req, res) => {
+router.put('/users/:userId/grace-dm-preference', requirePermission('members:write'), asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const { dmEnabled } = req.body;
 
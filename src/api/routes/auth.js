@@ -1,71 +1,186 @@
 import express from 'express';
-import { generateToken } from '../../utils/jwt.js';
+import { generateToken, verifyToken } from '../../utils/jwt.js';
 import * as discordAuthService from '../../services/discordAuthService.js';
-import * as stripeService from '../../services/stripeService.js';
+import * as memberService from '../../services/memberService.js';
+import * as authSessionService from '../../services/authSessionService.js';
+import * as adminUserService from '../../services/adminUserService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../../utils/logger.js';
+import { AppError, UnauthorizedError } from '../../utils/errors.js';
 
 const router = express.Router();
 
-// GET /api/auth/discord - Redirect to Discord OAuth
+// Static site the OAuth callback sends members back to
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:1313/triboar-site').replace(/\/$/, '');
+const AUTH_CALLBACK_URL = process.env.AUTH_CALLBACK_URL || `${SITE_URL}/auth/callback`;
+const AUTH_ERROR_URL = process.env.AUTH_ERROR_URL || SITE_URL;
+const ADMIN_AUTH_CALLBACK_URL = process.env.ADMIN_AUTH_CALLBACK_URL || `${SITE_URL}/admin/auth/callback`;
+
+const NONCE_COOKIE = 'triboar_oauth_nonce';
+
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+// Errors go back to the site with a machine-readable code (and a message to show)
+const redirectWithError = (res, code, message) => {
+  const params = new URLSearchParams({ error: code, message });
+  res.redirect(`${AUTH_ERROR_URL}?${params.toString()}`);
+};
+
+const startLogin = (res, { intent, returnTo }) => {
+  let oauthState;
+  try {
+    oauthState = discordAuthService.createOAuthState({ intent, returnTo });
+  } catch (err) {
+    logger.warn({ intent, returnTo, errorMessage: err.message }, 'Rejected OAuth login request');
+    return redirectWithError(res, 'INVALID_REQUEST', err.message);
+  }
+
+  res.cookie(NONCE_COOKIE, oauthState.nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: discordAuthService.OAUTH_STATE_TTL_MS,
+    path: '/api/auth',
+  });
+
+  res.redirect(discordAuthService.getOAuthURL(oauthState.state));
+};
+
+// GET /api/auth/discord?intent=join|manage|redeem-gift&returnTo=/path - Redirect to Discord OAuth
 router.get('/discord', (req, res) => {
-  const authUrl = discordAuthService.getOAuthURL();
-  res.redirect(authUrl);
+  const { intent, returnTo } = req.query;
+  startLogin(res, { intent: intent || 'join', returnTo });
 });
 
+// GET /api/auth/admin/discord?returnTo=/path - Officer login (admin session tokens)
+router.get('/admin/discord', (req, res) => {
+  startLogin(res, { intent: 'admin', returnTo: req.query.returnTo });
+});
+
+// Admins (admin_users) get an admin session; tokens go to the admin page in the fragment
+const completeAdminLogin = async (req, res, user, returnTo) => {
+  if (!(await adminUserService.getAdmin(user.discord_id))) {
+    logger.warn({ userId: user.id, discordId: user.discord_id }, 'Non-admin attempted admin login');
+    return redirectWithError(res, 'NOT_ADMIN', 'This Discord account is not an admin');
+  }
+
+  const session = await authSessionService.createAdminSession(user, {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip,
+  });
+
+  const fragment = new URLSearchParams({
+    access_token: session.accessToken,
+    refresh_token: session.refreshToken,
+    expires_in: String(session.expiresIn),
+  });
+  if (returnTo) {
+    fragment.set('returnTo', returnTo);
+  }
+
+  res.redirect(`${ADMIN_AUTH_CALLBACK_URL}#${fragment.toString()}`);
+};
+
 // GET /api/auth/discord/callback - Handle Discord OAuth callback
 router.get('/discord/callback', asyncHandler(async (req, res) => {
-  const { code, error, error_description } = req.query;
+  const { code, state, error, error_description } = req.query;
+  const nonce = readCookie(req, NONCE_COOKIE);
+
+  res.clearCookie(NONCE_COOKIE, { path: '/api/auth' });
 
   if (error) {
     logger.error({ error, error_description }, 'Discord OAuth error');
-    return res.status(401).json({
-      error: {
-        code: 'DISCORD_AUTH_FAILED',
-        message: error_description || 'Discord authentication failed',
-      },
-    });
+    return error === 'access_denied'
+      ? redirectWithError(res, 'ACCESS_DENIED', 'Discord login was cancelled')
+      : redirectWithError(res, 'DISCORD_AUTH_FAILED', error_description || 'Discord authentication failed');
   }
 
   if (!code) {
-    return res.status(400).json({
-      error: {
-        code: 'MISSING_CODE',
-        message: 'Authorization code missing',
-      },
-    });
+    return redirectWithError(res, 'MISSING_CODE', 'Authorization code missing');
+  }
+
+  let intent;
+  let returnTo;
+  try {
+    ({ intent, returnTo } = discordAuthService.verifyOAuthState(state, nonce));
+  } catch (err) {
+    logger.warn({ code: err.code, hasNonce: Boolean(nonce) }, 'Rejected OAuth callback state');
+    return err instanceof AppError
+      ? redirectWithError(res, err.code, err.message)
+      : redirectWithError(res, 'INVALID_STATE', 'Login link is invalid. Please try again.');
   }
 
   try {
     // Handle OAuth callback
-    const { user, accessToken } = await discordAuthService.handleOAuthCallback(code);
+    const { user } = await discordAuthService.handleOAuthCallback(code);
+
+    if (intent === 'admin') {
+      return await completeAdminLogin(req, res, user, returnTo);
+    }
 
-    logger.info({ userId: user.id }, 'User authenticated, creating Stripe session');
+    // Checkout for free members, portal for paying members, renewal checkout for grace
+    const destination = await memberService.getLoginDestination(user, { intent });
 
-    // Create Stripe checkout session directly
-    const checkoutSession = await stripeService.createCheckoutSession(user.id, user.discord_id);
+    logger.info({ userId: user.id, tier: user.tier, intent, action: destination.action }, 'User authenticated');
 
-    logger.info({ userId: user.id, sessionId: checkoutSession.id, url: checkoutSession.url }, 'User authenticated and checkout session created');
+    // The site keeps the session token and forwards the member to Stripe (if there's a next URL).
+    // Sent in the fragment so it never reaches server logs.
+    const token = generateToken({ id: user.id, discord_id: user.discord_id, email: user.email });
+    const fragment = new URLSearchParams({ token, action: destination.action, intent });
+    if (destination.url) {
+      fragment.set('next', destination.url);
+    }
+    if (returnTo) {
+      fragment.set('returnTo', returnTo);
+    }
 
-    // Redirect directly to Stripe checkout
-    res.redirect(checkoutSession.url);
+    res.redirect(`${AUTH_CALLBACK_URL}#${fragment.toString()}`);
   } catch (err) {
     logger.error({
       errorName: err.name,
       errorMessage: err.message,
       errorStack: err.stack,
       stripeError: err.raw?.message,
-      fullError: JSON.stringify(err, null, 2)
-    }, 'OAuth callback failed - checkout session creation error');
-    res.redirect(`http://localhost:1313/triboar-site?error=${encodeURIComponent('Authentication failed. Please try again.')}`);
+    }, 'OAuth callback failed');
+    redirectWithError(res, 'LOGIN_FAILED', 'Authentication failed. Please try again.');
   }
 }));
 
-// POST /api/auth/logout (optional, for clearing client-side state)
-router.post('/logout', (req, res) => {
-  // Token-based auth doesn't require server-side logout
-  // Client just discards the token
-  res.json({ success: true, message: 'Logged out' });
-});
+// POST /api/auth/refresh - Swap an admin refresh token for new tokens (the old refresh token stops working)
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const session = await authSessionService.refreshAdminSession(req.body.refreshToken);
+
+  res.json({
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+  });
+}));
+
+// POST /api/auth/logout - Revoke the bearer token (and its admin session) and/or a refresh token's session
+router.post('/logout', asyncHandler(async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const decoded = token ? verifyToken(token) : null;
+  const { refreshToken } = req.body;
+
+  if (!decoded && !refreshToken) {
+    throw new UnauthorizedError('Send a valid access token or a refresh token to log out');
+  }
+
+  try {
+    await authSessionService.logout(decoded, { refreshToken });
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    logger.error({ err, userId: decoded?.id }, 'Failed to log out');
+    throw err;
+  }
+}));
 
 export default router;
@@ -3,14 +3,29 @@ import { asyncHandler } from '../middleware/errorHandler.js';
 import { requireAuth } from '../middleware/auth.js';
 import * as stripeService from '../../services/stripeService.js';
 import * as subscriptionService from '../../services/subscriptionService.js';
+import * as planService from '../../services/planService.js';
+import * as planChangeService from '../../services/planChangeService.js';
 import logger from '../../utils/logger.js';
 import { ValidationError } from '../../utils/errors.js';
 
 const router = express.Router();
 
+// GET /api/checkout/plans - List purchasable plans
+router.get('/plans', asyncHandler(async (req, res) => {
+  const plans = await planService.listPlans();
+
+  res.json({
+    plans: plans.map(plan => ({
+      key: plan.tier_key,
+      name: plan.display_name,
+      rank: plan.rank,
+    })),
+  });
+}));
+
 // POST /api/checkout/session - Create checkout session
 router.post('/session', requireAuth, asyncHandler(async (req, res) => {
-  const { coupon_code } = req.body;
+  const { coupon_code, plan } = req.body;
   const userId = req.user.id;
   const discordId = req.user.discord_id;
 
@@ -22,6 +37,7 @@ router.post('/session', requireAuth, asyncHandler(async (req, res) => {
     // Create checkout session
     const session = await stripeService.createCheckoutSession(userId, discordId, {
       couponCode: coupon_code,
+      planKey: plan,
     });
 
     logger.info({ userId, sessionId: session.id }, 'Checkout session created');
@@ -39,6 +55,50 @@ router.post('/session', requireAuth, asyncHandler(async (req, res) => {
   }
 }));
 
+// POST /api/checkout/change-plan/preview - Preview switching plans (proration for upgrades)
+router.post('/change-plan/preview', requireAuth, asyncHandler(async (req, res) => {
+  const { plan } = req.body;
+  const userId = req.user.id;
+
+  if (!plan) {
+    throw new ValidationError('plan is required');
+  }
+
+  try {
+    const preview = await planChangeService.previewPlanChange(userId, plan);
+    res.json({ success: true, preview });
+  } catch (err) {
+    logger.error({ err, userId, plan }, 'Failed to preview plan change');
+    throw err;
+  }
+}));
+
+// POST /api/checkout/change-plan - Switch plans
+// Upgrades apply immediately (prorated); downgrades apply at period end
+router.post('/change-plan', requireAuth, asyncHandler(async (req, res) => {
+  const { plan, prorationDate } = req.body;
+  const userId = req.user.id;
+
+  if (!plan) {
+    throw new ValidationError('plan is required');
+  }
+
+  if (prorationDate !== undefined && !Number.isInteger(prorationDate)) {
+    throw new ValidationError('prorationDate must be a unix timestamp from the preview');
+  }
+
+  try {
+    const change = await planChangeService.changePlan(userId, plan, { prorationDate });
+
+    logger.info({ userId, plan, direction: change.direction }, 'Plan change submitted');
+
+    res.json({ success: true, change });
+  } catch (err) {
+    logger.error({ err, userId, plan }, 'Failed to change plan');
+    throw err;
+  }
+}));
+
 // POST /api/checkout/portal - Create customer portal session
 router.post('/portal', requireAuth, asyncHandler(async (req, res) => {
   const userId = req.user.id;
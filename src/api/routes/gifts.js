@@ -0,0 +1,78 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/auth.js';
+import * as giftService from '../../services/giftService.js';
+import logger from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const router = express.Router();
+
+// GET /api/gifts/options - Gift durations available for purchase
+router.get('/options', asyncHandler(async (req, res) => {
+  res.json({ options: giftService.getGiftOptions() });
+}));
+
+// POST /api/gifts/checkout - Buy a gift code (one-time payment)
+router.post('/checkout', requireAuth, asyncHandler(async (req, res) => {
+  const { duration } = req.body;
+  const userId = req.user.id;
+  const discordId = req.user.discord_id;
+
+  if (!duration) {
+    throw new ValidationError('duration is required');
+  }
+
+  try {
+    const session = await giftService.createGiftCheckoutSession(userId, discordId, duration);
+
+    logger.info({ userId, sessionId: session.id, duration }, 'Gift checkout session created');
+
+    res.json({
+      success: true,
+      session: {
+        id: session.id,
+        url: session.url,
+      },
+    });
+  } catch (err) {
+    logger.error({ err, userId, duration }, 'Failed to create gift checkout session');
+    throw err;
+  }
+}));
+
+// GET /api/gifts/purchases - Gift codes the signed-in member bought
+router.get('/purchases', requireAuth, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const giftCodes = await giftService.getPurchasedGiftCodes(userId);
+    res.json({ giftCodes });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get purchased gift codes');
+    throw err;
+  }
+}));
+
+// POST /api/gifts/redeem - Redeem a gift code for the signed-in Discord account
+router.post('/redeem', requireAuth, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new ValidationError('code is required');
+  }
+
+  try {
+    const redemption = await giftService.redeemGiftCode(code, req.user);
+
+    res.json({
+      success: true,
+      message: `Gift code redeemed for ${redemption.duration}`,
+      redemption,
+    });
+  } catch (err) {
+    logger.error({ err, userId: req.user.id }, 'Failed to redeem gift code');
+    throw err;
+  }
+}));
+
+export default router;
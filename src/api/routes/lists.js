@@ -1,120 +1,359 @@
 import express from 'express';
+import crypto from 'crypto';
 import { query } from '../../db/connection.js';
 import logger from '../../utils/logger.js';
+import { MEMBER_STATES } from '../../services/membershipService.js';
+import * as membershipChangeService from '../../services/membershipChangeService.js';
+import { requireApiKey } from '../middleware/auth.js';
+import { AppError, ValidationError } from '../../utils/errors.js';
 
 const router = express.Router();
 
+// The lists carry every member's Discord and Stripe customer IDs - API keys only
+router.use(requireApiKey('lists:read'));
+
+const MAX_PAGE_SIZE = 1000;
+
 /**
- * GET /api/lists/subscribed
- * Returns array of Discord IDs with active subscriptions
+ * Filters shared by the subscribed, grace and paused lists (all ordered by discord_id):
+ * discordIds limits the list to those members (delta mode), after/limit page through it
  */
-router.get('/subscribed', async (req, res) => {
-  try {
-    const result = await query(
-      `SELECT discord_id, stripe_customer_id, subscription_end_date
-       FROM users
-       WHERE tier = 'paid'
-         AND subscription_end_date > NOW()
-       ORDER BY discord_id`
-    );
-
-    const discordIds = result.rows.map(row => ({
+const listFilters = ({ discordIds = null, after = null, limit = null } = {}, firstParam) => ({
+  sql: `AND ($${firstParam}::varchar[] IS NULL OR u.discord_id = ANY($${firstParam}))
+       AND ($${firstParam + 1}::varchar IS NULL OR u.discord_id > $${firstParam + 1})`,
+  limitSql: `LIMIT $${firstParam + 2}`,
+  params: [discordIds, after, limit],
+});
+
+/**
+ * Active members (paid, trialing or past_due - status says which)
+ * subscription_end_date/lifetime are computed from the entitlement ledger (Stripe, gifts, comps)
+ * tier is the member's plan key; trialing members carry trialEndsAt
+ */
+const fetchSubscribedList = async (options) => {
+  const filters = listFilters(options, 2);
+  const result = await query(
+    `SELECT u.discord_id, u.stripe_customer_id, u.tier as status, u.subscription_end_date, u.lifetime, t.trial_end,
+            u.plan_tier, p.display_name as plan_name
+     FROM users u
+     LEFT JOIN plans p ON p.tier_key = u.plan_tier
+     LEFT JOIN LATERAL (
+       SELECT trial_end FROM subscriptions
+       WHERE user_id = u.id AND status = 'trialing'
+       ORDER BY created_at DESC LIMIT 1
+     ) t ON true
+     WHERE u.tier = ANY($1)
+       AND (u.lifetime OR u.subscription_end_date > NOW() OR t.trial_end > NOW())
+       ${filters.sql}
+     ORDER BY u.discord_id
+     ${filters.limitSql}`,
+    [MEMBER_STATES, ...filters.params]
+  );
+
+  return result.rows.map(row => ({
+    discordId: row.discord_id,
+    stripeCustomerId: row.stripe_customer_id,
+    status: row.status,
+    tier: row.plan_tier,
+    planName: row.plan_name,
+    expiresAt: row.lifetime ? null : row.subscription_end_date || row.trial_end,
+    lifetime: row.lifetime,
+    trialEndsAt: row.trial_end || null,
+  }));
+};
+
+/**
+ * Members in grace period
+ * retainRole is false when the grace period was started by a refund/chargeback
+ */
+const fetchGraceList = async (options) => {
+  const filters = listFilters(options, 1);
+  const result = await query(
+    `SELECT u.discord_id, u.stripe_customer_id, u.subscription_end_date, u.grace_period_end_date,
+            COALESCE(gp.retain_role, true) as retain_role, u.plan_tier, p.display_name as plan_name
+     FROM users u
+     LEFT JOIN plans p ON p.tier_key = u.plan_tier
+     LEFT JOIN grace_period gp ON gp.user_id = u.id
+     WHERE u.tier = 'grace'
+       AND u.grace_period_end_date > NOW()
+       ${filters.sql}
+     ORDER BY u.discord_id
+     ${filters.limitSql}`,
+    filters.params
+  );
+
+  return result.rows.map(row => ({
+    discordId: row.discord_id,
+    stripeCustomerId: row.stripe_customer_id,
+    tier: row.plan_tier,
+    planName: row.plan_name,
+    subscriptionExpiredAt: row.subscription_end_date,
+    graceEndsAt: row.grace_period_end_date,
+    retainRole: row.retain_role,
+  }));
+};
+
+/**
+ * Members on leave (paused) - RoleBot gives them onLeaveRoleId instead of the paid role
+ */
+const fetchPausedList = async (options) => {
+  const filters = listFilters(options, 1);
+  const result = await query(
+    `SELECT u.discord_id, u.stripe_customer_id, u.plan_tier, p.display_name as plan_name,
+            mp.started_at, mp.resumes_at
+     FROM users u
+     LEFT JOIN plans p ON p.tier_key = u.plan_tier
+     LEFT JOIN membership_pauses mp ON mp.user_id = u.id AND mp.status = 'active'
+     WHERE u.tier = 'paused'
+       ${filters.sql}
+     ORDER BY u.discord_id
+     ${filters.limitSql}`,
+    filters.params
+  );
+
+  const onLeaveRoleId = process.env.DISCORD_ON_LEAVE_ROLE_ID || null;
+
+  return result.rows.map(row => ({
+    discordId: row.discord_id,
+    stripeCustomerId: row.stripe_customer_id,
+    tier: row.plan_tier,
+    planName: row.plan_name,
+    pausedAt: row.started_at,
+    resumesAt: row.resumes_at,
+    onLeaveRoleId,
+  }));
+};
+
+/**
+ * Members whose subscription is set to cancel at period end - access lapses at cancelsAt
+ */
+const fetchCancellingList = async () => {
+  const result = await query(
+    `SELECT DISTINCT ON (u.id) u.discord_id, u.stripe_customer_id, u.tier as status, u.plan_tier,
+            p.display_name as plan_name, s.cancel_at, s.current_period_end, s.canceled_at
+     FROM subscriptions s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN plans p ON p.tier_key = u.plan_tier
+     WHERE s.cancel_at_period_end = true
+       AND s.status IN ('active', 'trialing', 'past_due')
+     ORDER BY u.id, s.created_at DESC`
+  );
+
+  return result.rows
+    .map(row => ({
       discordId: row.discord_id,
       stripeCustomerId: row.stripe_customer_id,
-      expiresAt: row.subscription_end_date,
-    }));
+      status: row.status,
+      tier: row.plan_tier,
+      planName: row.plan_name,
+      cancelsAt: row.cancel_at || row.current_period_end,
+      cancelRequestedAt: row.canceled_at,
+    }))
+    .sort((a, b) => new Date(a.cancelsAt) - new Date(b.cancelsAt));
+};
 
-    logger.info({ count: discordIds.length }, 'Fetched subscribed list');
+/**
+ * Members with a failed payment Stripe is still retrying (subscription past_due)
+ * nextPaymentAttempt is null once Stripe has no retries left
+ */
+const fetchAtRiskList = async () => {
+  const result = await query(
+    `SELECT DISTINCT ON (u.id) u.discord_id, u.stripe_customer_id, u.plan_tier, p.display_name as plan_name,
+            s.current_period_end, s.updated_at, d.attempt_count, d.next_payment_attempt, d.first_failed_at
+     FROM subscriptions s
+     JOIN users u ON u.id = s.user_id
+     LEFT JOIN plans p ON p.tier_key = u.plan_tier
+     LEFT JOIN dunning_states d ON d.user_id = u.id AND d.status = 'active'
+     WHERE s.status = 'past_due'
+     ORDER BY u.id, s.created_at DESC`
+  );
 
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      list: discordIds,
-    });
+  return result.rows
+    .map(row => ({
+      discordId: row.discord_id,
+      stripeCustomerId: row.stripe_customer_id,
+      tier: row.plan_tier,
+      planName: row.plan_name,
+      pastDueSince: row.first_failed_at || row.updated_at,
+      attemptCount: row.attempt_count || 0,
+      nextPaymentAttempt: row.next_payment_attempt,
+      periodEndedAt: row.current_period_end,
+    }))
+    .sort((a, b) => new Date(a.pastDueSince) - new Date(b.pastDueSince));
+};
+
+// Weak ETag over the list contents (not the timestamp) - a matching If-None-Match gets a 304
+const sendList = (req, res, body) => {
+  const etag = `W/"${crypto.createHash('sha256').update(JSON.stringify(body)).digest('base64url')}"`;
+  res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    ...body,
+  });
+};
+
+// ?limit=&cursor= - no limit means the whole list
+const parsePage = ({ limit, cursor }) => {
+  if (limit === undefined) {
+    if (cursor !== undefined) {
+      throw new ValidationError('cursor needs a limit');
+    }
+    return null;
+  }
+
+  const size = Number(limit);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    throw new ValidationError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { limit: size, after: cursor || null };
+};
+
+/**
+ * Delta for one list: joined = changed members on the list now, left = changed members
+ * not on it (remove the role if they have it)
+ */
+const diffList = async (fetchList, discordIds) => {
+  const joined = discordIds.length > 0 ? await fetchList({ discordIds }) : [];
+  const present = new Set(joined.map(entry => entry.discordId));
+  return { joined, left: discordIds.filter(discordId => !present.has(discordId)) };
+};
+
+/**
+ * Subscribed, grace and paused lists: the full list (optionally paged), or with ?since=<syncCursor>
+ * only the members whose membership changed since then
+ */
+const listHandler = (fetchList, label) => async (req, res) => {
+  const { since } = req.query;
+
+  try {
+    if (since !== undefined) {
+      const changes = await membershipChangeService.getChangedSince(since);
+      const delta = await diffList(fetchList, changes.discordIds);
+
+      logger.info({ since, joined: delta.joined.length, left: delta.left.length }, `Fetched ${label} changes`);
+
+      return sendList(req, res, { mode: 'delta', ...delta, syncCursor: changes.cursor });
+    }
+
+    const page = parsePage(req.query);
+    // Taken before reading the list so changes made while it's read are picked up by the next delta
+    const syncCursor = await membershipChangeService.getLatestCursor();
+
+    // One extra row tells us whether there's another page
+    const rows = await fetchList(page ? { after: page.after, limit: page.limit + 1 } : {});
+    const list = page ? rows.slice(0, page.limit) : rows;
+    const nextCursor = page && rows.length > page.limit ? list[list.length - 1].discordId : null;
+
+    logger.info({ count: list.length }, `Fetched ${label}`);
+
+    sendList(req, res, { mode: 'full', list, syncCursor, nextCursor });
   } catch (err) {
-    logger.error({ err }, 'Failed to fetch subscribed list');
-    res.status(500).json({ error: 'Failed to fetch subscribed list' });
+    if (err instanceof AppError) {
+      throw err;
+    }
+    logger.error({ err }, `Failed to fetch ${label}`);
+    res.status(500).json({ error: `Failed to fetch ${label}` });
   }
-});
+};
+
+/**
+ * GET /api/lists/subscribed?since=&limit=&cursor=
+ * Returns array of Discord IDs with active subscriptions (including trials)
+ */
+router.get('/subscribed', listHandler(fetchSubscribedList, 'subscribed list'));
 
 /**
- * GET /api/lists/grace
+ * GET /api/lists/grace?since=&limit=&cursor=
  * Returns array of Discord IDs in grace period (7 days after subscription expiration)
  */
-router.get('/grace', async (req, res) => {
+router.get('/grace', listHandler(fetchGraceList, 'grace period list'));
+
+/**
+ * GET /api/lists/paused?since=&limit=&cursor=
+ * Returns array of Discord IDs on leave (paused memberships)
+ */
+router.get('/paused', listHandler(fetchPausedList, 'paused list'));
+
+/**
+ * GET /api/lists/cancelling
+ * Returns array of Discord IDs whose subscription cancels at period end (with cancelsAt)
+ */
+router.get('/cancelling', async (req, res) => {
   try {
-    const result = await query(
-      `SELECT discord_id, stripe_customer_id, subscription_end_date, grace_period_end_date
-       FROM users
-       WHERE tier = 'grace'
-         AND grace_period_end_date > NOW()
-       ORDER BY discord_id`
-    );
-
-    const discordIds = result.rows.map(row => ({
-      discordId: row.discord_id,
-      stripeCustomerId: row.stripe_customer_id,
-      subscriptionExpiredAt: row.subscription_end_date,
-      graceEndsAt: row.grace_period_end_date,
-    }));
+    const discordIds = await fetchCancellingList();
 
-    logger.info({ count: discordIds.length }, 'Fetched grace period list');
+    logger.info({ count: discordIds.length }, 'Fetched cancelling list');
 
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      list: discordIds,
-    });
+    sendList(req, res, { list: discordIds });
   } catch (err) {
-    logger.error({ err }, 'Failed to fetch grace period list');
-    res.status(500).json({ error: 'Failed to fetch grace period list' });
+    logger.error({ err }, 'Failed to fetch cancelling list');
+    res.status(500).json({ error: 'Failed to fetch cancelling list' });
   }
 });
 
 /**
- * GET /api/lists/all
- * Returns both subscribed and grace period lists
+ * GET /api/lists/at-risk
+ * Returns array of Discord IDs with a past-due payment (with pastDueSince and nextPaymentAttempt)
+ */
+router.get('/at-risk', async (req, res) => {
+  try {
+    const discordIds = await fetchAtRiskList();
+
+    logger.info({ count: discordIds.length }, 'Fetched at-risk list');
+
+    sendList(req, res, { list: discordIds });
+  } catch (err) {
+    logger.error({ err }, 'Failed to fetch at-risk list');
+    res.status(500).json({ error: 'Failed to fetch at-risk list' });
+  }
+});
+
+/**
+ * GET /api/lists/all?since=
+ * Returns the subscribed, grace period, paused, cancelling and at-risk lists.
+ * With since, subscribed/grace/paused are deltas ({ joined, left }); cancelling and at-risk are always whole.
  */
 router.get('/all', async (req, res) => {
+  const { since } = req.query;
+
   try {
-    const subscribedResult = await query(
-      `SELECT discord_id, stripe_customer_id, subscription_end_date
-       FROM users
-       WHERE tier = 'paid'
-         AND subscription_end_date > NOW()
-       ORDER BY discord_id`
-    );
-
-    const graceResult = await query(
-      `SELECT discord_id, stripe_customer_id, subscription_end_date, grace_period_end_date
-       FROM users
-       WHERE tier = 'grace'
-         AND grace_period_end_date > NOW()
-       ORDER BY discord_id`
-    );
-
-    const subscribed = subscribedResult.rows.map(row => ({
-      discordId: row.discord_id,
-      stripeCustomerId: row.stripe_customer_id,
-      expiresAt: row.subscription_end_date,
-    }));
+    const changes = since !== undefined ? await membershipChangeService.getChangedSince(since) : null;
+    const syncCursor = changes ? changes.cursor : await membershipChangeService.getLatestCursor();
 
-    const grace = graceResult.rows.map(row => ({
-      discordId: row.discord_id,
-      stripeCustomerId: row.stripe_customer_id,
-      subscriptionExpiredAt: row.subscription_end_date,
-      graceEndsAt: row.grace_period_end_date,
-    }));
+    const subscribed = changes ? await diffList(fetchSubscribedList, changes.discordIds) : await fetchSubscribedList();
+    const grace = changes ? await diffList(fetchGraceList, changes.discordIds) : await fetchGraceList();
+    const paused = changes ? await diffList(fetchPausedList, changes.discordIds) : await fetchPausedList();
+    const cancelling = await fetchCancellingList();
+    const atRisk = await fetchAtRiskList();
 
-    logger.info({ subscribed: subscribed.length, grace: grace.length }, 'Fetched all lists');
+    logger.info(changes ? { since, changed: changes.discordIds.length } : {
+      subscribed: subscribed.length,
+      grace: grace.length,
+      paused: paused.length,
+      cancelling: cancelling.length,
+      atRisk: atRisk.length,
+    }, 'Fetched all lists');
 
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
+    sendList(req, res, {
+      mode: changes ? 'delta' : 'full',
       subscribed,
       grace,
+      paused,
+      cancelling,
+      atRisk,
+      syncCursor,
     });
   } catch (err) {
+    if (err instanceof AppError) {
+      throw err;
+    }
     logger.error({ err }, 'Failed to fetch all lists');
     res.status(500).json({ error: 'Failed to fetch all lists' });
   }
@@ -0,0 +1,88 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/auth.js';
+import * as memberService from '../../services/memberService.js';
+import * as stripeService from '../../services/stripeService.js';
+import logger from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/me - The signed-in member's tier, expiry, grace status and plan
+router.get('/', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const profile = await memberService.getMemberProfile(userId);
+    res.json(profile);
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get member profile');
+    throw err;
+  }
+}));
+
+// PUT /api/me/grace-dm-preference - Turn grace period reminder DMs on or off
+router.put('/grace-dm-preference', asyncHandler(async (req, res) => {
+  const { dmEnabled } = req.body;
+  const userId = req.user.id;
+
+  if (typeof dmEnabled !== 'boolean') {
+    throw new ValidationError('dmEnabled must be boolean');
+  }
+
+  try {
+    const grace = await memberService.setGraceDMPreference(userId, dmEnabled);
+
+    res.json({
+      success: true,
+      message: `Grace period DM ${dmEnabled ? 'enabled' : 'disabled'}`,
+      grace,
+    });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to update grace DM preference');
+    throw err;
+  }
+}));
+
+// POST /api/me/billing-portal - Open the Stripe billing portal
+router.post('/billing-portal', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const session = await stripeService.createPortalSession(userId);
+    res.json({ success: true, session: { url: session.url } });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to create portal session');
+    throw err;
+  }
+}));
+
+// GET /api/me/gifts - Gifts received and gift codes bought
+router.get('/gifts', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const gifts = await memberService.getGiftHistory(userId);
+    res.json(gifts);
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get gift history');
+    throw err;
+  }
+}));
+
+// GET /api/me/overrides - Admin changes made to the member's account
+router.get('/overrides', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const overrides = await memberService.getOverrideHistory(userId);
+    res.json({ overrides });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get override history');
+    throw err;
+  }
+}));
+
+export default router;
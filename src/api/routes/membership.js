@@ -0,0 +1,102 @@
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireAuth } from '../middleware/auth.js';
+import * as pauseService from '../../services/pauseService.js';
+import * as cancellationService from '../../services/cancellationService.js';
+import logger from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/membership/pause - The signed-in member's current pause (if any)
+router.get('/pause', asyncHandler(async (req, res) => {
+  const pause = await pauseService.getActivePause(req.user.id);
+  res.json({ paused: Boolean(pause), pause });
+}));
+
+// POST /api/membership/pause - Go on leave (Stripe stops billing until resumed)
+router.post('/pause', asyncHandler(async (req, res) => {
+  const { resumesAt, reason } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const pause = await pauseService.pauseMembership(userId, {
+      resumesAt,
+      reason,
+      requestedBy: req.user.discord_id,
+    });
+
+    res.json({ success: true, pause });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to pause membership');
+    throw err;
+  }
+}));
+
+// POST /api/membership/resume - Come back from leave now
+router.post('/resume', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const pause = await pauseService.resumeMembership(userId, { requestedBy: req.user.discord_id });
+    res.json({ success: true, pause });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to resume membership');
+    throw err;
+  }
+}));
+
+// GET /api/membership/cancel/options - Cancellation reasons and the retention offers available
+router.get('/cancel/options', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const options = await cancellationService.getCancellationOptions(userId);
+    res.json(options);
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get cancellation options');
+    throw err;
+  }
+}));
+
+// POST /api/membership/cancel - Cancel at period end with a reason
+// Returns retention offers instead of cancelling unless skipOffers is true
+router.post('/cancel', asyncHandler(async (req, res) => {
+  const { reason, comment, skipOffers } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const result = await cancellationService.requestCancellation(userId, {
+      reason,
+      comment,
+      skipOffers: skipOffers === true,
+    });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to cancel membership');
+    throw err;
+  }
+}));
+
+// POST /api/membership/cancel/offer - Take a retention offer (pause or discount) instead of cancelling
+router.post('/cancel/offer', asyncHandler(async (req, res) => {
+  const { offer, reason, resumesAt } = req.body;
+  const userId = req.user.id;
+
+  if (!['pause', 'discount'].includes(offer)) {
+    throw new ValidationError('offer must be pause or discount');
+  }
+
+  try {
+    const result = await cancellationService.acceptRetentionOffer(userId, { offer, reason, resumesAt });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    logger.error({ err, userId, offer }, 'Failed to accept retention offer');
+    throw err;
+  }
+}));
+
+export default router;
@@ -53,6 +53,26 @@ export const query = async (text, params) => {
   }
 };
 
+/**
+ * Run fn(client) inside a transaction - commits on success, rolls back and rethrows on error
+ */
+export const withTransaction = async (fn) => {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(rollbackErr => {
+      logger.error({ err: rollbackErr }, 'Failed to roll back transaction');
+    });
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
 export const closeDB = async () => {
   if (pool) {
     await pool.end();
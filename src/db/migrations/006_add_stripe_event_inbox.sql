@@ -0,0 +1,39 @@
+-- Stripe event inbox (durable record of every verified webhook before processing)
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stripe_event_id VARCHAR(255) UNIQUE NOT NULL,
+  event_type VARCHAR(255) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending',
+    'processing',
+    'processed',
+    'failed',
+    'dead'
+  )),
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_stripe_events_status ON stripe_events(status);
+CREATE INDEX idx_stripe_events_received_at ON stripe_events(received_at);
+
+-- Dead-letter store (events that exhausted all retries)
+CREATE TABLE IF NOT EXISTS stripe_event_dead_letters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  stripe_event_id VARCHAR(255) UNIQUE NOT NULL REFERENCES stripe_events(stripe_event_id) ON DELETE CASCADE,
+  event_type VARCHAR(255) NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  error_message TEXT,
+  failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  replayed_at TIMESTAMP,
+  replayed_by VARCHAR(255)
+);
+
+CREATE INDEX idx_stripe_event_dead_letters_failed_at ON stripe_event_dead_letters(failed_at);
+
+CREATE TRIGGER update_stripe_events_updated_at BEFORE UPDATE ON stripe_events
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
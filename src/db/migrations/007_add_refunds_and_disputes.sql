@@ -0,0 +1,23 @@
+-- Payment disputes (chargebacks) reported by Stripe
+CREATE TABLE IF NOT EXISTS payment_disputes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  stripe_dispute_id VARCHAR(255) UNIQUE NOT NULL,
+  stripe_charge_id VARCHAR(255) NOT NULL,
+  amount INT,
+  currency VARCHAR(10),
+  reason VARCHAR(255),
+  status VARCHAR(50) NOT NULL,
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_payment_disputes_user_id ON payment_disputes(user_id);
+CREATE INDEX idx_payment_disputes_status ON payment_disputes(status);
+
+CREATE TRIGGER update_payment_disputes_updated_at BEFORE UPDATE ON payment_disputes
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Grace periods started by a refund/dispute don't keep the paid role
+ALTER TABLE grace_period ADD COLUMN retain_role BOOLEAN DEFAULT true;
@@ -0,0 +1,27 @@
+-- Dunning progress (one row per user for their current failed-payment cycle)
+CREATE TABLE IF NOT EXISTS dunning_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stripe_subscription_id VARCHAR(255),
+  stripe_invoice_id VARCHAR(255) NOT NULL,
+  attempt_count INT NOT NULL DEFAULT 0,
+  next_payment_attempt TIMESTAMP,
+  hosted_invoice_url TEXT,
+  amount_due INT,
+  currency VARCHAR(10),
+  status VARCHAR(50) NOT NULL DEFAULT 'active' CHECK (status IN (
+    'active',
+    'recovered',
+    'exhausted'
+  )),
+  first_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_dunning_states_status ON dunning_states(status);
+
+CREATE TRIGGER update_dunning_states_updated_at BEFORE UPDATE ON dunning_states
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,4 @@
+-- One free trial per Discord account (users.discord_id is unique)
+ALTER TABLE users ADD COLUMN trial_used_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_trial_end ON subscriptions(trial_end);
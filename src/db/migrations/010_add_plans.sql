@@ -0,0 +1,24 @@
+-- Membership plans (Supporter / Adventurer / Patron ...)
+-- Each plan maps one Stripe price to a tier key and the Discord roles it grants.
+-- users.tier stays the membership status (free/paid/grace); users.plan_tier is the level.
+CREATE TABLE IF NOT EXISTS plans (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tier_key VARCHAR(50) UNIQUE NOT NULL,
+  display_name VARCHAR(255) NOT NULL,
+  stripe_price_id VARCHAR(255) UNIQUE NOT NULL,
+  discord_role_ids JSONB NOT NULL DEFAULT '[]',
+  rank INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_plans_stripe_price_id ON plans(stripe_price_id);
+
+CREATE TRIGGER update_plans_updated_at BEFORE UPDATE ON plans
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE users
+  ADD COLUMN plan_tier VARCHAR(50) REFERENCES plans(tier_key) ON UPDATE CASCADE ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_plan_tier ON users(plan_tier);
@@ -0,0 +1,4 @@
+-- Downgrades take effect at period end (via a Stripe subscription schedule)
+ALTER TABLE subscriptions
+  ADD COLUMN pending_price_id VARCHAR(255),
+  ADD COLUMN pending_change_at TIMESTAMP;
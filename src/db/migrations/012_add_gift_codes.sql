@@ -0,0 +1,27 @@
+-- Gift codes bought by members (one-time Checkout payment) and redeemed by another Discord account
+CREATE TABLE IF NOT EXISTS gift_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  code VARCHAR(32) UNIQUE NOT NULL,
+  duration VARCHAR(50) NOT NULL CHECK (duration IN (
+    '1_month',
+    '3_months',
+    '6_months',
+    '1_year'
+  )),
+  purchaser_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  stripe_checkout_session_id VARCHAR(255) UNIQUE NOT NULL,
+  stripe_payment_intent_id VARCHAR(255),
+  amount_paid INT,
+  currency VARCHAR(10),
+  expires_at TIMESTAMP NOT NULL,
+  redeemed_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_gift_codes_purchaser_user_id ON gift_codes(purchaser_user_id);
+CREATE INDEX idx_gift_codes_redeemed_by_user_id ON gift_codes(redeemed_by_user_id);
+
+CREATE TRIGGER update_gift_codes_updated_at BEFORE UPDATE ON gift_codes
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,58 @@
+-- Membership entitlements ledger - every source of membership time is a row.
+-- users.subscription_end_date / users.lifetime are computed from it (see entitlementService).
+-- Stripe rows are fixed billing periods. Gift/comp rows carry duration_days and are stacked
+-- after existing coverage, so they're moved later if Stripe time is added in front of them.
+CREATE TABLE IF NOT EXISTS membership_entitlements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  source VARCHAR(50) NOT NULL CHECK (source IN (
+    'stripe',
+    'gift',
+    'manual_comp',
+    'lifetime'
+  )),
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ends_at TIMESTAMP,
+  duration_days INT,
+  source_ref VARCHAR(255),
+  granted_by VARCHAR(255),
+  reason TEXT,
+  metadata JSONB,
+  revoked_at TIMESTAMP,
+  revoked_by VARCHAR(255),
+  revoked_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at IS NOT NULL OR source = 'lifetime')
+);
+
+CREATE INDEX idx_membership_entitlements_user_id ON membership_entitlements(user_id);
+CREATE INDEX idx_membership_entitlements_source_ref ON membership_entitlements(source_ref);
+
+-- One row per Stripe billing period
+CREATE UNIQUE INDEX idx_membership_entitlements_stripe_period
+  ON membership_entitlements(source_ref, starts_at) WHERE source = 'stripe';
+
+CREATE TRIGGER update_membership_entitlements_updated_at BEFORE UPDATE ON membership_entitlements
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE users ADD COLUMN lifetime BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill current Stripe periods
+INSERT INTO membership_entitlements (user_id, source, starts_at, ends_at, source_ref, granted_by, reason)
+SELECT user_id, 'stripe', current_period_start, current_period_end, stripe_subscription_id, 'stripe', 'Backfilled from subscriptions'
+FROM subscriptions
+WHERE status IN ('active', 'trialing', 'past_due')
+  AND current_period_start IS NOT NULL
+  AND current_period_end IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Backfill time granted outside Stripe (gifts) that runs past the Stripe period
+INSERT INTO membership_entitlements (user_id, source, starts_at, ends_at, granted_by, reason)
+SELECT u.id, 'manual_comp', CURRENT_TIMESTAMP, u.subscription_end_date, 'migration', 'Backfilled from subscription_end_date'
+FROM users u
+WHERE u.subscription_end_date > CURRENT_TIMESTAMP
+  AND NOT EXISTS (
+    SELECT 1 FROM membership_entitlements e
+    WHERE e.user_id = u.id AND e.ends_at >= u.subscription_end_date
+  );
@@ -0,0 +1,22 @@
+-- Membership state machine states (see membershipService)
+ALTER TABLE users DROP CONSTRAINT users_tier_check;
+ALTER TABLE users ADD CONSTRAINT users_tier_check CHECK (tier IN ('free', 'trialing', 'paid', 'past_due', 'grace'));
+
+-- Bring existing members in line with their subscription status
+UPDATE users u
+SET tier = CASE s.status WHEN 'trialing' THEN 'trialing' ELSE 'past_due' END
+FROM subscriptions s
+WHERE s.user_id = u.id
+  AND u.tier = 'paid'
+  AND s.status IN ('trialing', 'past_due')
+  AND s.created_at = (SELECT MAX(created_at) FROM subscriptions WHERE user_id = u.id);
+
+-- The daily sync used to add grace_period rows without setting tier='grace'
+UPDATE users u
+SET tier = 'grace', grace_period_end_date = gp.grace_period_ends_at
+FROM grace_period gp
+WHERE gp.user_id = u.id
+  AND u.tier = 'paid'
+  AND gp.grace_period_ends_at > CURRENT_TIMESTAMP
+  AND (u.subscription_end_date IS NULL OR u.subscription_end_date <= CURRENT_TIMESTAMP)
+  AND NOT u.lifetime;
@@ -0,0 +1,21 @@
+-- Stripe-to-database reconciliation runs and the drift each one found
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  status VARCHAR(50) NOT NULL DEFAULT 'running' CHECK (status IN (
+    'running',
+    'completed',
+    'failed'
+  )),
+  auto_fix BOOLEAN NOT NULL DEFAULT false,
+  triggered_by VARCHAR(255),
+  stripe_subscriptions_scanned INT DEFAULT 0,
+  drift_count INT DEFAULT 0,
+  fixed_count INT DEFAULT 0,
+  drift_summary JSONB,
+  drifts JSONB,
+  error_message TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
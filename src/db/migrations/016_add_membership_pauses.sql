@@ -0,0 +1,42 @@
+-- Paused memberships ("leave of absence") via Stripe pause_collection
+ALTER TABLE users DROP CONSTRAINT users_tier_check;
+ALTER TABLE users ADD CONSTRAINT users_tier_check CHECK (tier IN ('free', 'trialing', 'paid', 'past_due', 'grace', 'paused'));
+
+-- Stripe also pauses trials that end without a payment method
+ALTER TABLE subscriptions DROP CONSTRAINT subscriptions_status_check;
+ALTER TABLE subscriptions ADD CONSTRAINT subscriptions_status_check CHECK (status IN (
+  'trialing',
+  'active',
+  'past_due',
+  'canceled',
+  'unpaid',
+  'incomplete',
+  'incomplete_expired',
+  'paused'
+));
+
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS pause_collection JSONB;
+
+CREATE TABLE IF NOT EXISTS membership_pauses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stripe_subscription_id VARCHAR(255),
+  status VARCHAR(50) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+  reason TEXT,
+  requested_by VARCHAR(255),
+  resumes_at TIMESTAMP,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  ended_at TIMESTAMP,
+  ended_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_membership_pauses_user_id ON membership_pauses(user_id);
+CREATE INDEX idx_membership_pauses_started_at ON membership_pauses(started_at);
+
+-- One open pause per user
+CREATE UNIQUE INDEX idx_membership_pauses_active_user ON membership_pauses(user_id) WHERE status = 'active';
+
+CREATE TRIGGER update_membership_pauses_updated_at BEFORE UPDATE ON membership_pauses
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
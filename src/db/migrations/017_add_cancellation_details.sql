@@ -0,0 +1,4 @@
+-- Why and how a subscription was cancelled (Stripe cancellation_details: reason, feedback, comment)
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS cancellation_details JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_event_type_created_at ON audit_logs(event_type, created_at);
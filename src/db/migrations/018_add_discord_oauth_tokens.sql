@@ -0,0 +1,16 @@
+-- Members' Discord OAuth tokens (AES-256-GCM encrypted with TOKEN_ENCRYPTION_KEY)
+-- Used to add paying members to the guild (guilds.join scope)
+CREATE TABLE IF NOT EXISTS discord_oauth_tokens (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  access_token_encrypted TEXT NOT NULL,
+  refresh_token_encrypted TEXT,
+  scope TEXT,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_discord_oauth_tokens_expires_at ON discord_oauth_tokens(expires_at);
+
+CREATE TRIGGER update_discord_oauth_tokens_updated_at BEFORE UPDATE ON discord_oauth_tokens
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
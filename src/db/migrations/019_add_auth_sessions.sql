@@ -0,0 +1,29 @@
+-- Admin login sessions: a rotating refresh token per session (stored as a SHA-256 hash)
+-- Access JWTs carry the session id (sid), so revoking the session revokes them too
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  kind VARCHAR(50) NOT NULL DEFAULT 'admin' CHECK (kind IN ('admin')),
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_refresh_token_hash VARCHAR(64),
+  user_agent TEXT,
+  ip_address VARCHAR(255),
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX idx_auth_sessions_previous_refresh_token_hash ON auth_sessions(previous_refresh_token_hash);
+
+-- Access JWTs revoked before they expire (logout); rows can be dropped once expires_at passes
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti VARCHAR(64) PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
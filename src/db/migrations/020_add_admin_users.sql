@@ -0,0 +1,18 @@
+-- Admins and their roles (ADMIN_DISCORD_IDS only bootstraps the first owner)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  discord_id VARCHAR(255) NOT NULL UNIQUE,
+  role VARCHAR(50) NOT NULL CHECK (role IN (
+    'viewer',
+    'support',
+    'treasurer',
+    'owner'
+  )),
+  note TEXT,
+  added_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,17 @@
+-- API keys for integrations (RoleBot, scripts): tbk_<prefix>_<secret>, only the SHA-256 hash is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  key_prefix VARCHAR(32) NOT NULL UNIQUE,
+  key_hash VARCHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  created_by VARCHAR(255),
+  rotated_from_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_api_keys_name ON api_keys(name);
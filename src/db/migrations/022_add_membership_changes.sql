@@ -0,0 +1,12 @@
+-- Membership change log - every users.tier change, in order. The id is the delta-sync cursor for the RoleBot lists.
+CREATE TABLE IF NOT EXISTS membership_changes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  discord_id VARCHAR(255) NOT NULL,
+  from_state VARCHAR(50) NOT NULL,
+  to_state VARCHAR(50) NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_membership_changes_created_at ON membership_changes(created_at);
@@ -0,0 +1,17 @@
+-- Outgoing webhook receivers (RoleBot). Each has its own signing secret, encrypted with TOKEN_ENCRYPTION_KEY.
+-- During a secret rotation the previous secret also signs until previous_secret_expires_at.
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  url TEXT NOT NULL,
+  secret_encrypted TEXT NOT NULL,
+  previous_secret_encrypted TEXT,
+  previous_secret_expires_at TIMESTAMP,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_webhook_endpoints_updated_at BEFORE UPDATE ON webhook_endpoints
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
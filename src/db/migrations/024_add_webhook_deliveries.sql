@@ -0,0 +1,43 @@
+-- Webhook outbox: one delivery per event per endpoint, written in the same transaction as the event.
+-- A Bull worker sends them with exponential backoff; deliveries that fail every attempt end up 'dead'
+-- until an admin redelivers them. (Events queued before this migration have no deliveries.)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_event_id UUID NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending',
+    'failed',
+    'delivered',
+    'dead'
+  )),
+  attempts INT NOT NULL DEFAULT 0,
+  last_status_code INT,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  dead_at TIMESTAMP,
+  redelivered_at TIMESTAMP,
+  redelivered_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (webhook_event_id, endpoint_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+
+-- Every HTTP attempt, for debugging a receiver
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  attempt INT NOT NULL,
+  status_code INT,
+  latency_ms INT NOT NULL,
+  error TEXT,
+  attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id);
+
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
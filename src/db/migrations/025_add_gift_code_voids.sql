@@ -0,0 +1,7 @@
+-- Gift codes whose payment was refunded or disputed can't be redeemed any more.
+-- voided_by is 'stripe:<dispute id>' for disputes, so winning one can restore the code.
+ALTER TABLE gift_codes ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+ALTER TABLE gift_codes ADD COLUMN IF NOT EXISTS voided_by VARCHAR(255);
+ALTER TABLE gift_codes ADD COLUMN IF NOT EXISTS voided_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_gift_codes_stripe_payment_intent_id ON gift_codes(stripe_payment_intent_id);
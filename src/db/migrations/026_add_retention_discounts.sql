@@ -0,0 +1,19 @@
+-- One-time retention discount per member. The row is claimed before the coupon is applied in Stripe,
+-- so concurrent requests can't both get it.
+CREATE TABLE IF NOT EXISTS retention_discounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  stripe_subscription_id VARCHAR(255),
+  coupon_id VARCHAR(255) NOT NULL,
+  reason VARCHAR(100),
+  claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  applied_at TIMESTAMP
+);
+
+-- Discounts already taken (recorded only in the audit log until now)
+INSERT INTO retention_discounts (user_id, stripe_subscription_id, coupon_id, reason, claimed_at, applied_at)
+SELECT DISTINCT ON (user_id) user_id, payload->>'subscriptionId', 'unknown', payload->>'reason', created_at, created_at
+FROM audit_logs
+WHERE event_type = 'retention_offer.accepted' AND payload->>'offer' = 'discount' AND user_id IS NOT NULL
+ORDER BY user_id, created_at ASC
+ON CONFLICT (user_id) DO NOTHING;
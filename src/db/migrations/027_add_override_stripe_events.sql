@@ -0,0 +1,17 @@
+-- Refund and dispute overrides are keyed on the Stripe event that caused them,
+-- so a retried event finds its override and doesn't revoke the membership twice.
+ALTER TABLE admin_overrides ADD COLUMN IF NOT EXISTS stripe_event_id VARCHAR(255);
+
+-- Overrides written before this column (one per event - retries may have added more)
+UPDATE admin_overrides o
+SET stripe_event_id = o.metadata->>'stripeEventId'
+FROM (
+  SELECT DISTINCT ON (metadata->>'stripeEventId') id
+  FROM admin_overrides
+  WHERE override_type = 'refund' AND metadata->>'stripeEventId' IS NOT NULL
+  ORDER BY metadata->>'stripeEventId', applied_at ASC
+) first_override
+WHERE o.id = first_override.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_overrides_stripe_event_id
+  ON admin_overrides(stripe_event_id) WHERE stripe_event_id IS NOT NULL;
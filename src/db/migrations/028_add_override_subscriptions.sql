@@ -0,0 +1,6 @@
+-- The Stripe subscription a refund or dispute revoked. It's canceled in Stripe, and while the
+-- override lasts (a won dispute ends it) that subscription can't put the member back on paid.
+ALTER TABLE admin_overrides ADD COLUMN IF NOT EXISTS stripe_subscription_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_admin_overrides_stripe_subscription_id
+  ON admin_overrides(stripe_subscription_id) WHERE stripe_subscription_id IS NOT NULL;
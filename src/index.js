@@ -9,17 +9,17 @@ import { initDB } from './db/connection.js';
 import logger from './utils/logger.js';
 import { errorHandler, asyncHandler } from './api/middleware/errorHandler.js';
 import * as syncService from './services/syncService.js';
-
-// Validate BACKEND_API_TOKEN is set on startup
+import * as stripeEventQueue from './queues/stripeEventQueue.js';
+import * as webhookDeliveryQueue from './queues/webhookDeliveryQueue.js';
+import * as planService from './services/planService.js';
+import * as reconciliationService from './services/reconciliationService.js';
+import * as discordAuthService from './services/discordAuthService.js';
+import * as adminUserService from './services/adminUserService.js';
+import * as webhookEndpointService from './services/webhookEndpointService.js';
+
+// BACKEND_API_TOKEN is optional now (deprecated fallback for API keys), but must be strong if set
 const BACKEND_API_TOKEN = process.env.BACKEND_API_TOKEN;
-if (!BACKEND_API_TOKEN) {
-  const errorMsg = 'CRITICAL: BACKEND_API_TOKEN environment variable is required but not set. Application cannot start without it.';
-  logger.error(errorMsg);
-  console.error(errorMsg);
-  process.exit(1);
-}
-
-if (BACKEND_API_TOKEN.length < 32) {
+if (BACKEND_API_TOKEN && BACKEND_API_TOKEN.length < 32) {
   const errorMsg = 'CRITICAL: BACKEND_API_TOKEN must be at least 32 characters long. Current length: ' + BACKEND_API_TOKEN.length;
   logger.error(errorMsg);
   console.error(errorMsg);
@@ -32,6 +32,9 @@ import checkoutRoutes from './api/routes/checkout.js';
 import webhookRoutes from './api/routes/webhooks.js';
 import adminRoutes from './api/routes/admin.js';
 import listsRoutes from './api/routes/lists.js';
+import giftRoutes from './api/routes/gifts.js';
+import membershipRoutes from './api/routes/membership.js';
+import meRoutes from './api/routes/me.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,6 +74,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/checkout', checkoutRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/lists', listsRoutes);
+app.use('/api/gifts', giftRoutes);
+app.use('/api/membership', membershipRoutes);
+app.use('/api/me', meRoutes);
 
 // ===== Error Handling =====
 
@@ -95,6 +101,15 @@ const startServer = async () => {
     await initDB();
     logger.info('Database initialized');
 
+    // Single-price installs get a default plan from STRIPE_PRICE_ID
+    await planService.ensureDefaultPlan();
+
+    // First run: ADMIN_DISCORD_IDS become owners (ignored once an owner exists)
+    await adminUserService.bootstrapOwners();
+
+    // First run: RoleBot's webhook endpoint from ROLEBOT_WEBHOOK_URL/ROLEBOT_WEBHOOK_SECRET
+    await webhookEndpointService.bootstrapRoleBotEndpoint();
+
     // Schedule daily sync at 11:59 PM (23:59)
     cron.schedule('59 23 * * *', () => {
       logger.info('Running scheduled daily sync');
@@ -104,6 +119,40 @@ const startServer = async () => {
     });
     logger.info('Daily sync scheduled for 11:59 PM');
 
+    // Nightly Stripe reconciliation at 3:30 AM (auto-fix per RECONCILIATION_AUTO_FIX)
+    cron.schedule('30 3 * * *', () => {
+      reconciliationService.runReconciliation({ triggeredBy: 'cron' }).catch(err => {
+        logger.error({ err }, 'Scheduled Stripe reconciliation failed');
+      });
+    });
+
+    // Keep stored Discord OAuth tokens (guild auto-join) fresh - daily at 4:15 AM
+    cron.schedule('15 4 * * *', () => {
+      discordAuthService.refreshExpiringTokens().catch(err => {
+        logger.error({ err }, 'Discord OAuth token refresh failed');
+      });
+    });
+
+    // Start Stripe webhook worker (processes the event inbox via Bull)
+    await stripeEventQueue.startStripeEventWorker();
+
+    // Sweep the inbox every 15 minutes for events that were never queued
+    cron.schedule('*/15 * * * *', () => {
+      stripeEventQueue.requeueUnfinishedEvents().catch(err => {
+        logger.error({ err }, 'Stripe event inbox sweep failed');
+      });
+    });
+
+    // Start the outgoing webhook worker (delivers the webhook outbox via Bull)
+    await webhookDeliveryQueue.startWebhookDeliveryWorker();
+
+    // Sweep the outbox every 5 minutes for deliveries that were never queued
+    cron.schedule('*/5 * * * *', () => {
+      webhookDeliveryQueue.requeueUnfinishedDeliveries().catch(err => {
+        logger.error({ err }, 'Webhook outbox sweep failed');
+      });
+    });
+
     // Start server
     app.listen(PORT, () => {
       logger.info({ port: PORT }, 'Server started');
@@ -0,0 +1,102 @@
+import Queue from 'bull';
+import logger from '../utils/logger.js';
+import * as stripeEventService from '../services/stripeEventService.js';
+
+const QUEUE_NAME = 'stripe-events';
+const MAX_ATTEMPTS = parseInt(process.env.STRIPE_EVENT_MAX_ATTEMPTS || '8');
+const BACKOFF_DELAY_MS = parseInt(process.env.STRIPE_EVENT_BACKOFF_MS || '30000');
+const CONCURRENCY = parseInt(process.env.STRIPE_EVENT_CONCURRENCY || '2');
+
+let queue;
+
+/**
+ * Lazily create the Bull queue so importing this module doesn't open a Redis connection
+ */
+export const getQueue = () => {
+  if (!queue) {
+    queue = new Queue(QUEUE_NAME, process.env.REDIS_URL || 'redis://localhost:6379');
+
+    queue.on('error', (err) => {
+      logger.error({ err }, 'Stripe event queue error');
+    });
+  }
+  return queue;
+};
+
+/**
+ * Queue an inbox event for processing.
+ * The Stripe event ID is used as the job ID so duplicate enqueues are ignored.
+ */
+export const enqueueStripeEvent = async (stripeEventId) => {
+  const job = await getQueue().add(
+    { stripeEventId },
+    {
+      jobId: stripeEventId,
+      attempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+
+  logger.info({ stripeEventId, jobId: job.id }, 'Queued Stripe event');
+  return job;
+};
+
+/**
+ * Re-queue inbox events that never finished (received while Redis was down, worker crashed, etc.)
+ */
+export const requeueUnfinishedEvents = async () => {
+  const stripeEventIds = await stripeEventService.getUnfinishedEventIds();
+
+  for (const stripeEventId of stripeEventIds) {
+    try {
+      await enqueueStripeEvent(stripeEventId);
+    } catch (err) {
+      logger.error({ err, stripeEventId }, 'Failed to re-queue Stripe event');
+    }
+  }
+
+  if (stripeEventIds.length > 0) {
+    logger.info({ count: stripeEventIds.length }, 'Re-queued unfinished Stripe events');
+  }
+
+  return stripeEventIds.length;
+};
+
+/**
+ * Start processing Stripe events from the queue
+ */
+export const startStripeEventWorker = async () => {
+  const workerQueue = getQueue();
+
+  workerQueue.process(CONCURRENCY, async (job) => {
+    return stripeEventService.processEvent(job.data.stripeEventId);
+  });
+
+  workerQueue.on('failed', async (job, err) => {
+    const { stripeEventId } = job.data;
+
+    if (job.attemptsMade < job.opts.attempts) {
+      logger.warn({ stripeEventId, attemptsMade: job.attemptsMade, error: err.message }, 'Stripe event failed, will retry');
+      return;
+    }
+
+    try {
+      await stripeEventService.moveToDeadLetter(stripeEventId, err.message);
+    } catch (deadLetterErr) {
+      logger.error({ err: deadLetterErr, stripeEventId }, 'Failed to dead-letter Stripe event');
+    }
+  });
+
+  await requeueUnfinishedEvents();
+
+  logger.info({ concurrency: CONCURRENCY, maxAttempts: MAX_ATTEMPTS }, 'Stripe event worker started');
+};
+
+export const closeQueue = async () => {
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+};
@@ -0,0 +1,106 @@
+import Queue from 'bull';
+import logger from '../utils/logger.js';
+import * as webhookDeliveryService from '../services/webhookDeliveryService.js';
+
+const QUEUE_NAME = 'webhook-deliveries';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_DELIVERY_MAX_ATTEMPTS || '10');
+const BACKOFF_DELAY_MS = parseInt(process.env.WEBHOOK_DELIVERY_BACKOFF_MS || '30000');
+const CONCURRENCY = parseInt(process.env.WEBHOOK_DELIVERY_CONCURRENCY || '2');
+
+let queue;
+
+/**
+ * Lazily create the Bull queue so importing this module doesn't open a Redis connection
+ */
+export const getQueue = () => {
+  if (!queue) {
+    queue = new Queue(QUEUE_NAME, process.env.REDIS_URL || 'redis://localhost:6379');
+
+    queue.on('error', (err) => {
+      logger.error({ err }, 'Webhook delivery queue error');
+    });
+  }
+  return queue;
+};
+
+/**
+ * Queue an outbox delivery. The delivery ID is the job ID so duplicate enqueues are ignored.
+ */
+export const enqueueDelivery = async (deliveryId) => {
+  const job = await getQueue().add(
+    { deliveryId },
+    {
+      jobId: deliveryId,
+      attempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+
+  logger.debug({ deliveryId, jobId: job.id }, 'Queued webhook delivery');
+  return job;
+};
+
+export const enqueueDeliveries = async (deliveryIds) => {
+  for (const deliveryId of deliveryIds) {
+    try {
+      await enqueueDelivery(deliveryId);
+    } catch (err) {
+      // The outbox sweep picks it up later
+      logger.error({ err, deliveryId }, 'Failed to queue webhook delivery');
+    }
+  }
+};
+
+/**
+ * Re-queue deliveries that never finished (written while Redis was down, worker crashed, etc.)
+ */
+export const requeueUnfinishedDeliveries = async () => {
+  const deliveryIds = await webhookDeliveryService.getUnfinishedDeliveryIds();
+
+  await enqueueDeliveries(deliveryIds);
+
+  if (deliveryIds.length > 0) {
+    logger.info({ count: deliveryIds.length }, 'Re-queued unfinished webhook deliveries');
+  }
+
+  return deliveryIds.length;
+};
+
+/**
+ * Start sending webhook deliveries from the queue
+ */
+export const startWebhookDeliveryWorker = async () => {
+  const workerQueue = getQueue();
+
+  workerQueue.process(CONCURRENCY, async (job) => {
+    return webhookDeliveryService.attemptDelivery(job.data.deliveryId);
+  });
+
+  workerQueue.on('failed', async (job, err) => {
+    const { deliveryId } = job.data;
+
+    if (job.attemptsMade < job.opts.attempts) {
+      logger.warn({ deliveryId, attemptsMade: job.attemptsMade, error: err.message }, 'Webhook delivery failed, will retry');
+      return;
+    }
+
+    try {
+      await webhookDeliveryService.moveToDead(deliveryId, err.message);
+    } catch (deadErr) {
+      logger.error({ err: deadErr, deliveryId }, 'Failed to mark webhook delivery dead');
+    }
+  });
+
+  await requeueUnfinishedDeliveries();
+
+  logger.info({ concurrency: CONCURRENCY, maxAttempts: MAX_ATTEMPTS }, 'Webhook delivery worker started');
+};
+
+export const closeQueue = async () => {
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+};
@@ -0,0 +1,62 @@
+import 'dotenv/config.js';
+import { initDB, closeDB } from '../db/connection.js';
+import * as stripeBackfillService from '../services/stripeBackfillService.js';
+
+// Usage: npm run backfill:stripe -- --since=2025-11-01T00:00:00Z [--until=...] [--types=a,b] [--apply]
+const parseArgs = (argv) => {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+};
+
+const printEvent = (event) => {
+  const who = event.discordId ? `discord ${event.discordId}` : (event.customerId || 'no customer');
+  const status = event.localStatus !== undefined ? ` [${event.localStatus || 'missing'} -> ${event.eventStatus}]` : '';
+  const result = event.result ? ` => ${event.result}${event.error ? `: ${event.error}` : ''}` : '';
+  console.log(`  ${event.created}  ${event.eventId}  ${event.type}  (${who})${status}`);
+  console.log(`      ${event.action}${result}`);
+};
+
+const runBackfill = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.since) {
+    console.error('Usage: npm run backfill:stripe -- --since=<ISO date|unix> [--until=<ISO date|unix>] [--types=a,b] [--apply]');
+    process.exit(1);
+  }
+
+  await initDB();
+
+  try {
+    const report = await stripeBackfillService.backfillEvents({
+      since: args.since,
+      until: args.until,
+      types: args.types ? args.types.split(',') : null,
+      dryRun: !args.apply,
+    });
+
+    for (const warning of report.warnings) {
+      console.warn(`! ${warning}`);
+    }
+
+    console.log(`${report.dryRun ? 'DRY RUN - ' : ''}Stripe events from ${report.since} to ${report.until || 'now'}`);
+    console.log(`Scanned: ${report.scanned}, already processed: ${report.alreadyProcessed}, pending: ${report.events.length}`);
+    report.events.forEach(printEvent);
+
+    if (report.dryRun) {
+      console.log('\nNo changes made. Re-run with --apply to process these events.');
+    } else {
+      console.log(`\n✓ Processed: ${report.processed}, failed: ${report.failed}`);
+    }
+  } catch (err) {
+    console.error('Backfill failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+};
+
+runBackfill();
@@ -0,0 +1,86 @@
+import 'dotenv/config.js';
+import readline from 'readline/promises';
+import { initDB, closeDB } from '../db/connection.js';
+import * as doctorService from '../services/doctorService.js';
+
+// Usage: npm run doctor -- [--checks=a,b] [--fix] [--yes]
+const parseArgs = (argv) => {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+};
+
+const printViolation = (violation) => {
+  const details = Object.entries(violation.details)
+    .map(([key, value]) => `${key}=${value instanceof Date ? value.toISOString() : JSON.stringify(value)}`)
+    .join(' ');
+  console.log(`  user ${violation.userId} (discord ${violation.discordId})  ${details}`);
+};
+
+const printReport = (report) => {
+  const byCheck = new Map();
+  for (const violation of report.violations) {
+    byCheck.set(violation.check, [...(byCheck.get(violation.check) || []), violation]);
+  }
+
+  for (const [check, violations] of byCheck) {
+    const { description, suggestedFix, fixable } = violations[0];
+    console.log(`\n${check} (${violations.length}) - ${description}`);
+    console.log(`  fix: ${suggestedFix}${fixable ? '' : ' [not automatic]'}`);
+    violations.forEach(printViolation);
+  }
+
+  console.log(`\nViolations: ${report.violationCount}, fixable: ${report.fixableCount}`);
+};
+
+const confirm = async (question) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(question);
+  rl.close();
+  return answer.trim().toLowerCase() === 'y';
+};
+
+const runDoctor = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const checks = args.checks ? args.checks.split(',') : null;
+
+  await initDB();
+
+  try {
+    const report = await doctorService.runChecks({ checks });
+    printReport(report);
+
+    if (!args.fix) {
+      if (report.fixableCount > 0) {
+        console.log('\nNo changes made. Re-run with --fix to apply the fixes.');
+      }
+      return;
+    }
+
+    if (report.fixableCount === 0) {
+      console.log('\nNothing to fix.');
+      return;
+    }
+
+    if (!args.yes && !(await confirm(`\nApply ${report.fixableCount} fixes? [y/N] `))) {
+      console.log('Aborted.');
+      return;
+    }
+
+    const result = await doctorService.applyFixes({ checks, actorDiscordId: 'cli' });
+    for (const failure of result.results.filter(r => !r.fixed)) {
+      console.warn(`! ${failure.check} user ${failure.userId}: ${failure.error}`);
+    }
+    console.log(`\n✓ Fixed: ${result.fixed}, failed: ${result.failed}`);
+  } catch (err) {
+    console.error('Doctor failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDB();
+  }
+};
+
+runDoctor();
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+/**
+ * Triboar webhook signatures - used by the backend to sign outgoing webhooks and by
+ * receivers (RoleBot) to verify them. Depends only on Node's crypto module.
+ *
+ *   import { constructEvent } from 'triboar-guild-backend/webhook-signature';
+ *
+ *   app.post('/webhooks/rolebot', express.raw({ type: 'application/json' }), (req, res) => {
+ *     const event = constructEvent(req.body, req.get('X-Triboar-Signature'), process.env.TRIBOAR_WEBHOOK_SECRET);
+ *     // event.id is unique per event - skip ids you've already handled
+ *   });
+ *
+ * The header is `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">`. While a secret is
+ * being rotated it carries one v1 per secret; any one matching is enough.
+ */
+
+export const SIGNATURE_HEADER = 'X-Triboar-Signature';
+export const EVENT_ID_HEADER = 'X-Triboar-Event-Id';
+
+// Signatures older (or further in the future) than this are rejected as replays
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export class WebhookSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+const computeSignature = (payload, secret, timestamp) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+/**
+ * Header value for a raw body (string or Buffer), signed with one or more secrets
+ */
+export const signPayload = (payload, secrets, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = [secrets].flat().map(secret => `v1=${computeSignature(payload, secret, timestamp)}`);
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+const parseHeader = (header) => {
+  let timestamp = null;
+  const signatures = [];
+
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      timestamp = Number(value);
+    } else if (key === 'v1' && /^[0-9a-f]{64}$/.test(value || '')) {
+      signatures.push(value);
+    }
+  }
+
+  return { timestamp, signatures };
+};
+
+/**
+ * Check a raw body against its signature header. Throws WebhookSignatureError if the header
+ * is malformed, too old, or no signature matches the secret.
+ */
+export const verifySignature = (payload, header, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS } = {}) => {
+  if (!secret) {
+    throw new WebhookSignatureError('No webhook secret configured');
+  }
+
+  const { timestamp, signatures } = parseHeader(header);
+  if (!Number.isInteger(timestamp) || signatures.length === 0) {
+    throw new WebhookSignatureError(`Missing or malformed ${SIGNATURE_HEADER} header`);
+  }
+
+  if (tolerance > 0 && Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    throw new WebhookSignatureError('Signature timestamp is outside the tolerance window');
+  }
+
+  const expected = Buffer.from(computeSignature(payload, secret, timestamp), 'hex');
+  const matched = signatures.some(signature => crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex')));
+  if (!matched) {
+    throw new WebhookSignatureError('No signature matches the webhook secret');
+  }
+
+  return true;
+};
+
+/**
+ * Verify and parse a webhook body - returns the event ({ id, type, data, timestamp })
+ */
+export const constructEvent = (payload, header, secret, options) => {
+  verifySignature(payload, header, secret, options);
+  return JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : payload);
+};
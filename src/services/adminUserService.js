@@ -0,0 +1,187 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Admin user service - admins and their roles (admin_users).
+ * Each role has the permissions of the roles before it.
+ */
+
+export const ROLES = ['viewer', 'support', 'treasurer', 'owner'];
+
+// Lowest role that has each permission
+export const PERMISSIONS = {
+  'members:read': 'viewer', // users, subscribers, grace, dunning, plans
+  'reports:read': 'viewer', // audit logs, reports, reconciliation runs, doctor, dead letters
+  'members:write': 'support', // Discord roles, grace period, pauses, DM preferences
+  'billing:write': 'treasurer', // comps, gifts, entitlement revocation, plans
+  'operations:write': 'treasurer', // reconciliation runs, doctor fixes, webhook replay/backfill
+  'admins:manage': 'owner',
+  'api_keys:manage': 'owner',
+  'webhooks:manage': 'owner', // outgoing webhook endpoints and their signing secrets
+};
+
+export const hasPermission = (role, permission) => {
+  const required = PERMISSIONS[permission];
+  if (!required) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+export const getPermissions = (role) => Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+
+export const getAdmin = async (discordId) => {
+  if (!discordId) {
+    return null;
+  }
+
+  const result = await query('SELECT * FROM admin_users WHERE discord_id = $1', [discordId]);
+  return result.rows[0] || null;
+};
+
+export const listAdmins = async () => {
+  try {
+    const result = await query(
+      `SELECT a.*, u.id as user_id, u.discord_username
+       FROM admin_users a
+       LEFT JOIN users u ON u.discord_id = a.discord_id
+       ORDER BY array_position($1::varchar[], a.role) DESC, a.created_at ASC`,
+      [ROLES]
+    );
+    return result.rows;
+  } catch (err) {
+    logger.error({ err }, 'Failed to list admins');
+    throw err;
+  }
+};
+
+// Locks the owner rows so two owners can't demote each other at the same time
+const countOwners = async (client) => {
+  const result = await client.query("SELECT id FROM admin_users WHERE role = 'owner' FOR UPDATE");
+  return result.rows.length;
+};
+
+/**
+ * Add an admin or change their role
+ */
+export const setAdminRole = async (discordId, role, { note = null, actor }) => {
+  if (!/^\d{5,25}$/.test(discordId || '')) {
+    throw new ValidationError('discordId must be a Discord user ID');
+  }
+  if (!ROLES.includes(role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  try {
+    const { admin, previousRole } = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM admin_users WHERE discord_id = $1 FOR UPDATE', [discordId]);
+      const previous = existing.rows[0]?.role || null;
+
+      if (previous === 'owner' && role !== 'owner' && (await countOwners(client)) <= 1) {
+        throw new ConflictError('Cannot demote the last owner');
+      }
+
+      const result = await client.query(
+        `INSERT INTO admin_users (discord_id, role, note, added_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (discord_id) DO UPDATE
+         SET role = EXCLUDED.role, note = COALESCE(EXCLUDED.note, admin_users.note)
+         RETURNING *`,
+        [discordId, role, note, actor.discord_id]
+      );
+
+      return { admin: result.rows[0], previousRole: previous };
+    });
+
+    await auditLogService.logEvent(actor.id || null, 'admin.role_set', {
+      discordId,
+      role,
+      previousRole,
+      actorDiscordId: actor.discord_id,
+    }, { action: previousRole ? 'update' : 'create', resourceType: 'admin_user', resourceId: admin.id });
+
+    logger.info({ discordId, role, previousRole, actor: actor.discord_id }, 'Admin role set');
+
+    return admin;
+  } catch (err) {
+    logger.error({ err, discordId }, 'Failed to set admin role');
+    throw err;
+  }
+};
+
+export const removeAdmin = async (discordId, { actor }) => {
+  try {
+    const admin = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM admin_users WHERE discord_id = $1 FOR UPDATE', [discordId]);
+      if (!existing.rows[0]) {
+        throw new NotFoundError('Admin not found');
+      }
+
+      if (existing.rows[0].role === 'owner' && (await countOwners(client)) <= 1) {
+        throw new ConflictError('Cannot remove the last owner');
+      }
+
+      await client.query('DELETE FROM admin_users WHERE discord_id = $1', [discordId]);
+      return existing.rows[0];
+    });
+
+    // End their admin sessions now rather than at the next refresh
+    await query(
+      `UPDATE auth_sessions s
+       SET revoked_at = NOW(), revoked_reason = 'admin_access_removed'
+       FROM users u
+       WHERE u.id = s.user_id AND u.discord_id = $1 AND s.revoked_at IS NULL`,
+      [discordId]
+    );
+
+    await auditLogService.logEvent(actor.id || null, 'admin.removed', {
+      discordId,
+      role: admin.role,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'delete', resourceType: 'admin_user', resourceId: admin.id });
+
+    logger.info({ discordId, actor: actor.discord_id }, 'Admin removed');
+
+    return admin;
+  } catch (err) {
+    logger.error({ err, discordId }, 'Failed to remove admin');
+    throw err;
+  }
+};
+
+/**
+ * On startup: if there is no owner yet, make the ADMIN_DISCORD_IDS accounts owners.
+ * Once an owner exists the env var is ignored - manage admins through the API.
+ */
+export const bootstrapOwners = async () => {
+  const discordIds = (process.env.ADMIN_DISCORD_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  try {
+    const owners = await query("SELECT 1 FROM admin_users WHERE role = 'owner' LIMIT 1");
+    if (owners.rows.length > 0) {
+      return [];
+    }
+
+    if (discordIds.length === 0) {
+      logger.warn('No admin owner exists and ADMIN_DISCORD_IDS is empty - nobody can use the admin API');
+      return [];
+    }
+
+    for (const discordId of discordIds) {
+      await query(
+        `INSERT INTO admin_users (discord_id, role, note, added_by)
+         VALUES ($1, 'owner', 'Bootstrapped from ADMIN_DISCORD_IDS', 'system')
+         ON CONFLICT (discord_id) DO UPDATE SET role = 'owner'`,
+        [discordId]
+      );
+    }
+
+    logger.info({ count: discordIds.length }, 'Bootstrapped admin owners from ADMIN_DISCORD_IDS');
+    return discordIds;
+  } catch (err) {
+    logger.error({ err }, 'Failed to bootstrap admin owners');
+    throw err;
+  }
+};
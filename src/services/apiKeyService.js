@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * API key service - named, scoped keys for integrations (RoleBot, scripts).
+ * Keys look like tbk_<prefix>_<secret>; the prefix finds the row and only a SHA-256
+ * hash of the whole key is stored. Rotation issues a new key and lets the old one
+ * keep working for an overlap window.
+ */
+
+export const SCOPES = ['lists:read', 'gifts:write', 'members:read'];
+
+const KEY_PATTERN = /^tbk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+
+// last_used_at is only written this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `tbk_${prefix}_${secret}`, prefix };
+};
+
+// Never hand key_hash back out
+const toPublicKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.key_prefix,
+  scopes: row.scopes,
+  createdBy: row.created_by,
+  rotatedFromId: row.rotated_from_id,
+  expiresAt: row.expires_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at,
+  revokedBy: row.revoked_by,
+  createdAt: row.created_at,
+});
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown scopes: ${unknown.join(', ')}. Must be from: ${SCOPES.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+};
+
+const parseExpiresAt = (expiresAt) => {
+  if (!expiresAt) {
+    return null;
+  }
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new ValidationError('expiresAt must be a future date');
+  }
+  return date;
+};
+
+const insertKey = async (client, { name, scopes, expiresAt, createdBy, rotatedFromId = null }) => {
+  const { key, prefix } = generateKey();
+
+  const result = await client.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, rotated_from_id, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [name, prefix, hashKey(key), scopes, createdBy, rotatedFromId, expiresAt]
+  );
+
+  return { key, apiKey: toPublicKey(result.rows[0]) };
+};
+
+export const listApiKeys = async ({ includeRevoked = false } = {}) => {
+  try {
+    const result = await query(
+      `SELECT * FROM api_keys
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY name ASC, created_at DESC`
+    );
+    return result.rows.map(toPublicKey);
+  } catch (err) {
+    logger.error({ err }, 'Failed to list API keys');
+    throw err;
+  }
+};
+
+/**
+ * Create a key. The plaintext key is only returned here.
+ */
+export const createApiKey = async ({ name, scopes, expiresAt = null, actor }) => {
+  if (!name || typeof name !== 'string' || name.length > 255) {
+    throw new ValidationError('name is required');
+  }
+  const validScopes = validateScopes(scopes);
+  const expires = parseExpiresAt(expiresAt);
+
+  try {
+    const { key, apiKey } = await insertKey({ query }, {
+      name,
+      scopes: validScopes,
+      expiresAt: expires,
+      createdBy: actor.discord_id,
+    });
+
+    await auditLogService.logEvent(actor.id || null, 'api_key.created', {
+      apiKeyId: apiKey.id,
+      name,
+      scopes: validScopes,
+      expiresAt: expires,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'create', resourceType: 'api_key', resourceId: apiKey.id });
+
+    logger.info({ apiKeyId: apiKey.id, name, scopes: validScopes }, 'API key created');
+
+    return { key, apiKey };
+  } catch (err) {
+    logger.error({ err, name }, 'Failed to create API key');
+    throw err;
+  }
+};
+
+export const revokeApiKey = async (apiKeyId, { actor }) => {
+  try {
+    const result = await query(
+      `UPDATE api_keys
+       SET revoked_at = NOW(), revoked_by = $1
+       WHERE id = $2 AND revoked_at IS NULL
+       RETURNING *`,
+      [actor.discord_id, apiKeyId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Active API key not found');
+    }
+
+    await auditLogService.logEvent(actor.id || null, 'api_key.revoked', {
+      apiKeyId,
+      name: result.rows[0].name,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'revoke', resourceType: 'api_key', resourceId: apiKeyId });
+
+    logger.info({ apiKeyId }, 'API key revoked');
+
+    return toPublicKey(result.rows[0]);
+  } catch (err) {
+    logger.error({ err, apiKeyId }, 'Failed to revoke API key');
+    throw err;
+  }
+};
+
+/**
+ * Issue a replacement key (same name and scopes). The old key keeps working for
+ * overlapHours so the integration can switch without downtime.
+ */
+export const rotateApiKey = async (apiKeyId, { overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS, actor }) => {
+  const hours = Number(overlapHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 24 * 30) {
+    throw new ValidationError('overlapHours must be between 0 and 720');
+  }
+
+  try {
+    const { key, apiKey, oldExpiresAt } = await withTransaction(async (client) => {
+      const existing = await client.query('SELECT * FROM api_keys WHERE id = $1 FOR UPDATE', [apiKeyId]);
+      const old = existing.rows[0];
+
+      if (!old || old.revoked_at) {
+        throw new NotFoundError('Active API key not found');
+      }
+      if (old.expires_at && new Date(old.expires_at) <= new Date()) {
+        throw new ConflictError('API key has expired - create a new one instead');
+      }
+
+      const overlapEnd = new Date(Date.now() + hours * 60 * 60 * 1000);
+      const newOldExpiry = old.expires_at && new Date(old.expires_at) < overlapEnd ? new Date(old.expires_at) : overlapEnd;
+
+      await client.query('UPDATE api_keys SET expires_at = $1 WHERE id = $2', [newOldExpiry, old.id]);
+
+      const created = await insertKey(client, {
+        name: old.name,
+        scopes: old.scopes,
+        expiresAt: null,
+        createdBy: actor.discord_id,
+        rotatedFromId: old.id,
+      });
+
+      return { ...created, oldExpiresAt: newOldExpiry };
+    });
+
+    await auditLogService.logEvent(actor.id || null, 'api_key.rotated', {
+      apiKeyId: apiKey.id,
+      previousApiKeyId: apiKeyId,
+      name: apiKey.name,
+      previousKeyExpiresAt: oldExpiresAt,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'rotate', resourceType: 'api_key', resourceId: apiKey.id });
+
+    logger.info({ apiKeyId: apiKey.id, previousApiKeyId: apiKeyId, oldExpiresAt }, 'API key rotated');
+
+    return { key, apiKey, previousKeyExpiresAt: oldExpiresAt };
+  } catch (err) {
+    logger.error({ err, apiKeyId }, 'Failed to rotate API key');
+    throw err;
+  }
+};
+
+/**
+ * The active key row for a presented key, or null (unknown, revoked, expired or wrong secret)
+ */
+export const authenticateApiKey = async (key) => {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const result = await query('SELECT * FROM api_keys WHERE key_prefix = $1', [match[1]]);
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (row.revoked_at || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+    return null;
+  }
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    await query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [row.id]);
+  }
+
+  return toPublicKey(row);
+};
@@ -10,9 +10,11 @@ export const logEvent = async (userId, eventType, payload = {}, options = {}) =>
       stripeEventId = null,
       status = 'success',
       errorMessage = null,
+      client = null,
     } = options;
 
-    await query(
+    // Pass a transaction client to log as part of that transaction
+    await (client || { query }).query(
       `INSERT INTO audit_logs
        (user_id, event_type, action, resource_type, resource_id, stripe_event_id, payload, status, error_message)
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
@@ -115,3 +117,79 @@ export const getAuditLogsByStripeEventId = async (stripeEventId) => {
     throw err;
   }
 };
+
+/**
+ * Cancellation reasons and retention offers over a date range (default: last 30 days).
+ * Counts come from subscription.cancellation_recorded, which is logged once per cancellation
+ * whether it came from the member cancellation endpoint or the Stripe portal.
+ */
+export const getCancellationReasonSummary = async ({ startDate = null, endDate = null } = {}) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  try {
+    const reasonsResult = await query(
+      `SELECT payload->>'reason' as reason, payload->>'source' as source, COUNT(*) as count
+       FROM audit_logs
+       WHERE event_type = 'subscription.cancellation_recorded'
+         AND created_at >= $1 AND created_at < $2
+       GROUP BY 1, 2`,
+      [start, end]
+    );
+
+    const retentionResult = await query(
+      `SELECT event_type, payload->>'offer' as offer, COUNT(*) as count
+       FROM audit_logs
+       WHERE event_type IN ('retention_offer.shown', 'retention_offer.accepted', 'subscription.cancellation_withdrawn')
+         AND created_at >= $1 AND created_at < $2
+       GROUP BY 1, 2`,
+      [start, end]
+    );
+
+    const commentsResult = await query(
+      `SELECT user_id, payload->>'reason' as reason, payload->>'comment' as comment, created_at
+       FROM audit_logs
+       WHERE event_type = 'subscription.cancellation_recorded'
+         AND payload->>'comment' IS NOT NULL AND payload->>'comment' <> ''
+         AND created_at >= $1 AND created_at < $2
+       ORDER BY created_at DESC
+       LIMIT 50`,
+      [start, end]
+    );
+
+    const reasons = new Map();
+    for (const row of reasonsResult.rows) {
+      const entry = reasons.get(row.reason) || { reason: row.reason, count: 0, bySource: {} };
+      entry.count += parseInt(row.count);
+      entry.bySource[row.source] = parseInt(row.count);
+      reasons.set(row.reason, entry);
+    }
+
+    const retention = { shown: 0, accepted: {} };
+    let withdrawn = 0;
+    for (const row of retentionResult.rows) {
+      if (row.event_type === 'retention_offer.shown') {
+        retention.shown += parseInt(row.count);
+      } else if (row.event_type === 'retention_offer.accepted') {
+        retention.accepted[row.offer] = parseInt(row.count);
+      } else {
+        withdrawn += parseInt(row.count);
+      }
+    }
+
+    const sortedReasons = [...reasons.values()].sort((a, b) => b.count - a.count);
+
+    return {
+      since: start,
+      until: end,
+      totalCancellations: sortedReasons.reduce((total, entry) => total + entry.count, 0),
+      reasons: sortedReasons,
+      withdrawn,
+      retention,
+      recentComments: commentsResult.rows,
+    };
+  } catch (err) {
+    logger.error({ err }, 'Failed to summarize cancellation reasons');
+    throw err;
+  }
+};
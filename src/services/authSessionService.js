@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import { generateToken, decodeToken } from '../utils/jwt.js';
+import * as auditLogService from './auditLogService.js';
+import * as adminUserService from './adminUserService.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+
+/**
+ * Auth session service - admin sessions (short-lived access JWT + rotating refresh token)
+ * and server-side revocation of access tokens.
+ */
+
+const ADMIN_JWT_EXPIRE = process.env.ADMIN_JWT_EXPIRE || '15m';
+const ADMIN_SESSION_DAYS = parseInt(process.env.ADMIN_SESSION_DAYS || '14');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const issueTokens = (user, sessionId, refreshToken) => {
+  const accessToken = generateToken({
+    id: user.id,
+    discord_id: user.discord_id,
+    email: user.email,
+    type: 'admin',
+    sid: sessionId,
+  }, { expiresIn: ADMIN_JWT_EXPIRE });
+
+  const { exp, iat } = decodeToken(accessToken);
+
+  return { accessToken, refreshToken, expiresIn: exp - iat, sessionId };
+};
+
+/**
+ * Start an admin session for a user in admin_users
+ */
+export const createAdminSession = async (user, { userAgent = null, ipAddress = null } = {}) => {
+  if (!(await adminUserService.getAdmin(user.discord_id))) {
+    throw new ForbiddenError('Admin access required');
+  }
+
+  try {
+    const refreshToken = newRefreshToken();
+    const expiresAt = new Date(Date.now() + ADMIN_SESSION_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await query(
+      `INSERT INTO auth_sessions (user_id, kind, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, 'admin', $2, $3, $4, $5)
+       RETURNING id`,
+      [user.id, hashToken(refreshToken), userAgent, ipAddress, expiresAt]
+    );
+    const sessionId = result.rows[0].id;
+
+    await auditLogService.logEvent(user.id, 'auth.admin_login', {
+      sessionId,
+      discordId: user.discord_id,
+      ipAddress,
+    }, { action: 'login', resourceType: 'auth_session', resourceId: sessionId });
+
+    logger.info({ userId: user.id, sessionId }, 'Admin session started');
+
+    return issueTokens(user, sessionId, refreshToken);
+  } catch (err) {
+    logger.error({ err, userId: user.id }, 'Failed to create admin session');
+    throw err;
+  }
+};
+
+export const revokeSession = async (sessionId, reason) => {
+  const result = await query(
+    `UPDATE auth_sessions
+     SET revoked_at = NOW(), revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL
+     RETURNING user_id`,
+    [reason, sessionId]
+  );
+
+  if (result.rows[0]) {
+    logger.info({ sessionId, reason }, 'Auth session revoked');
+  }
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token (the old one stops working).
+ * Presenting an already-rotated refresh token means it leaked - the whole session is revoked.
+ */
+export const refreshAdminSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new UnauthorizedError('Missing refresh token');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  try {
+    const result = await query(
+      `SELECT s.*, u.discord_id, u.email
+       FROM auth_sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.refresh_token_hash = $1`,
+      [tokenHash]
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+      const reused = await query(
+        'SELECT id FROM auth_sessions WHERE previous_refresh_token_hash = $1 AND revoked_at IS NULL',
+        [tokenHash]
+      );
+      if (reused.rows[0]) {
+        await revokeSession(reused.rows[0].id, 'refresh_token_reuse');
+        logger.warn({ sessionId: reused.rows[0].id }, 'Rotated refresh token reused - session revoked');
+      }
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw new UnauthorizedError('Session has ended. Please log in again.');
+    }
+
+    // Removed from admin_users since logging in
+    if (!(await adminUserService.getAdmin(session.discord_id))) {
+      await revokeSession(session.id, 'admin_access_removed');
+      throw new ForbiddenError('Admin access required');
+    }
+
+    const nextRefreshToken = newRefreshToken();
+    const rotated = await query(
+      `UPDATE auth_sessions
+       SET refresh_token_hash = $1, previous_refresh_token_hash = $2, last_used_at = NOW()
+       WHERE id = $3 AND refresh_token_hash = $2
+       RETURNING id`,
+      [hashToken(nextRefreshToken), tokenHash, session.id]
+    );
+    if (!rotated.rows[0]) {
+      // Lost a race with a concurrent refresh of the same token
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    return issueTokens({ id: session.user_id, discord_id: session.discord_id, email: session.email }, session.id, nextRefreshToken);
+  } catch (err) {
+    logger.error({ err }, 'Failed to refresh admin session');
+    throw err;
+  }
+};
+
+/**
+ * Revoke one access token (by jti) until it would have expired anyway
+ */
+export const revokeAccessToken = async (decoded) => {
+  if (!decoded?.jti) {
+    return false;
+  }
+
+  await query(
+    `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3))
+     ON CONFLICT (jti) DO NOTHING`,
+    [decoded.jti, decoded.id || null, decoded.exp]
+  );
+
+  // Housekeeping - expired tokens fail verification anyway
+  await query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+
+  return true;
+};
+
+/**
+ * Is this (verified) access token revoked - by logout, or because its session ended?
+ */
+export const isTokenRevoked = async (decoded) => {
+  if (!decoded.jti && !decoded.sid) {
+    return false;
+  }
+
+  const result = await query(
+    `SELECT EXISTS (SELECT 1 FROM revoked_tokens WHERE jti = $1) as token_revoked,
+            EXISTS (
+              SELECT 1 FROM auth_sessions
+              WHERE id = $2 AND (revoked_at IS NOT NULL OR expires_at <= NOW())
+            ) as session_ended`,
+    [decoded.jti || null, decoded.sid || null]
+  );
+
+  return result.rows[0].token_revoked || result.rows[0].session_ended;
+};
+
+/**
+ * Log out: revoke the presented access token and its session, and/or the session of a refresh token
+ */
+export const logout = async (decoded, { refreshToken = null } = {}) => {
+  try {
+    let revoked = false;
+
+    if (decoded) {
+      revoked = await revokeAccessToken(decoded);
+      if (decoded.sid) {
+        await revokeSession(decoded.sid, 'logout');
+      }
+    }
+
+    if (refreshToken) {
+      const result = await query(
+        'SELECT id FROM auth_sessions WHERE refresh_token_hash = $1',
+        [hashToken(refreshToken)]
+      );
+      if (result.rows[0]) {
+        revoked = (await revokeSession(result.rows[0].id, 'logout')) || revoked;
+      }
+    }
+
+    if (decoded?.id) {
+      await auditLogService.logEvent(decoded.id, 'auth.logout', {
+        sessionId: decoded.sid || null,
+        type: decoded.type || 'member',
+      }, { action: 'logout', resourceType: 'auth_session', resourceId: decoded.sid || null });
+    }
+
+    return revoked;
+  } catch (err) {
+    logger.error({ err }, 'Failed to log out');
+    throw err;
+  }
+};
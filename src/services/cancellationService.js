@@ -0,0 +1,259 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as pauseService from './pauseService.js';
+import * as auditLogService from './auditLogService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Cancellation service - member cancellations with a required reason, retention offers
+ * (pause, one-time discount) shown before cancelling, and recording of Stripe's
+ * cancellation_details for cancellations made anywhere (including the Stripe portal).
+ */
+
+// CANCELLATION_REASONS: comma-separated `key` or `key:Label` entries
+const DEFAULT_REASONS = 'too_expensive:Too expensive,not_playing:Not playing right now,schedule:Sessions don\'t fit my schedule,switched_service:Joined another group,missing_features:Missing something I wanted,other:Other';
+
+const RETENTION_COUPON_ID = process.env.RETENTION_COUPON_ID || null;
+
+// Stripe's cancellation_details.feedback values - our reason keys are passed through when they match
+const STRIPE_FEEDBACK = ['customer_service', 'low_quality', 'missing_features', 'other', 'switched_service', 'too_complex', 'too_expensive', 'unused'];
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+export const getCancellationReasons = () => {
+  return (process.env.CANCELLATION_REASONS || DEFAULT_REASONS)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, ...label] = entry.split(':');
+      return { key: key.trim(), label: label.join(':').trim() || key.trim().replace(/_/g, ' ') };
+    });
+};
+
+const validateReason = (reason) => {
+  const keys = getCancellationReasons().map(r => r.key);
+  if (!reason) {
+    throw new ValidationError('reason is required');
+  }
+  if (!keys.includes(reason)) {
+    throw new ValidationError(`Invalid reason. Must be one of: ${keys.join(', ')}`);
+  }
+};
+
+const getCancellableSubscription = async (userId) => {
+  const subscription = await subscriptionService.getActiveSubscription(userId);
+  if (!subscription) {
+    throw new NotFoundError('No active subscription to cancel');
+  }
+  if (subscription.cancel_at_period_end) {
+    throw new ConflictError('Subscription is already set to cancel at the end of the period');
+  }
+  return subscription;
+};
+
+const hasUsedDiscountOffer = async (userId) => {
+  const result = await query('SELECT 1 FROM retention_discounts WHERE user_id = $1', [userId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Claim the member's one-time discount before it's applied in Stripe.
+ * The unique user_id means only one request can win, however many race.
+ */
+const claimDiscountOffer = async (userId, subscription, reason) => {
+  const result = await query(
+    `INSERT INTO retention_discounts (user_id, stripe_subscription_id, coupon_id, reason)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id) DO NOTHING
+     RETURNING id`,
+    [userId, subscription.stripe_subscription_id, RETENTION_COUPON_ID, reason]
+  );
+
+  if (!result.rows[0]) {
+    throw new ConflictError('The retention discount has already been used');
+  }
+  return result.rows[0].id;
+};
+
+/**
+ * Retention offers the member can take instead of cancelling
+ */
+const getRetentionOffers = async (user, subscription) => {
+  const offers = [];
+
+  if (user.tier === 'paid' && subscription.status === 'active' && !(await pauseService.getActivePause(user.id))) {
+    offers.push({ type: 'pause', description: 'Pause your membership instead - no charges until you come back' });
+  }
+
+  if (RETENTION_COUPON_ID && !(await hasUsedDiscountOffer(user.id))) {
+    offers.push({ type: 'discount', couponId: RETENTION_COUPON_ID, description: 'A one-time discount on your next payment' });
+  }
+
+  return offers;
+};
+
+const getUser = async (userId) => {
+  const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0]) {
+    throw new NotFoundError('User not found');
+  }
+  return result.rows[0];
+};
+
+export const getCancellationOptions = async (userId) => {
+  const user = await getUser(userId);
+  const subscription = await getCancellableSubscription(userId);
+
+  return {
+    reasons: getCancellationReasons(),
+    offers: await getRetentionOffers(user, subscription),
+    cancelAt: subscription.current_period_end,
+  };
+};
+
+/**
+ * Cancel at period end. Unless skipOffers, available retention offers are returned
+ * first and nothing is cancelled.
+ */
+export const requestCancellation = async (userId, { reason, comment = null, skipOffers = false }) => {
+  validateReason(reason);
+
+  try {
+    const user = await getUser(userId);
+    const subscription = await getCancellableSubscription(userId);
+
+    const offers = await getRetentionOffers(user, subscription);
+    if (offers.length > 0 && !skipOffers) {
+      await auditLogService.logEvent(userId, 'retention_offer.shown', {
+        reason,
+        offers: offers.map(offer => offer.type),
+      }, { action: 'offer', resourceType: 'subscription', resourceId: subscription.stripe_subscription_id });
+
+      return { cancelled: false, offers };
+    }
+
+    const stripeSubscription = await stripeService.cancelSubscriptionAtPeriodEnd(subscription.stripe_subscription_id, {
+      reason,
+      feedback: STRIPE_FEEDBACK.includes(reason) ? reason : 'other',
+      comment,
+    });
+    await subscriptionService.createOrUpdateSubscription(userId, stripeSubscription);
+
+    const cancelAt = toDate(stripeSubscription.cancel_at || stripeSubscription.current_period_end);
+
+    await auditLogService.logEvent(userId, 'membership.cancel_requested', {
+      subscriptionId: stripeSubscription.id,
+      reason,
+      comment,
+      offersDeclined: offers.map(offer => offer.type),
+      cancelAt,
+    }, { action: 'cancel', resourceType: 'subscription', resourceId: stripeSubscription.id });
+
+    logger.info({ userId, subscriptionId: stripeSubscription.id, reason }, 'Member cancelled subscription');
+
+    return { cancelled: true, cancelAt };
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to cancel subscription');
+    throw err;
+  }
+};
+
+/**
+ * Take a retention offer instead of cancelling
+ */
+export const acceptRetentionOffer = async (userId, { offer, reason, resumesAt = null }) => {
+  validateReason(reason);
+
+  try {
+    const user = await getUser(userId);
+    const subscription = await getCancellableSubscription(userId);
+
+    const offers = await getRetentionOffers(user, subscription);
+    if (!offers.some(available => available.type === offer)) {
+      throw new ValidationError(`Offer not available. Available: ${offers.map(o => o.type).join(', ') || 'none'}`);
+    }
+
+    let result;
+    if (offer === 'pause') {
+      result = {
+        pause: await pauseService.pauseMembership(userId, {
+          resumesAt,
+          reason: `Retention offer instead of cancelling (${reason})`,
+          requestedBy: user.discord_id,
+        }),
+      };
+    } else {
+      const claimId = await claimDiscountOffer(userId, subscription, reason);
+
+      let stripeSubscription;
+      try {
+        stripeSubscription = await stripeService.applySubscriptionCoupon(subscription.stripe_subscription_id, RETENTION_COUPON_ID);
+      } catch (err) {
+        // Stripe didn't apply it, so the member can still take it
+        await query('DELETE FROM retention_discounts WHERE id = $1 AND applied_at IS NULL', [claimId]);
+        throw err;
+      }
+
+      await query('UPDATE retention_discounts SET applied_at = NOW() WHERE id = $1', [claimId]);
+      await subscriptionService.createOrUpdateSubscription(userId, stripeSubscription);
+      result = { couponId: RETENTION_COUPON_ID };
+    }
+
+    await auditLogService.logEvent(userId, 'retention_offer.accepted', {
+      offer,
+      reason,
+      subscriptionId: subscription.stripe_subscription_id,
+    }, { action: 'accept', resourceType: 'subscription', resourceId: subscription.stripe_subscription_id });
+
+    logger.info({ userId, offer, reason }, 'Retention offer accepted');
+
+    return { offer, ...result };
+  } catch (err) {
+    logger.error({ err, userId, offer }, 'Failed to accept retention offer');
+    throw err;
+  }
+};
+
+/**
+ * Log a subscription's cancellation_details once per cancellation (customer.subscription.updated/deleted).
+ * A cancellation that is withdrawn (cancel_at_period_end turned off) is logged as withdrawn.
+ */
+export const recordCancellationDetails = async (user, stripeSubscription, { previousAttributes = {}, stripeEventId = null } = {}) => {
+  const { id: subscriptionId, cancellation_details: details, metadata } = stripeSubscription;
+  const cancelling = stripeSubscription.cancel_at_period_end || stripeSubscription.status === 'canceled';
+
+  const lastResult = await query(
+    `SELECT event_type FROM audit_logs
+     WHERE resource_id = $1
+       AND event_type IN ('subscription.cancellation_recorded', 'subscription.cancellation_withdrawn')
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [subscriptionId]
+  );
+  const recorded = lastResult.rows[0]?.event_type === 'subscription.cancellation_recorded';
+
+  if (!cancelling) {
+    if (recorded && previousAttributes.cancel_at_period_end === true) {
+      await auditLogService.logEvent(user.id, 'subscription.cancellation_withdrawn', {
+        subscriptionId,
+      }, { action: 'withdraw', resourceType: 'subscription', resourceId: subscriptionId, stripeEventId });
+    }
+    return;
+  }
+
+  if (recorded || !details?.reason) {
+    return;
+  }
+
+  await auditLogService.logEvent(user.id, 'subscription.cancellation_recorded', {
+    subscriptionId,
+    reason: metadata?.cancellation_reason || details.feedback || 'unspecified',
+    source: metadata?.cancellation_reason ? 'member' : 'stripe',
+    feedback: details.feedback || null,
+    comment: details.comment || null,
+    stripeReason: details.reason,
+  }, { action: 'cancel', resourceType: 'subscription', resourceId: subscriptionId, stripeEventId });
+};
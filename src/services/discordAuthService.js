@@ -1,19 +1,90 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
-import { UnauthorizedError, ConflictError } from '../utils/errors.js';
+import { encrypt, decrypt, isEncryptionConfigured } from '../utils/encryption.js';
+import { UnauthorizedError, ConflictError, ValidationError, OAuthStateError } from '../utils/errors.js';
 
 const DISCORD_API_BASE = 'https://discord.com/api/v10';
 const OAUTH_ENDPOINT = `${DISCORD_API_BASE}/oauth2/authorize`;
 const TOKEN_ENDPOINT = `${DISCORD_API_BASE}/oauth2/token`;
 const USER_ENDPOINT = `${DISCORD_API_BASE}/users/@me`;
 
-export const getOAuthURL = () => {
+// What the member came to do - decides where the callback sends them (admin: officer login)
+export const OAUTH_INTENTS = ['join', 'manage', 'redeem-gift', 'admin'];
+
+export const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const signState = (payload) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`oauth_state:${payload}`)
+  .digest('base64url');
+
+/**
+ * returnTo must be a path on the site (no scheme/host, no protocol-relative //)
+ */
+const validateReturnTo = (returnTo) => {
+  if (!returnTo) {
+    return null;
+  }
+  if (typeof returnTo !== 'string' || returnTo.length > 512 || !/^\/(?![/\\])[^\s\\]*$/.test(returnTo)) {
+    throw new ValidationError('returnTo must be a path on the site');
+  }
+  return returnTo;
+};
+
+/**
+ * Signed, short-lived OAuth state. The nonce goes in a cookie so the state only
+ * works in the browser that started the login.
+ */
+export const createOAuthState = ({ intent = 'join', returnTo = null } = {}) => {
+  if (!OAUTH_INTENTS.includes(intent)) {
+    throw new ValidationError(`Invalid intent. Must be one of: ${OAUTH_INTENTS.join(', ')}`);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    intent,
+    returnTo: validateReturnTo(returnTo),
+    nonce,
+    exp: Date.now() + OAUTH_STATE_TTL_MS,
+  })).toString('base64url');
+
+  return { state: `${payload}.${signState(payload)}`, nonce };
+};
+
+export const verifyOAuthState = (state, nonce) => {
+  const [payload, signature] = (state || '').split('.');
+  if (!payload || !signature) {
+    throw new OAuthStateError('INVALID_STATE');
+  }
+
+  const expected = Buffer.from(signState(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new OAuthStateError('INVALID_STATE');
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+  if (data.exp < Date.now()) {
+    throw new OAuthStateError('STATE_EXPIRED', 'Login link expired. Please try again.');
+  }
+  if (!nonce || data.nonce !== nonce) {
+    throw new OAuthStateError('INVALID_STATE');
+  }
+
+  return { intent: data.intent, returnTo: data.returnTo };
+};
+
+export const getOAuthURL = (state) => {
   const params = new URLSearchParams({
     client_id: process.env.DISCORD_CLIENT_ID,
     redirect_uri: process.env.DISCORD_REDIRECT_URI,
     response_type: 'code',
-    scope: 'identify email',
+    // guilds.join lets the bot add paying members who aren't in the server yet
+    scope: 'identify email guilds.join',
+    state,
   });
 
   return `${OAUTH_ENDPOINT}?${params.toString()}`;
@@ -119,6 +190,46 @@ export const syncOrCreateUser = async (discordUser) => {
   }
 };
 
+/**
+ * Store a member's OAuth tokens (encrypted). Skipped when TOKEN_ENCRYPTION_KEY isn't set.
+ */
+export const saveOAuthTokens = async (userId, tokenData) => {
+  if (!isEncryptionConfigured()) {
+    logger.warn({ userId }, 'TOKEN_ENCRYPTION_KEY not set - not storing Discord OAuth tokens');
+    return false;
+  }
+
+  try {
+    const expiresAt = new Date(Date.now() + (tokenData.expires_in || 0) * 1000);
+
+    await query(
+      `INSERT INTO discord_oauth_tokens (user_id, access_token_encrypted, refresh_token_encrypted, scope, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id) DO UPDATE
+       SET access_token_encrypted = EXCLUDED.access_token_encrypted,
+           refresh_token_encrypted = COALESCE(EXCLUDED.refresh_token_encrypted, discord_oauth_tokens.refresh_token_encrypted),
+           scope = EXCLUDED.scope,
+           expires_at = EXCLUDED.expires_at`,
+      [
+        userId,
+        encrypt(tokenData.access_token),
+        tokenData.refresh_token ? encrypt(tokenData.refresh_token) : null,
+        tokenData.scope || null,
+        expiresAt,
+      ]
+    );
+
+    return true;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to store Discord OAuth tokens');
+    throw err;
+  }
+};
+
+export const deleteOAuthTokens = async (userId) => {
+  await query('DELETE FROM discord_oauth_tokens WHERE user_id = $1', [userId]);
+};
+
 export const handleOAuthCallback = async (code) => {
   try {
     // Exchange code for token
@@ -130,6 +241,13 @@ export const handleOAuthCallback = async (code) => {
     // Sync or create user in database
     const user = await syncOrCreateUser(discordUser);
 
+    // Kept for adding the member to the guild after they pay
+    try {
+      await saveOAuthTokens(user.id, tokenData);
+    } catch (err) {
+      logger.error({ err, userId: user.id }, 'Continuing login without stored Discord tokens');
+    }
+
     return {
       user,
       accessToken: tokenData.access_token,
@@ -143,16 +261,114 @@ export const handleOAuthCallback = async (code) => {
 
 export const refreshAccessToken = async (refreshToken) => {
   try {
-    const response = await axios.post(TOKEN_ENDPOINT, {
-      client_id: process.env.DISCORD_CLIENT_ID,
-      client_secret: process.env.DISCORD_CLIENT_SECRET,
-      grant_type: 'refresh_token',
-      refresh_token: refreshToken,
+    // Discord's token endpoint only accepts form-encoded bodies
+    const params = new URLSearchParams();
+    params.append('client_id', process.env.DISCORD_CLIENT_ID);
+    params.append('client_secret', process.env.DISCORD_CLIENT_SECRET);
+    params.append('grant_type', 'refresh_token');
+    params.append('refresh_token', refreshToken);
+
+    const response = await axios.post(TOKEN_ENDPOINT, params, {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
     });
 
     return response.data;
   } catch (err) {
-    logger.error({ err }, 'Failed to refresh access token');
-    throw new UnauthorizedError('Failed to refresh Discord token');
+    logger.error({
+      errorMessage: err.message,
+      statusCode: err.response?.status,
+      discordResponse: err.response?.data,
+    }, 'Failed to refresh access token');
+
+    // 4xx means the refresh token is no good (revoked, expired, app de-authorized)
+    if (err.response?.status >= 400 && err.response?.status < 500) {
+      throw new UnauthorizedError('Failed to refresh Discord token');
+    }
+    throw err;
+  }
+};
+
+// Refresh access tokens this close to expiring
+const REFRESH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Refresh a stored token and save the new pair. A refresh token Discord
+ * rejects (revoked, or the member de-authorized the app) is deleted.
+ * Returns { status: refreshed|discarded|failed, accessToken }.
+ */
+const refreshStoredToken = async (row) => {
+  if (!row.refresh_token_encrypted) {
+    await deleteOAuthTokens(row.user_id);
+    return { status: 'discarded', accessToken: null };
+  }
+
+  try {
+    const tokenData = await refreshAccessToken(decrypt(row.refresh_token_encrypted));
+    await saveOAuthTokens(row.user_id, tokenData);
+    return { status: 'refreshed', accessToken: tokenData.access_token };
+  } catch (err) {
+    if (err instanceof UnauthorizedError) {
+      logger.warn({ userId: row.user_id }, 'Discarding Discord OAuth tokens that could not be refreshed');
+      await deleteOAuthTokens(row.user_id);
+      return { status: 'discarded', accessToken: null };
+    }
+
+    // Network or Discord outage - keep the tokens and try again later
+    logger.error({ err, userId: row.user_id }, 'Failed to refresh stored Discord token');
+    return { status: 'failed', accessToken: null };
   }
 };
+
+/**
+ * A member's usable Discord access token (refreshed if needed), or null if we don't have one
+ */
+export const getValidAccessToken = async (userId) => {
+  if (!isEncryptionConfigured()) {
+    return null;
+  }
+
+  try {
+    const result = await query('SELECT * FROM discord_oauth_tokens WHERE user_id = $1', [userId]);
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    if (new Date(row.expires_at).getTime() - Date.now() > 60 * 1000) {
+      return decrypt(row.access_token_encrypted);
+    }
+
+    const { accessToken } = await refreshStoredToken(row);
+    return accessToken;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get Discord access token');
+    return null;
+  }
+};
+
+/**
+ * Refresh stored tokens expiring within a day (daily job)
+ */
+export const refreshExpiringTokens = async () => {
+  if (!isEncryptionConfigured()) {
+    return { refreshed: 0, discarded: 0, failed: 0 };
+  }
+
+  const result = await query(
+    'SELECT * FROM discord_oauth_tokens WHERE expires_at < $1',
+    [new Date(Date.now() + REFRESH_WINDOW_MS)]
+  );
+
+  const counts = { refreshed: 0, discarded: 0, failed: 0 };
+
+  for (const row of result.rows) {
+    const { status } = await refreshStoredToken(row);
+    counts[status]++;
+  }
+
+  logger.info(counts, 'Refreshed expiring Discord OAuth tokens');
+
+  return counts;
+};
@@ -1,6 +1,9 @@
 import axios from 'axios';
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
+import * as planService from './planService.js';
+import * as discordAuthService from './discordAuthService.js';
+import * as auditLogService from './auditLogService.js';
 
 const DISCORD_API_BASE = 'https://discord.com/api/v10';
 const BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
@@ -123,7 +126,20 @@ export const hasPlayerRole = async (discordId) => {
   }
 };
 
-export const syncRoles = async (discordId, shouldHavePaid = false) => {
+const getUserPlanKey = async (discordId) => {
+  const result = await query(
+    'SELECT plan_tier FROM users WHERE discord_id = $1',
+    [discordId]
+  );
+  return result.rows[0]?.plan_tier || null;
+};
+
+/**
+ * Sync a member's roles: the base paid role, the roles of their plan
+ * (roles of other plans are removed) and the combined guild member role.
+ * planKey defaults to the user's current plan.
+ */
+export const syncRoles = async (discordId, shouldHavePaid = false, planKey = null) => {
   try {
     const hasPaid = await hasPaidRole(discordId);
     const hasPlayer = await hasPlayerRole(discordId);
@@ -139,6 +155,29 @@ export const syncRoles = async (discordId, shouldHavePaid = false) => {
       changes.push({ action: 'removed', role: 'paid' });
     }
 
+    // Handle plan roles
+    const plan = shouldHavePaid
+      ? await planService.getPlanByKey(planKey || await getUserPlanKey(discordId))
+      : null;
+    const desiredPlanRoles = new Set(plan?.discord_role_ids || []);
+    const managedPlanRoles = await planService.getAllPlanRoleIds();
+
+    if (managedPlanRoles.length > 0) {
+      const currentRoles = await getMemberRoles(discordId);
+
+      for (const roleId of managedPlanRoles) {
+        const hasPlanRole = currentRoles.includes(roleId);
+
+        if (desiredPlanRoles.has(roleId) && !hasPlanRole) {
+          await addRoleToMember(discordId, roleId, `Plan: ${plan.display_name}`);
+          changes.push({ action: 'added', role: roleId, plan: plan.tier_key });
+        } else if (!desiredPlanRoles.has(roleId) && hasPlanRole) {
+          await removeRoleFromMember(discordId, roleId, 'Plan changed or ended - sync');
+          changes.push({ action: 'removed', role: roleId });
+        }
+      }
+    }
+
     // Handle guild member role (combined @Player + @Paid Member)
     const shouldHaveGuildMember = hasPlayer && shouldHavePaid;
     const hasGuildMember = await hasRole(discordId, process.env.DISCORD_GUILD_MEMBER_ROLE_ID);
@@ -198,3 +237,79 @@ export const getGuildMember = async (discordId) => {
     throw err;
   }
 };
+
+// Discord error code for "Unknown Member"
+const UNKNOWN_MEMBER = 10007;
+
+const isUnknownMember = (err) => err.response?.status === 404
+  && (err.response?.data?.code === UNKNOWN_MEMBER || !err.response?.data?.code);
+
+/**
+ * Add a user to the guild with their OAuth access token (needs the guilds.join scope).
+ * Discord returns 201 when added and 204 when they were already in the server.
+ */
+export const addMemberToGuild = async (discordId, accessToken) => {
+  try {
+    const response = await withRetry(async () => {
+      return await api.put(`/guilds/${GUILD_ID}/members/${discordId}`, { access_token: accessToken });
+    });
+
+    const added = response.status === 201;
+    if (added) {
+      logger.info({ discordId }, 'Added member to guild');
+    }
+    return added;
+  } catch (err) {
+    const errorMsg = err.response?.data?.message || err.message;
+    logger.error({ discordId, error: errorMsg }, 'Failed to add member to guild');
+    throw err;
+  }
+};
+
+/**
+ * Make sure a paying member is in the guild before their roles are synced.
+ * Returns 'member' (already in), 'joined' (added with their stored OAuth token)
+ * or 'no_token' (not in the server and we can't add them).
+ */
+export const ensureGuildMember = async (user) => {
+  try {
+    await getGuildMember(user.discord_id);
+    return 'member';
+  } catch (err) {
+    if (!isUnknownMember(err)) {
+      throw err;
+    }
+  }
+
+  const accessToken = await discordAuthService.getValidAccessToken(user.id);
+  if (!accessToken) {
+    logger.warn({ discordId: user.discord_id }, 'Member is not in the guild and has no stored OAuth token');
+    return 'no_token';
+  }
+
+  await addMemberToGuild(user.discord_id, accessToken);
+
+  await auditLogService.logEvent(user.id, 'discord.guild_joined', {
+    discordId: user.discord_id,
+    guildId: GUILD_ID,
+  }, { action: 'join', resourceType: 'discord_member', resourceId: user.discord_id });
+
+  return 'joined';
+};
+
+/**
+ * Roles for someone who was just given paid access (checkout, renewal, gift, comp, resume):
+ * add them to the guild first if they paid before joining. A failed guild check is only
+ * logged, so the role sync still runs.
+ */
+export const grantMemberRoles = async (user, planKey = null) => {
+  let guildMembership = null;
+  try {
+    guildMembership = await ensureGuildMember(user);
+  } catch (err) {
+    logger.error({ err, discordId: user.discord_id }, 'Failed to make sure member is in the guild');
+  }
+
+  const changes = await syncRoles(user.discord_id, true, planKey);
+  return { guildMembership, changes };
+};
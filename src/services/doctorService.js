@@ -0,0 +1,331 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as membershipService from './membershipService.js';
+import * as entitlementService from './entitlementService.js';
+import * as auditLogService from './auditLogService.js';
+import { GRACE_PERIOD_DAYS } from './gracePeriodService.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Doctor service - invariant checks across users, subscriptions, grace_period and
+ * admin_overrides. Each check finds violating rows and, where the right answer is
+ * unambiguous, knows how to fix them. Tier changes go through the state machine.
+ */
+
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'paused'];
+
+const DOCTOR_ACTOR = 'doctor';
+
+// The user's newest live subscription (if any)
+const latestLiveSubscription = (statusParam) => `
+  LEFT JOIN LATERAL (
+    SELECT s.stripe_subscription_id, s.status, s.pause_collection
+    FROM subscriptions s
+    WHERE s.user_id = u.id AND s.status = ANY(${statusParam})
+    ORDER BY s.created_at DESC
+    LIMIT 1
+  ) live ON true`;
+
+const transitionFix = (to, reason) => async (violation) => {
+  await membershipService.transition(violation.userId, to(violation), {
+    reason,
+    actor: DOCTOR_ACTOR,
+    metadata: { check: violation.check },
+  });
+};
+
+const CHECKS = [
+  {
+    key: 'member_without_coverage',
+    description: 'Member state but no live subscription and no remaining membership time',
+    suggestedFix: 'Move to grace',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, u.subscription_end_date,
+              (SELECT status FROM subscriptions s WHERE s.user_id = u.id ORDER BY s.created_at DESC LIMIT 1) as latest_subscription_status
+       FROM users u
+       ${latestLiveSubscription('$2')}
+       WHERE u.tier = ANY($1)
+         AND live.stripe_subscription_id IS NULL
+         AND NOT u.lifetime
+         AND (u.subscription_end_date IS NULL OR u.subscription_end_date <= NOW())`,
+      [membershipService.MEMBER_STATES, LIVE_STATUSES]
+    ),
+    fix: transitionFix(() => 'grace', 'Doctor: member without a subscription or membership time'),
+  },
+  {
+    key: 'tier_subscription_mismatch',
+    description: "Tier doesn't match the user's live subscription status",
+    suggestedFix: 'Move to the state matching the subscription',
+    find: async () => {
+      const result = await query(
+        `SELECT u.id as user_id, u.discord_id, u.tier, live.stripe_subscription_id, live.status as subscription_status,
+                live.pause_collection
+         FROM users u
+         ${latestLiveSubscription('$1')}
+         WHERE live.stripe_subscription_id IS NOT NULL`,
+        [LIVE_STATUSES]
+      );
+
+      return {
+        rows: result.rows
+          .map(row => ({
+            ...row,
+            expected_tier: membershipService.stateForStripeSubscription({
+              status: row.subscription_status,
+              pause_collection: row.pause_collection,
+            }),
+          }))
+          .filter(row => row.expected_tier && row.tier !== row.expected_tier),
+      };
+    },
+    fix: transitionFix(violation => violation.details.expected_tier, 'Doctor: tier matched to subscription status'),
+  },
+  {
+    key: 'covered_user_not_member',
+    description: 'Free or grace user whose membership time (gift, comp, lifetime) is still running',
+    suggestedFix: 'Recompute membership from the entitlement ledger and activate',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, u.subscription_end_date, u.lifetime
+       FROM users u
+       WHERE u.tier IN ('free', 'grace')
+         AND (u.lifetime OR u.subscription_end_date > NOW())`
+    ),
+    fix: async (violation) => {
+      await entitlementService.refreshMembership(violation.userId, { activate: true });
+    },
+  },
+  {
+    key: 'grace_row_without_grace_tier',
+    description: "grace_period row for a user who isn't in grace",
+    suggestedFix: 'Delete the grace_period row',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, g.grace_period_ends_at
+       FROM grace_period g
+       JOIN users u ON u.id = g.user_id
+       WHERE u.tier <> 'grace'`
+    ),
+    fix: async (violation) => {
+      await query("DELETE FROM grace_period WHERE user_id = $1 AND EXISTS (SELECT 1 FROM users WHERE id = $1 AND tier <> 'grace')", [violation.userId]);
+    },
+  },
+  {
+    key: 'grace_end_date_without_grace_tier',
+    description: "users.grace_period_end_date set for a user who isn't in grace",
+    suggestedFix: 'Clear grace_period_end_date',
+    find: () => query(
+      `SELECT id as user_id, discord_id, tier, grace_period_end_date
+       FROM users
+       WHERE tier <> 'grace' AND grace_period_end_date IS NOT NULL`
+    ),
+    fix: async (violation) => {
+      await query("UPDATE users SET grace_period_end_date = NULL WHERE id = $1 AND tier <> 'grace'", [violation.userId]);
+    },
+  },
+  {
+    key: 'grace_tier_incomplete',
+    description: 'Grace user missing its grace_period row or grace_period_end_date',
+    suggestedFix: `Fill in the missing side (a new grace period ends in ${GRACE_PERIOD_DAYS} days)`,
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, u.grace_period_end_date, g.grace_period_ends_at
+       FROM users u
+       LEFT JOIN grace_period g ON g.user_id = u.id
+       WHERE u.tier = 'grace'
+         AND (g.id IS NULL OR u.grace_period_end_date IS NULL)`
+    ),
+    fix: async (violation) => {
+      const fallback = new Date();
+      fallback.setDate(fallback.getDate() + GRACE_PERIOD_DAYS);
+      const endsAt = violation.details.grace_period_end_date || violation.details.grace_period_ends_at || fallback;
+
+      await query(
+        "UPDATE users SET grace_period_end_date = $1 WHERE id = $2 AND tier = 'grace'",
+        [endsAt, violation.userId]
+      );
+      await query(
+        `INSERT INTO grace_period (user_id, discord_id, grace_period_ends_at, dm_enabled)
+         VALUES ($1, $2, $3, true)
+         ON CONFLICT (user_id) DO NOTHING`,
+        [violation.userId, violation.discordId, endsAt]
+      );
+    },
+  },
+  {
+    key: 'grace_end_date_mismatch',
+    description: "grace_period.grace_period_ends_at doesn't match users.grace_period_end_date",
+    suggestedFix: 'Set the grace_period row to the users value',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, u.grace_period_end_date, g.grace_period_ends_at
+       FROM users u
+       JOIN grace_period g ON g.user_id = u.id
+       WHERE u.tier = 'grace'
+         AND u.grace_period_end_date IS NOT NULL
+         AND g.grace_period_ends_at <> u.grace_period_end_date`
+    ),
+    fix: async (violation) => {
+      await query(
+        'UPDATE grace_period SET grace_period_ends_at = $1 WHERE user_id = $2',
+        [violation.details.grace_period_end_date, violation.userId]
+      );
+    },
+  },
+  {
+    key: 'open_pause_without_paused_tier',
+    description: "Open membership_pauses row for a user who isn't paused",
+    suggestedFix: 'Close the pause',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, mp.id as pause_id, mp.started_at
+       FROM membership_pauses mp
+       JOIN users u ON u.id = mp.user_id
+       WHERE mp.status = 'active' AND u.tier <> 'paused'`
+    ),
+    fix: async (violation) => {
+      await query(
+        `UPDATE membership_pauses SET status = 'ended', ended_at = NOW(), ended_by = $1
+         WHERE id = $2 AND status = 'active'`,
+        [DOCTOR_ACTOR, violation.details.pause_id]
+      );
+    },
+  },
+  {
+    key: 'paused_without_open_pause',
+    description: 'Paused user with no open membership_pauses row',
+    suggestedFix: 'Review the subscription in Stripe, then resume or re-pause (manual)',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier
+       FROM users u
+       WHERE u.tier = 'paused'
+         AND NOT EXISTS (SELECT 1 FROM membership_pauses mp WHERE mp.user_id = u.id AND mp.status = 'active')`
+    ),
+    fix: null,
+  },
+  {
+    key: 'multiple_live_subscriptions',
+    description: 'User has more than one live Stripe subscription',
+    suggestedFix: 'Cancel the duplicate in Stripe (manual)',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier,
+              array_agg(s.stripe_subscription_id ORDER BY s.created_at) as stripe_subscription_ids
+       FROM subscriptions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.status = ANY($1)
+       GROUP BY u.id
+       HAVING COUNT(*) > 1`,
+      [LIVE_STATUSES]
+    ),
+    fix: null,
+  },
+  {
+    key: 'override_outlives_membership',
+    description: 'Comp or gift override still running but the user has no membership time left',
+    suggestedFix: 'Review: re-grant the time or treat the override as revoked (manual)',
+    find: () => query(
+      `SELECT u.id as user_id, u.discord_id, u.tier, o.id as override_id, o.override_type,
+              o.expires_at, u.subscription_end_date
+       FROM admin_overrides o
+       JOIN users u ON u.id = o.user_id
+       WHERE o.override_type IN ('manual_comp', 'tier_change')
+         AND o.expires_at > NOW()
+         AND NOT u.lifetime
+         AND (u.subscription_end_date IS NULL OR u.subscription_end_date <= NOW())`
+    ),
+    fix: null,
+  },
+];
+
+export const CHECK_KEYS = CHECKS.map(check => check.key);
+
+const selectChecks = (keys) => {
+  if (!keys || keys.length === 0) {
+    return CHECKS;
+  }
+
+  const unknown = keys.filter(key => !CHECK_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown checks: ${unknown.join(', ')}. Must be one of: ${CHECK_KEYS.join(', ')}`);
+  }
+
+  return CHECKS.filter(check => keys.includes(check.key));
+};
+
+const toViolation = (check, row) => {
+  const { user_id: userId, discord_id: discordId, ...details } = row;
+  return {
+    check: check.key,
+    description: check.description,
+    userId,
+    discordId,
+    details,
+    suggestedFix: check.suggestedFix,
+    fixable: Boolean(check.fix),
+  };
+};
+
+/**
+ * Run the invariant checks (all, or the given keys) and list the violations
+ */
+export const runChecks = async ({ checks: keys = null } = {}) => {
+  const checks = selectChecks(keys);
+
+  try {
+    const violations = [];
+    const summary = {};
+
+    for (const check of checks) {
+      const result = await check.find();
+      summary[check.key] = result.rows.length;
+      violations.push(...result.rows.map(row => toViolation(check, row)));
+    }
+
+    return {
+      checkedAt: new Date(),
+      violationCount: violations.length,
+      fixableCount: violations.filter(v => v.fixable).length,
+      summary,
+      violations,
+    };
+  } catch (err) {
+    logger.error({ err }, 'Doctor checks failed');
+    throw err;
+  }
+};
+
+/**
+ * Re-run the checks and apply every available fix. Checks run in order, so a
+ * tier fix is in place before the grace checks look at the same user.
+ */
+export const applyFixes = async ({ checks: keys = null, actorDiscordId = null } = {}) => {
+  const checks = selectChecks(keys);
+  const results = [];
+
+  for (const check of checks) {
+    if (!check.fix) {
+      continue;
+    }
+
+    const found = await check.find();
+    for (const row of found.rows) {
+      const violation = toViolation(check, row);
+      try {
+        await check.fix(violation);
+        results.push({ check: check.key, userId: violation.userId, fixed: true });
+      } catch (err) {
+        logger.error({ err, check: check.key, userId: violation.userId }, 'Doctor fix failed');
+        results.push({ check: check.key, userId: violation.userId, fixed: false, error: err.message });
+      }
+    }
+  }
+
+  const fixed = results.filter(r => r.fixed).length;
+  const failed = results.length - fixed;
+
+  await auditLogService.logEvent(null, 'doctor.fixes_applied', {
+    checks: checks.map(check => check.key),
+    fixed,
+    failed,
+    adminDiscordId: actorDiscordId,
+  }, { action: 'fix', resourceType: 'doctor' });
+
+  logger.info({ fixed, failed }, 'Doctor fixes applied');
+
+  return { fixed, failed, results };
+};
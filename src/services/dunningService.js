@@ -0,0 +1,217 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as webhookService from './webhookService.js';
+import * as auditLogService from './auditLogService.js';
+
+/**
+ * Dunning service - tracks failed invoice payments and tells RoleBot so it can
+ * DM the member a payment link before they drop into grace.
+ */
+
+// Should match the retry schedule configured in Stripe (Smart Retries default is 4)
+const MAX_PAYMENT_ATTEMPTS = parseInt(process.env.DUNNING_MAX_ATTEMPTS || '4');
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+const getBillingPortalUrl = async (userId) => {
+  try {
+    const session = await stripeService.createPortalSession(userId);
+    return session.url;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to create billing portal link for dunning');
+    return null;
+  }
+};
+
+/**
+ * Attach progress fields to a dunning row
+ */
+const withProgress = (row) => ({
+  ...row,
+  max_attempts: MAX_PAYMENT_ATTEMPTS,
+  attempts_remaining: Math.max(0, MAX_PAYMENT_ATTEMPTS - row.attempt_count),
+  final_attempt: row.status === 'active' && !row.next_payment_attempt,
+});
+
+/**
+ * Record a failed payment attempt and notify RoleBot (payment.failed)
+ */
+export const recordPaymentFailure = async (user, invoice, stripeEventId = null) => {
+  try {
+    const nextPaymentAttempt = toDate(invoice.next_payment_attempt);
+    const billingPortalUrl = await getBillingPortalUrl(user.id);
+
+    // The dunning update and its payment.failed event commit together (webhook outbox)
+    const { dunning, webhookEventId } = await withTransaction(async (client) => {
+      // A new invoice (or a failure after recovery) starts a new dunning cycle
+      const result = await client.query(
+        `INSERT INTO dunning_states
+         (user_id, stripe_subscription_id, stripe_invoice_id, attempt_count, next_payment_attempt,
+          hosted_invoice_url, amount_due, currency, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active')
+         ON CONFLICT (user_id) DO UPDATE
+         SET stripe_subscription_id = $2,
+             stripe_invoice_id = $3,
+             attempt_count = $4,
+             next_payment_attempt = $5,
+             hosted_invoice_url = $6,
+             amount_due = $7,
+             currency = $8,
+             first_failed_at = CASE
+               WHEN dunning_states.status <> 'active' OR dunning_states.stripe_invoice_id <> $3
+               THEN CURRENT_TIMESTAMP ELSE dunning_states.first_failed_at END,
+             last_failed_at = CURRENT_TIMESTAMP,
+             status = 'active',
+             resolved_at = NULL
+         RETURNING *`,
+        [
+          user.id,
+          invoice.subscription || null,
+          invoice.id,
+          invoice.attempt_count || 1,
+          nextPaymentAttempt,
+          invoice.hosted_invoice_url || null,
+          invoice.amount_due,
+          invoice.currency,
+        ]
+      );
+
+      const row = withProgress(result.rows[0]);
+
+      const queuedId = await webhookService.queueWebhook(client, 'payment.failed', {
+        userId: user.id,
+        discordId: user.discord_id,
+        attemptCount: row.attempt_count,
+        maxAttempts: row.max_attempts,
+        finalAttempt: row.final_attempt,
+        nextRetryAt: nextPaymentAttempt ? nextPaymentAttempt.toISOString() : null,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+        billingPortalUrl,
+      });
+
+      return { dunning: row, webhookEventId: queuedId };
+    });
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+
+    await auditLogService.logEvent(user.id, 'dunning.payment_failed', {
+      invoiceId: invoice.id,
+      attemptCount: dunning.attempt_count,
+      nextRetryAt: nextPaymentAttempt,
+    }, { action: 'notify', resourceType: 'invoice', resourceId: invoice.id, stripeEventId });
+
+    logger.info({ userId: user.id, invoiceId: invoice.id, attemptCount: dunning.attempt_count }, 'Recorded failed payment attempt');
+    return dunning;
+  } catch (err) {
+    logger.error({ err, userId: user.id, invoiceId: invoice.id }, 'Failed to record payment failure');
+    throw err;
+  }
+};
+
+/**
+ * Close the dunning cycle after a successful payment
+ */
+export const resolvePaymentRecovered = async (user, invoice) => {
+  try {
+    const { result, webhookEventId } = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE dunning_states
+         SET status = 'recovered', resolved_at = NOW(), next_payment_attempt = NULL
+         WHERE user_id = $1 AND status = 'active'
+         RETURNING *`,
+        [user.id]
+      );
+
+      if (updated.rows.length === 0) {
+        return { result: updated, webhookEventId: null };
+      }
+
+      const queuedId = await webhookService.queueWebhook(client, 'payment.recovered', {
+        userId: user.id,
+        discordId: user.discord_id,
+        invoiceId: invoice.id,
+      });
+
+      return { result: updated, webhookEventId: queuedId };
+    });
+
+    if (!webhookEventId) {
+      return null;
+    }
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+
+    await auditLogService.logEvent(user.id, 'dunning.recovered', {
+      invoiceId: invoice.id,
+      attemptCount: result.rows[0].attempt_count,
+    }, { action: 'resolve', resourceType: 'invoice', resourceId: invoice.id });
+
+    logger.info({ userId: user.id, invoiceId: invoice.id }, 'Payment recovered - dunning resolved');
+    return result.rows[0];
+  } catch (err) {
+    logger.error({ err, userId: user.id }, 'Failed to resolve dunning');
+    throw err;
+  }
+};
+
+/**
+ * Close the dunning cycle when Stripe gives up and cancels the subscription
+ */
+export const markExhausted = async (userId) => {
+  try {
+    const result = await query(
+      `UPDATE dunning_states
+       SET status = 'exhausted', resolved_at = NOW(), next_payment_attempt = NULL
+       WHERE user_id = $1 AND status = 'active'
+       RETURNING *`,
+      [userId]
+    );
+
+    if (result.rows.length > 0) {
+      logger.info({ userId }, 'Dunning exhausted');
+    }
+
+    return result.rows[0] || null;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to mark dunning exhausted');
+    throw err;
+  }
+};
+
+/**
+ * Users in dunning (at risk of dropping into grace), furthest along first
+ */
+export const getDunningUsers = async (status = 'active') => {
+  try {
+    const result = await query(
+      `SELECT d.*, u.discord_id, u.discord_username, u.email
+       FROM dunning_states d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.status = $1
+       ORDER BY d.attempt_count DESC, d.first_failed_at ASC`,
+      [status]
+    );
+
+    return result.rows.map(withProgress);
+  } catch (err) {
+    logger.error({ err }, 'Failed to get dunning users');
+    throw err;
+  }
+};
+
+export const getDunningState = async (userId) => {
+  try {
+    const result = await query(
+      'SELECT * FROM dunning_states WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows[0] ? withProgress(result.rows[0]) : null;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get dunning state');
+    throw err;
+  }
+};
@@ -0,0 +1,441 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import * as membershipService from './membershipService.js';
+import * as membershipChangeService from './membershipChangeService.js';
+import * as webhookService from './webhookService.js';
+import * as discordRoleService from './discordRoleService.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Entitlement service - ledger of membership time (Stripe periods, gifts, comps, lifetime).
+ * A user's expiry is computed from the ledger and materialized onto
+ * users.subscription_end_date / users.lifetime, which everything else reads.
+ */
+
+export const SOURCES = ['stripe', 'gift', 'manual_comp', 'lifetime'];
+
+// Stripe statuses whose current period counts as membership time
+const ENTITLED_STRIPE_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Stripe statuses where the subscription has ended
+const ENDED_STRIPE_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+const isFloating = (row) => row.duration_days !== null && row.duration_days !== undefined && row.source !== 'stripe';
+
+/**
+ * Compute membership from ledger rows: active coverage chained from `now`,
+ * or the most recent expiry if nothing covers `now`
+ */
+export const computeMembership = (rows, now = new Date()) => {
+  const entitlements = rows.filter(row => !row.revoked_at);
+
+  if (entitlements.some(row => row.source === 'lifetime' && new Date(row.starts_at) <= now)) {
+    return { active: true, lifetime: true, expiresAt: null };
+  }
+
+  const ranges = entitlements
+    .filter(row => row.ends_at)
+    .map(row => ({ start: new Date(row.starts_at), end: new Date(row.ends_at) }))
+    .sort((a, b) => a.start - b.start);
+
+  let coveredUntil = now;
+  for (const range of ranges) {
+    if (range.start > coveredUntil) {
+      break;
+    }
+    if (range.end > coveredUntil) {
+      coveredUntil = range.end;
+    }
+  }
+
+  if (coveredUntil > now) {
+    return { active: true, lifetime: false, expiresAt: coveredUntil };
+  }
+
+  const lastEnd = ranges.reduce((latest, range) => (!latest || range.end > latest ? range.end : latest), null);
+  return { active: false, lifetime: false, expiresAt: lastEnd };
+};
+
+export const getUserEntitlements = async (userId, { includeRevoked = true, client = null } = {}) => {
+  try {
+    const result = await (client || { query }).query(
+      `SELECT * FROM membership_entitlements
+       WHERE user_id = $1 ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+       ORDER BY starts_at ASC, created_at ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get entitlements');
+    throw err;
+  }
+};
+
+/**
+ * Re-stack gift/comp time that hasn't started yet after the user's other coverage
+ * (e.g. a Stripe renewal was added in front of it, or Stripe time was revoked)
+ */
+const restackPendingGrants = async (rows, now, db) => {
+  const pending = rows
+    .filter(row => !row.revoked_at && isFloating(row) && new Date(row.starts_at) > now)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  if (pending.length === 0) {
+    return rows;
+  }
+
+  const pendingIds = new Set(pending.map(row => row.id));
+  const fixed = rows.filter(row => !pendingIds.has(row.id));
+  const coverage = computeMembership(fixed, now);
+
+  if (coverage.lifetime) {
+    return rows;
+  }
+
+  let cursor = coverage.active ? coverage.expiresAt : now;
+  const updated = new Map();
+
+  for (const row of pending) {
+    const startsAt = cursor;
+    const endsAt = new Date(startsAt.getTime() + row.duration_days * DAY_MS);
+
+    if (startsAt.getTime() !== new Date(row.starts_at).getTime()) {
+      const result = await db.query(
+        'UPDATE membership_entitlements SET starts_at = $1, ends_at = $2 WHERE id = $3 RETURNING *',
+        [startsAt, endsAt, row.id]
+      );
+      updated.set(row.id, result.rows[0]);
+    }
+
+    cursor = endsAt;
+  }
+
+  return rows.map(row => updated.get(row.id) || row);
+};
+
+/**
+ * Recompute a user's membership from the ledger and write it to the users row.
+ * With activate, a covered free/grace user is moved to paid (a paused member stays paused).
+ * Pass client to do it in the caller's transaction.
+ */
+export const refreshMembership = async (userId, { activate = false, client = null } = {}) => {
+  const db = client || { query };
+
+  try {
+    const now = new Date();
+    const rows = await restackPendingGrants(await getUserEntitlements(userId, { includeRevoked: false, client }), now, db);
+    const membership = computeMembership(rows, now);
+
+    // Joined to its own pre-update row to tell whether the expiry actually moved
+    const result = await db.query(
+      `UPDATE users u
+       SET subscription_end_date = $1, lifetime = $2, updated_at = CURRENT_TIMESTAMP
+       FROM users old
+       WHERE u.id = $3 AND old.id = u.id
+       RETURNING u.tier, u.discord_id,
+                 (old.subscription_end_date IS DISTINCT FROM u.subscription_end_date
+                  OR old.lifetime IS DISTINCT FROM u.lifetime) as expiry_changed`,
+      [membership.expiresAt, membership.lifetime, userId]
+    );
+
+    const tier = result.rows[0]?.tier;
+
+    // The lists show expiresAt/lifetime, so delta syncs need to see it change
+    if (result.rows[0]?.expiry_changed) {
+      await membershipChangeService.recordChange(db, {
+        userId,
+        discordId: result.rows[0].discord_id,
+        from: tier,
+        to: tier,
+        reason: 'Membership expiry changed',
+      });
+    }
+    if (activate && membership.active && ['free', 'grace'].includes(tier)) {
+      // Grant callers (gift, comp) send RoleBot their own subscription.activated with the source
+      await membershipService.transition(userId, 'paid', {
+        reason: 'Membership time granted',
+        actor: 'entitlements',
+        webhookEvent: null,
+        metadata: { expiresAt: membership.expiresAt, lifetime: membership.lifetime },
+        client,
+      });
+    }
+
+    return membership;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to refresh membership');
+    throw err;
+  }
+};
+
+export const getMembership = async (userId, { client = null } = {}) => {
+  const rows = await getUserEntitlements(userId, { includeRevoked: false, client });
+  return computeMembership(rows);
+};
+
+/**
+ * Record the subscription's current Stripe period (or cut it short once the subscription ended).
+ * Periods while collection is paused aren't paid for, so they aren't recorded; nor are periods of
+ * a subscription revoked by a refund or dispute.
+ */
+export const recordStripePeriod = async (userId, stripeSubscription) => {
+  const { id: subscriptionId, status, current_period_start, current_period_end } = stripeSubscription;
+
+  try {
+    const entitled = ENTITLED_STRIPE_STATUSES.includes(status) && !stripeSubscription.pause_collection
+      && current_period_start && current_period_end
+      && !(await membershipService.isRevokedSubscription(subscriptionId));
+
+    if (entitled) {
+      await query(
+        `INSERT INTO membership_entitlements
+         (user_id, source, starts_at, ends_at, source_ref, granted_by, metadata)
+         VALUES ($1, 'stripe', $2, $3, $4, 'stripe', $5)
+         ON CONFLICT (source_ref, starts_at) WHERE source = 'stripe'
+         DO UPDATE SET ends_at = $3, metadata = $5`,
+        [
+          userId,
+          toDate(current_period_start),
+          toDate(current_period_end),
+          subscriptionId,
+          JSON.stringify({ status }),
+        ]
+      );
+    } else if (ENDED_STRIPE_STATUSES.includes(status)) {
+      const endedAt = toDate(stripeSubscription.ended_at) || new Date();
+
+      await query(
+        `UPDATE membership_entitlements
+         SET ends_at = LEAST(ends_at, GREATEST(starts_at, $1))
+         WHERE source = 'stripe' AND source_ref = $2`,
+        [endedAt, subscriptionId]
+      );
+    } else {
+      return getMembership(userId);
+    }
+
+    return refreshMembership(userId);
+  } catch (err) {
+    logger.error({ err, userId, subscriptionId }, 'Failed to record Stripe period');
+    throw err;
+  }
+};
+
+// Grants run in the caller's transaction if given one, otherwise in their own
+const inTransaction = (client, fn) => (client ? fn(client) : withTransaction(fn));
+
+/**
+ * Add gift/comp time, stacked after the user's existing coverage
+ */
+export const grantTime = async (userId, { source, days, sourceRef = null, grantedBy = null, reason = null, metadata = {}, client = null }) => {
+  if (!['gift', 'manual_comp'].includes(source)) {
+    throw new ValidationError('source must be gift or manual_comp');
+  }
+  if (!Number.isInteger(days) || days <= 0) {
+    throw new ValidationError('days must be a positive integer');
+  }
+
+  try {
+    return await inTransaction(client, async (db) => {
+      // Concurrent grants for one user would otherwise stack from the same expiry
+      await db.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+      const current = await getMembership(userId, { client: db });
+      const startsAt = current.active && !current.lifetime ? current.expiresAt : new Date();
+      const endsAt = new Date(startsAt.getTime() + days * DAY_MS);
+
+      const result = await db.query(
+        `INSERT INTO membership_entitlements
+         (user_id, source, starts_at, ends_at, duration_days, source_ref, granted_by, reason, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [userId, source, startsAt, endsAt, days, sourceRef, grantedBy, reason, JSON.stringify(metadata)]
+      );
+
+      const membership = await refreshMembership(userId, { activate: true, client: db });
+
+      logger.info({ userId, source, days, startsAt, expiresAt: membership.expiresAt }, 'Granted membership time');
+      return { entitlement: result.rows[0], membership };
+    });
+  } catch (err) {
+    logger.error({ err, userId, source }, 'Failed to grant membership time');
+    throw err;
+  }
+};
+
+export const grantLifetime = async (userId, { sourceRef = null, grantedBy = null, reason = null, metadata = {}, client = null } = {}) => {
+  try {
+    return await inTransaction(client, async (db) => {
+      const result = await db.query(
+        `INSERT INTO membership_entitlements
+         (user_id, source, starts_at, ends_at, source_ref, granted_by, reason, metadata)
+         VALUES ($1, 'lifetime', NOW(), NULL, $2, $3, $4, $5)
+         RETURNING *`,
+        [userId, sourceRef, grantedBy, reason, JSON.stringify(metadata)]
+      );
+
+      const membership = await refreshMembership(userId, { activate: true, client: db });
+
+      logger.info({ userId }, 'Granted lifetime membership');
+      return { entitlement: result.rows[0], membership };
+    });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to grant lifetime membership');
+    throw err;
+  }
+};
+
+/**
+ * Comp a member (days, or lifetime). The ledger entry, override record, audit log and
+ * RoleBot's subscription.activated are written in one transaction.
+ */
+export const compMembership = async (userId, { days = null, lifetime = false, reason, actorDiscordId }) => {
+  try {
+    const { grant, user, webhookEventId } = await withTransaction(async (client) => {
+      const userResult = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+      const user = userResult.rows[0];
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      const { entitlement, membership } = lifetime
+        ? await grantLifetime(userId, { grantedBy: actorDiscordId, reason, client })
+        : await grantTime(userId, { source: 'manual_comp', days, grantedBy: actorDiscordId, reason, client });
+
+      await client.query(
+        `INSERT INTO admin_overrides
+         (user_id, admin_discord_id, override_type, reason, duration_days, expires_at, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          userId,
+          actorDiscordId,
+          'manual_comp',
+          reason,
+          lifetime ? null : days,
+          membership.expiresAt,
+          JSON.stringify({ entitlementId: entitlement.id, lifetime, originalTier: user.tier }),
+        ]
+      );
+
+      await auditLogService.logEvent(
+        userId,
+        'admin.membership_comped',
+        { days: lifetime ? null : days, lifetime, reason, expiresAt: membership.expiresAt },
+        { action: 'grant', resourceType: 'entitlement', resourceId: entitlement.id, client }
+      );
+
+      const queuedId = await webhookService.queueWebhook(client, 'subscription.activated', {
+        userId,
+        discordId: user.discord_id,
+        source: lifetime ? 'lifetime' : 'manual_comp',
+        expiresAt: membership.expiresAt ? membership.expiresAt.toISOString() : null,
+      });
+
+      const tierResult = await client.query('SELECT tier FROM users WHERE id = $1', [userId]);
+
+      return { grant: { entitlement, membership }, user: { ...user, tier: tierResult.rows[0].tier }, webhookEventId: queuedId };
+    });
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+
+    if (membershipService.MEMBER_STATES.includes(user.tier)) {
+      try {
+        await discordRoleService.grantMemberRoles(user);
+      } catch (err) {
+        logger.error({ err, discordId: user.discord_id }, 'Failed to sync Discord roles after comp');
+      }
+    }
+
+    return grant;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to comp membership');
+    throw err;
+  }
+};
+
+/**
+ * Revoke one ledger entry (doesn't change tier - the daily sync moves uncovered users to grace)
+ */
+export const revokeEntitlement = async (entitlementId, { revokedBy = null, reason = null } = {}) => {
+  try {
+    const result = await query(
+      `UPDATE membership_entitlements
+       SET revoked_at = NOW(), revoked_by = $1, revoked_reason = $2
+       WHERE id = $3 AND revoked_at IS NULL
+       RETURNING *`,
+      [revokedBy, reason, entitlementId]
+    );
+
+    const entitlement = result.rows[0];
+    if (!entitlement) {
+      throw new NotFoundError('Entitlement not found or already revoked');
+    }
+
+    const membership = await refreshMembership(entitlement.user_id);
+
+    await auditLogService.logEvent(entitlement.user_id, 'entitlement.revoked', {
+      entitlementId,
+      source: entitlement.source,
+      reason,
+      expiresAt: membership.expiresAt,
+    }, { action: 'revoke', resourceType: 'entitlement', resourceId: entitlementId });
+
+    logger.info({ entitlementId, userId: entitlement.user_id }, 'Entitlement revoked');
+    return { entitlement, membership };
+  } catch (err) {
+    logger.error({ err, entitlementId }, 'Failed to revoke entitlement');
+    throw err;
+  }
+};
+
+/**
+ * Revoke all of a user's entitlements from the given sources (refunds, chargebacks)
+ */
+export const revokeUserEntitlements = async (userId, { sources, revokedBy = null, reason = null, client = null }) => {
+  const db = client || { query };
+
+  try {
+    const result = await db.query(
+      `UPDATE membership_entitlements
+       SET revoked_at = NOW(), revoked_by = $1, revoked_reason = $2
+       WHERE user_id = $3 AND source = ANY($4) AND revoked_at IS NULL
+       RETURNING id`,
+      [revokedBy, reason, userId, sources]
+    );
+
+    const membership = await refreshMembership(userId, { client });
+
+    logger.info({ userId, sources, count: result.rows.length }, 'Revoked user entitlements');
+    return membership;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to revoke user entitlements');
+    throw err;
+  }
+};
+
+/**
+ * Undo revokeUserEntitlements (e.g. a chargeback we won)
+ */
+export const reinstateUserEntitlements = async (userId, { sources, revokedBy, client = null }) => {
+  const db = client || { query };
+
+  try {
+    await db.query(
+      `UPDATE membership_entitlements
+       SET revoked_at = NULL, revoked_by = NULL, revoked_reason = NULL
+       WHERE user_id = $1 AND source = ANY($2) AND revoked_by = $3`,
+      [userId, sources, revokedBy]
+    );
+
+    return await refreshMembership(userId, { client });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to reinstate user entitlements');
+    throw err;
+  }
+};
@@ -0,0 +1,507 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as entitlementService from './entitlementService.js';
+import * as webhookService from './webhookService.js';
+import * as auditLogService from './auditLogService.js';
+import * as discordRoleService from './discordRoleService.js';
+import { MEMBER_STATES } from './membershipService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Gift service - gift subscriptions granted by RoleBot/admins or bought by members
+ * as one-time Checkout payments and redeemed with a code.
+ */
+
+// Gift duration -> days of membership granted
+export const GIFT_DURATIONS = {
+  '1_month': 30,
+  '3_months': 90,
+  '6_months': 180,
+  '1_year': 365,
+};
+
+// One-time Stripe prices for member-purchased gifts
+const GIFT_PRICE_ENV = {
+  '1_month': 'STRIPE_GIFT_PRICE_1_MONTH',
+  '3_months': 'STRIPE_GIFT_PRICE_3_MONTHS',
+  '6_months': 'STRIPE_GIFT_PRICE_6_MONTHS',
+  '1_year': 'STRIPE_GIFT_PRICE_1_YEAR',
+};
+
+const GIFT_CODE_EXPIRY_DAYS = parseInt(process.env.GIFT_CODE_EXPIRY_DAYS || '365');
+
+// No 0/O/1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// admin_overrides requires an actor
+const REDEMPTION_ACTOR = 'gift_code';
+
+const generateCode = () => {
+  const group = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  return `TRIBOAR-${group()}-${group()}`;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+export const getGiftDays = (duration) => {
+  const days = GIFT_DURATIONS[duration];
+  if (!days) {
+    throw new ValidationError(`Invalid duration. Must be one of: ${Object.keys(GIFT_DURATIONS).join(', ')}`);
+  }
+  return days;
+};
+
+/**
+ * Durations members can buy (only those with a Stripe price configured)
+ */
+export const getGiftOptions = () => {
+  return Object.entries(GIFT_DURATIONS)
+    .filter(([duration]) => process.env[GIFT_PRICE_ENV[duration]])
+    .map(([duration, days]) => ({ duration, days }));
+};
+
+// Writes the grant, its override record and RoleBot's subscription.activated in the caller's
+// transaction; the caller delivers webhookEventId after commit
+const writeGiftGrant = async (client, discordId, duration, { reason, actorDiscordId, giftedBy, source, metadata }) => {
+  const days = getGiftDays(duration);
+
+  // Find or create user
+  let userResult = await client.query(
+    'SELECT * FROM users WHERE discord_id = $1',
+    [discordId]
+  );
+
+  if (userResult.rows.length === 0) {
+    // Create new user with minimal info
+    userResult = await client.query(
+      `INSERT INTO users (discord_id, email)
+       VALUES ($1, $2)
+       RETURNING *`,
+      [discordId, `gift-${discordId}@triboar.guild`]
+    );
+  }
+
+  const user = userResult.rows[0];
+  const userId = user.id;
+
+  // Stacks after any time the user already has (Stripe period, earlier gifts)
+  const { entitlement, membership } = await entitlementService.grantTime(userId, {
+    source: 'gift',
+    days,
+    sourceRef: metadata.giftCodeId || null,
+    grantedBy: actorDiscordId,
+    reason: reason || `Gift subscription: ${duration}`,
+    metadata: { duration, giftedBy },
+    client,
+  });
+  const expiresAt = membership.expiresAt;
+
+  // Granting time doesn't always make the user paid (e.g. trialing, past_due or paused members)
+  const tierResult = await client.query('SELECT tier FROM users WHERE id = $1', [userId]);
+  const tier = tierResult.rows[0].tier;
+
+  // Create admin override record
+  await client.query(
+    `INSERT INTO admin_overrides
+     (user_id, admin_discord_id, override_type, reason, duration_days, expires_at, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      userId,
+      actorDiscordId,
+      'tier_change',
+      reason || `Gift subscription: ${duration}`,
+      days,
+      expiresAt,
+      JSON.stringify({
+        ...metadata,
+        originalTier: user.tier || 'free',
+        newTier: tier,
+        entitlementId: entitlement.id,
+        duration,
+        days,
+        giftedBy,
+      }),
+    ]
+  );
+
+  await auditLogService.logEvent(
+    userId,
+    'gift_subscription.granted',
+    {
+      discordId,
+      duration,
+      days,
+      startsAt: entitlement.starts_at,
+      expiresAt,
+      source,
+      reason: reason || 'Gift subscription',
+      ...metadata,
+    },
+    {
+      action: 'grant',
+      resourceType: 'subscription',
+      client,
+    }
+  );
+
+  // Notify RoleBot once the grant commits
+  const queuedId = await webhookService.queueWebhook(client, 'subscription.activated', {
+    userId,
+    discordId,
+    source,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+  });
+
+  return { grant: { userId, discordId, tier, days, expiresAt }, webhookEventId: queuedId };
+};
+
+// Gifted time that made (or kept) the user a member: add them to the guild and give the roles
+const syncGiftedRoles = async ({ userId, discordId, tier }) => {
+  if (!MEMBER_STATES.includes(tier)) {
+    return;
+  }
+
+  try {
+    await discordRoleService.grantMemberRoles({ id: userId, discord_id: discordId });
+  } catch (err) {
+    logger.error({ err, discordId }, 'Failed to sync Discord roles after gift');
+  }
+};
+
+/**
+ * Grant gift membership time to a Discord user (creating the user if needed).
+ * Time is added to the entitlement ledger, so it stacks instead of overwriting.
+ * The grant, its override record and RoleBot's subscription.activated are written in one transaction.
+ */
+export const grantGiftSubscription = async (discordId, duration, { reason = null, actorDiscordId = null, giftedBy = 'admin', source = 'gift_subscription', metadata = {} } = {}) => {
+  try {
+    const { grant, webhookEventId } = await withTransaction(client => writeGiftGrant(client, discordId, duration, {
+      reason,
+      actorDiscordId,
+      giftedBy,
+      source,
+      metadata,
+    }));
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+    await syncGiftedRoles(grant);
+
+    logger.info({ discordId, userId: grant.userId, duration, expiresAt: grant.expiresAt, source }, 'Gift subscription granted');
+
+    return grant;
+  } catch (err) {
+    logger.error({ err, discordId, duration }, 'Failed to grant gift subscription');
+    throw err;
+  }
+};
+
+/**
+ * Start a one-time Checkout payment for a gift code
+ */
+export const createGiftCheckoutSession = async (userId, discordId, duration) => {
+  getGiftDays(duration);
+
+  const priceId = process.env[GIFT_PRICE_ENV[duration]];
+  if (!priceId) {
+    throw new ValidationError(`Gifts of ${duration} are not available`);
+  }
+
+  return stripeService.createGiftCheckoutSession(userId, discordId, { priceId, duration });
+};
+
+/**
+ * Issue the gift code for a paid gift Checkout session.
+ * Idempotent per session, so redelivered events don't mint extra codes.
+ */
+export const fulfillGiftPurchase = async (session, stripeEventId = null) => {
+  const { id: sessionId, metadata } = session;
+
+  try {
+    if (session.payment_status !== 'paid') {
+      logger.info({ sessionId, paymentStatus: session.payment_status }, 'Gift payment not settled yet');
+      return null;
+    }
+
+    const existing = await query(
+      'SELECT * FROM gift_codes WHERE stripe_checkout_session_id = $1',
+      [sessionId]
+    );
+    if (existing.rows[0]) {
+      return existing.rows[0];
+    }
+
+    getGiftDays(metadata?.duration);
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE id = $1',
+      [metadata?.user_id]
+    );
+    const purchaser = userResult.rows[0] || null;
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + GIFT_CODE_EXPIRY_DAYS);
+
+    let giftCode = null;
+    let webhookEventId = null;
+    for (let attempt = 0; attempt < 3 && !giftCode; attempt++) {
+      try {
+        const issued = await withTransaction(async (client) => {
+          const result = await client.query(
+            `INSERT INTO gift_codes
+             (code, duration, purchaser_user_id, stripe_checkout_session_id, stripe_payment_intent_id,
+              amount_paid, currency, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (stripe_checkout_session_id) DO NOTHING
+             RETURNING *`,
+            [
+              generateCode(),
+              metadata.duration,
+              purchaser?.id || null,
+              sessionId,
+              session.payment_intent || null,
+              session.amount_total,
+              session.currency,
+              expiresAt,
+            ]
+          );
+
+          const row = result.rows[0];
+          if (!row) {
+            return null;
+          }
+
+          const queuedId = await webhookService.queueWebhook(client, 'gift.purchased', {
+            userId: purchaser?.id || null,
+            discordId: purchaser?.discord_id || metadata?.discord_id || null,
+            code: row.code,
+            duration: row.duration,
+            expiresAt: row.expires_at,
+          });
+
+          return { row, queuedId };
+        });
+
+        if (!issued) {
+          // Fulfilled concurrently by another delivery of the event
+          return (await query('SELECT * FROM gift_codes WHERE stripe_checkout_session_id = $1', [sessionId])).rows[0];
+        }
+
+        giftCode = issued.row;
+        webhookEventId = issued.queuedId;
+      } catch (err) {
+        // Code collision - try another one
+        if (err.code !== '23505') {
+          throw err;
+        }
+      }
+    }
+
+    if (!giftCode) {
+      throw new Error('Could not generate a unique gift code');
+    }
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+
+    await auditLogService.logEvent(purchaser?.id || null, 'gift_code.purchased', {
+      giftCodeId: giftCode.id,
+      duration: giftCode.duration,
+      sessionId,
+      amountPaid: session.amount_total,
+    }, { action: 'create', resourceType: 'gift_code', resourceId: giftCode.id, stripeEventId });
+
+    logger.info({ sessionId, giftCodeId: giftCode.id, duration: giftCode.duration }, 'Gift code issued');
+    return giftCode;
+  } catch (err) {
+    logger.error({ err, sessionId }, 'Failed to fulfill gift purchase');
+    throw err;
+  }
+};
+
+/**
+ * Redeem a gift code for the signed-in Discord account
+ */
+export const redeemGiftCode = async (code, user) => {
+  const normalizedCode = normalizeCode(code);
+
+  try {
+    // Claim the code and grant its time in one transaction: the code is only
+    // used up if the time was granted, and time is never granted twice
+    const { giftCode, grant, webhookEventId } = await withTransaction(async (client) => {
+      const claimResult = await client.query(
+        `UPDATE gift_codes
+         SET redeemed_by_user_id = $1, redeemed_at = NOW()
+         WHERE code = $2 AND redeemed_at IS NULL AND voided_at IS NULL AND expires_at > NOW()
+         RETURNING *`,
+        [user.id, normalizedCode]
+      );
+
+      if (claimResult.rows.length === 0) {
+        const existing = await client.query(
+          'SELECT redeemed_at, voided_at, expires_at FROM gift_codes WHERE code = $1',
+          [normalizedCode]
+        );
+        const unclaimed = existing.rows[0];
+
+        if (!unclaimed) {
+          throw new NotFoundError('Gift code not found');
+        }
+        if (unclaimed.redeemed_at) {
+          throw new ConflictError('Gift code has already been redeemed');
+        }
+        if (unclaimed.voided_at) {
+          throw new ConflictError('Gift code is no longer valid');
+        }
+        throw new ValidationError('Gift code has expired');
+      }
+
+      const claimed = claimResult.rows[0];
+
+      const written = await writeGiftGrant(client, user.discord_id, claimed.duration, {
+        reason: `Redeemed gift code (${claimed.duration})`,
+        actorDiscordId: REDEMPTION_ACTOR,
+        giftedBy: claimed.purchaser_user_id || 'unknown',
+        source: 'gift_code',
+        metadata: { giftCodeId: claimed.id },
+      });
+
+      return { giftCode: claimed, ...written };
+    });
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+    await syncGiftedRoles(grant);
+
+    logger.info({ giftCodeId: giftCode.id, userId: user.id }, 'Gift code redeemed');
+
+    return {
+      code: giftCode.code,
+      duration: giftCode.duration,
+      days: grant.days,
+      expiresAt: grant.expiresAt,
+    };
+  } catch (err) {
+    logger.error({ err, userId: user.id }, 'Failed to redeem gift code');
+    throw err;
+  }
+};
+
+export const getGiftCodeByPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  const result = await query(
+    'SELECT * FROM gift_codes WHERE stripe_payment_intent_id = $1',
+    [paymentIntentId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * A gift purchase was refunded or charged back: void the code, or revoke the time it
+ * granted if it was already redeemed. The redeemer's tier isn't changed here - the daily
+ * sync moves them to grace once nothing else covers them.
+ */
+export const reverseGiftPurchase = async (giftCode, { revokedBy, reason, stripeEventId = null }) => {
+  try {
+    if (!giftCode.redeemed_at) {
+      const result = await query(
+        `UPDATE gift_codes SET voided_at = NOW(), voided_by = $1, voided_reason = $2
+         WHERE id = $3 AND redeemed_at IS NULL AND voided_at IS NULL
+         RETURNING *`,
+        [revokedBy, reason, giftCode.id]
+      );
+
+      if (result.rows[0]) {
+        await auditLogService.logEvent(giftCode.purchaser_user_id, 'gift_code.voided', {
+          giftCodeId: giftCode.id,
+          reason,
+        }, { action: 'revoke', resourceType: 'gift_code', resourceId: giftCode.id, stripeEventId });
+
+        logger.info({ giftCodeId: giftCode.id, reason }, 'Gift code voided');
+        return { giftCode: result.rows[0], voided: true, revokedEntitlements: 0 };
+      }
+
+      // Redeemed in the meantime - revoke the granted time instead
+      giftCode = (await query('SELECT * FROM gift_codes WHERE id = $1', [giftCode.id])).rows[0];
+      if (!giftCode.redeemed_at) {
+        return { giftCode, voided: false, revokedEntitlements: 0 };
+      }
+    }
+
+    const entitlements = await query(
+      `SELECT id FROM membership_entitlements
+       WHERE source = 'gift' AND source_ref = $1 AND revoked_at IS NULL`,
+      [giftCode.id]
+    );
+
+    for (const row of entitlements.rows) {
+      await entitlementService.revokeEntitlement(row.id, { revokedBy, reason });
+    }
+
+    await auditLogService.logEvent(giftCode.redeemed_by_user_id, 'gift_subscription.revoked', {
+      giftCodeId: giftCode.id,
+      reason,
+      revokedEntitlements: entitlements.rows.length,
+    }, { action: 'revoke', resourceType: 'gift_code', resourceId: giftCode.id, stripeEventId });
+
+    logger.info({ giftCodeId: giftCode.id, userId: giftCode.redeemed_by_user_id, reason }, 'Redeemed gift revoked');
+    return { giftCode, voided: false, revokedEntitlements: entitlements.rows.length };
+  } catch (err) {
+    logger.error({ err, giftCodeId: giftCode.id }, 'Failed to reverse gift purchase');
+    throw err;
+  }
+};
+
+/**
+ * Undo reverseGiftPurchase for a dispute we won
+ */
+export const reinstateGiftPurchase = async (giftCode, { revokedBy }) => {
+  try {
+    await query(
+      `UPDATE gift_codes SET voided_at = NULL, voided_by = NULL, voided_reason = NULL
+       WHERE id = $1 AND voided_by = $2`,
+      [giftCode.id, revokedBy]
+    );
+
+    if (giftCode.redeemed_by_user_id) {
+      await query(
+        `UPDATE membership_entitlements
+         SET revoked_at = NULL, revoked_by = NULL, revoked_reason = NULL
+         WHERE source = 'gift' AND source_ref = $1 AND revoked_by = $2`,
+        [giftCode.id, revokedBy]
+      );
+
+      await entitlementService.refreshMembership(giftCode.redeemed_by_user_id, { activate: true });
+    }
+
+    logger.info({ giftCodeId: giftCode.id }, 'Gift purchase reinstated');
+  } catch (err) {
+    logger.error({ err, giftCodeId: giftCode.id }, 'Failed to reinstate gift purchase');
+    throw err;
+  }
+};
+
+/**
+ * Gift codes a member bought (newest first)
+ */
+export const getPurchasedGiftCodes = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT g.id, g.code, g.duration, g.amount_paid, g.currency, g.expires_at,
+              g.redeemed_at, g.voided_at, g.created_at, r.discord_id as redeemed_by_discord_id,
+              r.discord_username as redeemed_by_discord_username
+       FROM gift_codes g
+       LEFT JOIN users r ON r.id = g.redeemed_by_user_id
+       WHERE g.purchaser_user_id = $1
+       ORDER BY g.created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get purchased gift codes');
+    throw err;
+  }
+};
@@ -1,58 +1,11 @@
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
 
-const GRACE_PERIOD_DAYS = 7;
+/**
+ * Grace period queries - users enter and leave grace through membershipService.transition
+ */
 
-export const moveToGracePeriod = async (userId, discordId) => {
-  try {
-    const gracePeriodEndsAt = new Date();
-    gracePeriodEndsAt.setDate(gracePeriodEndsAt.getDate() + GRACE_PERIOD_DAYS);
-
-    await query(
-      `INSERT INTO grace_period (user_id, discord_id, grace_period_ends_at, dm_enabled)
-       VALUES ($1, $2, $3, true)
-       ON CONFLICT (user_id) DO UPDATE
-       SET grace_period_ends_at = $3, updated_at = CURRENT_TIMESTAMP`,
-      [userId, discordId, gracePeriodEndsAt]
-    );
-
-    logger.info({ userId, discordId, endsAt: gracePeriodEndsAt }, 'User moved to grace period');
-    return true;
-  } catch (err) {
-    logger.error({ err, userId }, 'Failed to move user to grace period');
-    return false;
-  }
-};
-
-export const removeFromGracePeriod = async (userId, discordId) => {
-  try {
-    await query(
-      'DELETE FROM grace_period WHERE user_id = $1',
-      [userId]
-    );
-
-    logger.info({ userId, discordId }, 'User removed from grace period (renewed)');
-    return true;
-  } catch (err) {
-    logger.error({ err, userId }, 'Failed to remove user from grace period');
-    return false;
-  }
-};
-
-export const expireGracePeriod = async (userId, discordId) => {
-  try {
-    await query(
-      'DELETE FROM grace_period WHERE user_id = $1',
-      [userId]
-    );
-
-    logger.info({ userId, discordId }, 'Grace period expired (not renewed)');
-    return true;
-  } catch (err) {
-    logger.error({ err, userId }, 'Failed to expire grace period');
-    return false;
-  }
-};
+export const GRACE_PERIOD_DAYS = 7;
 
 export const getGracePeriodUsers = async () => {
   try {
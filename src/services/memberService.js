@@ -0,0 +1,203 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as gracePeriodService from './gracePeriodService.js';
+import * as entitlementService from './entitlementService.js';
+import * as giftService from './giftService.js';
+import * as planService from './planService.js';
+import * as pauseService from './pauseService.js';
+import * as stripeService from './stripeService.js';
+import { MEMBER_STATES } from './membershipService.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Member service - what a signed-in member can see and change about their own membership
+ */
+
+const getUser = async (userId) => {
+  const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
+  if (!result.rows[0]) {
+    throw new NotFoundError('User not found');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Tier, expiry, grace status, plan and current subscription for GET /api/me
+ */
+export const getMemberProfile = async (userId) => {
+  try {
+    const user = await getUser(userId);
+    const membership = await entitlementService.getMembership(userId);
+    const subscription = await subscriptionService.getActiveSubscription(userId);
+    const plan = user.plan_tier ? await planService.getPlanByKey(user.plan_tier) : null;
+    const grace = user.tier === 'grace' ? await gracePeriodService.getGracePeriodStatus(userId) : null;
+    const pause = user.tier === 'paused' ? await pauseService.getActivePause(userId) : null;
+
+    return {
+      user: {
+        id: user.id,
+        discordId: user.discord_id,
+        discordUsername: user.discord_username,
+        discordAvatar: user.discord_avatar,
+        email: user.email,
+      },
+      tier: user.tier,
+      expiresAt: membership.lifetime ? null : membership.expiresAt,
+      lifetime: membership.lifetime,
+      grace: grace && {
+        endsAt: grace.gracePeriodEndsAt,
+        daysRemaining: grace.daysRemaining,
+        dmEnabled: grace.dmEnabled,
+        isExpired: grace.isExpired,
+      },
+      plan: plan && {
+        key: plan.tier_key,
+        name: plan.display_name,
+      },
+      subscription: subscription && {
+        status: subscription.status,
+        currentPeriodEnd: subscription.current_period_end,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        trialEnd: subscription.trial_end,
+      },
+      pause: pause && {
+        startedAt: pause.started_at,
+        resumesAt: pause.resumes_at,
+      },
+      hasBillingAccount: Boolean(user.stripe_customer_id),
+    };
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get member profile');
+    throw err;
+  }
+};
+
+/**
+ * Where to send a member after Discord login, from the login intent and their current state:
+ * - checkout: free members get a new subscription checkout
+ * - renew: members in grace get a checkout for their previous plan
+ * - portal: members with a Stripe subscription (paid, trialing, past due, paused) get the billing portal
+ * - account: members covered without a subscription (gift, comp, lifetime) - nothing to buy or manage
+ * - redeem: the member came to redeem a gift code - the site handles it
+ */
+export const getLoginDestination = async (user, { intent = 'join' } = {}) => {
+  try {
+    if (intent === 'redeem-gift') {
+      return { action: 'redeem', url: null };
+    }
+
+    if (intent === 'manage') {
+      if (!user.stripe_customer_id) {
+        return { action: 'account', url: null };
+      }
+      const session = await stripeService.createPortalSession(user.id);
+      return { action: 'portal', url: session.url };
+    }
+
+    if ([...MEMBER_STATES, 'paused'].includes(user.tier)) {
+      const subscription = await subscriptionService.getActiveSubscription(user.id);
+      if (!subscription && !['past_due', 'paused'].includes(user.tier)) {
+        return { action: 'account', url: null };
+      }
+
+      const session = await stripeService.createPortalSession(user.id);
+      return { action: 'portal', url: session.url };
+    }
+
+    const renewing = user.tier === 'grace';
+    const plan = renewing && user.plan_tier ? await planService.getPlanByKey(user.plan_tier) : null;
+
+    try {
+      const session = await stripeService.createCheckoutSession(user.id, user.discord_id, {
+        planKey: plan?.is_active ? plan.tier_key : null,
+        renewal: renewing,
+      });
+      return { action: renewing ? 'renew' : 'checkout', url: session.url };
+    } catch (err) {
+      // Stripe has a live subscription we haven't synced yet - don't sell them a second one
+      if (err instanceof ConflictError) {
+        const session = await stripeService.createPortalSession(user.id);
+        return { action: 'portal', url: session.url };
+      }
+      throw err;
+    }
+  } catch (err) {
+    logger.error({ err, userId: user.id }, 'Failed to resolve login destination');
+    throw err;
+  }
+};
+
+/**
+ * Turn grace period reminder DMs on or off (only while the member is in grace)
+ */
+export const setGraceDMPreference = async (userId, enabled) => {
+  const grace = await gracePeriodService.getGracePeriodStatus(userId);
+  if (!grace || grace.isExpired) {
+    throw new NotFoundError('You are not in a grace period');
+  }
+
+  const updated = await gracePeriodService.setDMPreference(userId, enabled);
+  if (!updated) {
+    throw new Error('Failed to update grace period DM preference');
+  }
+
+  return { ...grace, dmEnabled: enabled };
+};
+
+/**
+ * Gifts the member received (ledger grants) and gift codes they bought
+ */
+export const getGiftHistory = async (userId) => {
+  try {
+    const entitlements = await entitlementService.getUserEntitlements(userId);
+    const received = entitlements
+      .filter(row => row.source === 'gift')
+      .reverse()
+      .map(row => ({
+        id: row.id,
+        days: row.duration_days,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        duration: row.metadata?.duration || null,
+        giftedBy: row.metadata?.giftedBy || null,
+        revoked: Boolean(row.revoked_at),
+        createdAt: row.created_at,
+      }));
+
+    const purchased = await giftService.getPurchasedGiftCodes(userId);
+
+    return { received, purchased };
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get gift history');
+    throw err;
+  }
+};
+
+/**
+ * Admin changes made to the member's account (newest first).
+ * The acting admin isn't shown to members.
+ */
+export const getOverrideHistory = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT id, override_type, reason, duration_days, applied_at, expires_at
+       FROM admin_overrides
+       WHERE user_id = $1
+       ORDER BY applied_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      type: row.override_type,
+      reason: row.reason,
+      durationDays: row.duration_days,
+      appliedAt: row.applied_at,
+      expiresAt: row.expires_at,
+    }));
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get override history');
+    throw err;
+  }
+};
@@ -0,0 +1,89 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import { ValidationError, AppError } from '../utils/errors.js';
+
+/**
+ * Membership change log - one row per change the RoleBot lists can show: users.tier changes
+ * (membershipService.transition), plus plan, expiry and grace role changes within a state
+ * (from_state = to_state). The row id is the cursor RoleBot passes to the lists as ?since=
+ * to get only what changed.
+ */
+
+const RETENTION_DAYS = parseInt(process.env.MEMBERSHIP_CHANGE_RETENTION_DAYS || '30');
+
+// Cursors only move past rows at least this old. A transition that took a lower id may commit
+// after a higher one; holding the cursor back means a poll can't skip it (recent rows are just sent twice).
+const SETTLE_SECONDS = 10;
+
+const SETTLED_CURSOR_SQL = `SELECT COALESCE(MAX(id), 0) as cursor FROM membership_changes
+                            WHERE created_at <= NOW() - ($1 || ' seconds')::interval`;
+
+// Part of the caller's transaction so the log never disagrees with the users row
+export const recordChange = async (client, { userId, discordId, from, to, reason = null }) => {
+  await client.query(
+    `INSERT INTO membership_changes (user_id, discord_id, from_state, to_state, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, discordId, from, to, reason]
+  );
+};
+
+/**
+ * Cursor to hand out with a full list - the next ?since= poll picks up from here
+ */
+export const getLatestCursor = async () => {
+  const result = await query(SETTLED_CURSOR_SQL, [SETTLE_SECONDS]);
+  return String(result.rows[0].cursor);
+};
+
+export const parseCursor = (cursor) => {
+  if (!/^\d{1,18}$/.test(cursor || '')) {
+    throw new ValidationError('since must be a cursor returned by a previous list request');
+  }
+  return cursor;
+};
+
+/**
+ * Discord IDs whose membership changed after the cursor, and the cursor to use next time.
+ * Throws a 410 once the cursor is older than the retained log - do a full sync instead.
+ */
+export const getChangedSince = async (since) => {
+  const cursor = parseCursor(since);
+
+  try {
+    const oldest = await query('SELECT MIN(id) as id FROM membership_changes');
+
+    // Pruned rows between the cursor and the oldest we still have
+    if (oldest.rows[0].id && BigInt(cursor) < BigInt(oldest.rows[0].id) - 1n) {
+      throw new AppError('Cursor is too old - fetch the full list and use its syncCursor', 410, 'CURSOR_EXPIRED');
+    }
+
+    const settled = await query(SETTLED_CURSOR_SQL, [SETTLE_SECONDS]);
+    const result = await query('SELECT DISTINCT discord_id FROM membership_changes WHERE id > $1', [cursor]);
+
+    const next = BigInt(settled.rows[0].cursor) > BigInt(cursor) ? String(settled.rows[0].cursor) : cursor;
+
+    return { discordIds: result.rows.map(row => row.discord_id), cursor: next };
+  } catch (err) {
+    logger.error({ err, since }, 'Failed to read membership changes');
+    throw err;
+  }
+};
+
+/**
+ * Drop log rows older than MEMBERSHIP_CHANGE_RETENTION_DAYS.
+ * The newest row is always kept so an expired cursor can still be told apart.
+ */
+export const pruneChanges = async () => {
+  const result = await query(
+    `DELETE FROM membership_changes
+     WHERE created_at < NOW() - ($1 || ' days')::interval
+       AND id < (SELECT MAX(id) FROM membership_changes)`,
+    [RETENTION_DAYS]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info({ deleted: result.rowCount, retentionDays: RETENTION_DAYS }, 'Pruned membership change log');
+  }
+
+  return result.rowCount;
+};
@@ -0,0 +1,255 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import * as webhookService from './webhookService.js';
+import * as membershipChangeService from './membershipChangeService.js';
+import { GRACE_PERIOD_DAYS } from './gracePeriodService.js';
+import { NotFoundError, InvalidStateTransitionError } from '../utils/errors.js';
+
+/**
+ * Membership state machine - the only place users.tier changes.
+ *
+ * A transition updates the users row and the grace_period table, writes an audit log and
+ * the membership change log, and queues the RoleBot event in one transaction; the event
+ * is delivered after commit.
+ */
+
+export const STATES = ['free', 'trialing', 'paid', 'past_due', 'grace', 'paused'];
+
+// States whose members hold the paid role (paused members get the On Leave role instead)
+export const MEMBER_STATES = ['trialing', 'paid', 'past_due'];
+
+const TRANSITIONS = {
+  free: ['trialing', 'paid'],
+  trialing: ['paid', 'past_due', 'grace', 'free', 'paused'],
+  paid: ['past_due', 'grace', 'free', 'paused'],
+  past_due: ['paid', 'grace', 'free'],
+  grace: ['paid', 'past_due', 'free'],
+  paused: ['paid', 'past_due', 'grace', 'free'],
+};
+
+// Stripe subscription status -> membership state
+const STRIPE_STATUS_STATES = {
+  trialing: 'trialing',
+  active: 'paid',
+  past_due: 'past_due',
+  unpaid: 'grace',
+  canceled: 'grace',
+  paused: 'paused',
+};
+
+export const stateForStripeStatus = (status) => STRIPE_STATUS_STATES[status] || null;
+
+/**
+ * Like stateForStripeStatus, but an active subscription with pause_collection set is paused
+ */
+export const stateForStripeSubscription = (stripeSubscription) => {
+  if (stripeSubscription.pause_collection && ['active', 'past_due'].includes(stripeSubscription.status)) {
+    return 'paused';
+  }
+  return stateForStripeStatus(stripeSubscription.status);
+};
+
+export const canTransition = (from, to) => from === to || (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * RoleBot event sent for a transition (null = none; dunning sends its own payment events)
+ */
+export const defaultWebhookEvent = (from, to) => {
+  if (to === 'paused') return 'membership.paused';
+  if (from === 'paused' && MEMBER_STATES.includes(to)) return 'membership.resumed';
+  if (to === 'grace') return 'grace_period.started';
+  if (to === 'free') return from === 'grace' ? 'grace_period.expired' : 'membership.revoked';
+  if (to === 'paid' && from === 'grace') return 'subscription.renewed';
+  if ((to === 'paid' || to === 'trialing') && from === 'free') return 'subscription.activated';
+  if (to === 'paid' && from === 'trialing') return 'subscription.activated';
+  return null;
+};
+
+const writeGraceState = async (client, user, to, { retainRole, graceEndsAt }) => {
+  if (to === 'grace') {
+    await client.query(
+      `INSERT INTO grace_period (user_id, discord_id, grace_period_ends_at, dm_enabled, retain_role)
+       VALUES ($1, $2, $3, true, $4)
+       ON CONFLICT (user_id) DO UPDATE
+       SET grace_period_ends_at = $3, retain_role = grace_period.retain_role AND $4,
+           updated_at = CURRENT_TIMESTAMP`,
+      [user.id, user.discord_id, graceEndsAt, retainRole]
+    );
+  } else {
+    await client.query('DELETE FROM grace_period WHERE user_id = $1', [user.id]);
+  }
+};
+
+/**
+ * Move a user to a new membership state.
+ *
+ * Options: reason, actor (who/what caused it), stripeEventId, retainRole (grace only),
+ * webhookEvent/webhookData to override the default RoleBot event (null to send none).
+ * A transition to the current state is a no-op unless it's grace with retainRole: false
+ * or an explicit webhookEvent is given.
+ *
+ * With client, the transition runs in the caller's transaction and the result carries
+ * webhookEventId - pass it to webhookService.deliverQueuedWebhook after commit.
+ */
+export const transition = async (userId, to, {
+  reason = null,
+  actor = 'system',
+  stripeEventId = null,
+  retainRole = true,
+  webhookEvent,
+  webhookData = {},
+  metadata = {},
+  client = null,
+} = {}) => {
+  if (!STATES.includes(to)) {
+    throw new InvalidStateTransitionError('unknown', to);
+  }
+
+  const apply = async (client) => {
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const from = user.tier;
+    if (!canTransition(from, to)) {
+      throw new InvalidStateTransitionError(from, to);
+    }
+
+    const changed = from !== to;
+
+    if (!changed) {
+      // Re-entering grace can only drop the role, never extend the grace period
+      if (to === 'grace' && !retainRole) {
+        const dropped = await client.query(
+          'UPDATE grace_period SET retain_role = false WHERE user_id = $1 AND retain_role = true',
+          [userId]
+        );
+
+        // The grace list shows retainRole, so delta syncs need to see this
+        if (dropped.rowCount > 0) {
+          await membershipChangeService.recordChange(client, {
+            userId,
+            discordId: user.discord_id,
+            from,
+            to,
+            reason: reason || 'Grace period role removed',
+          });
+        }
+      }
+    } else {
+      let graceEndsAt = null;
+      if (to === 'grace') {
+        graceEndsAt = new Date();
+        graceEndsAt.setDate(graceEndsAt.getDate() + GRACE_PERIOD_DAYS);
+      }
+
+      await client.query(
+        `UPDATE users
+         SET tier = $1, grace_period_end_date = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [to, graceEndsAt, userId]
+      );
+
+      await writeGraceState(client, user, to, { retainRole, graceEndsAt });
+
+      await membershipChangeService.recordChange(client, {
+        userId,
+        discordId: user.discord_id,
+        from,
+        to,
+        reason,
+      });
+
+      await auditLogService.logEvent(userId, 'membership.transition', {
+        from,
+        to,
+        reason,
+        actor,
+        ...metadata,
+      }, { action: 'transition', resourceType: 'membership', stripeEventId, client });
+    }
+
+    const eventType = webhookEvent !== undefined ? webhookEvent : (changed ? defaultWebhookEvent(from, to) : null);
+    const queuedId = eventType
+      ? await webhookService.queueWebhook(client, eventType, {
+        userId,
+        discordId: user.discord_id,
+        from,
+        to,
+        ...webhookData,
+      })
+      : null;
+
+    return { result: { user, from, to, changed }, webhookEventId: queuedId };
+  };
+
+  const { result, webhookEventId } = client ? await apply(client) : await withTransaction(apply);
+
+  if (result.changed) {
+    logger.info({ userId, from: result.from, to, reason, actor }, 'Membership state changed');
+  }
+
+  if (client) {
+    return { ...result, webhookEventId };
+  }
+
+  if (webhookEventId) {
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+  }
+
+  return result;
+};
+
+/**
+ * Whether a refund or dispute revoked this Stripe subscription (and a won dispute hasn't ended it)
+ */
+export const isRevokedSubscription = async (stripeSubscriptionId, { client = null } = {}) => {
+  const result = await (client || { query }).query(
+    `SELECT 1 FROM admin_overrides
+     WHERE override_type = 'refund' AND stripe_subscription_id = $1
+       AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+    [stripeSubscriptionId]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Bring a user's state in line with their Stripe subscription status.
+ * Statuses with no matching state (incomplete) and transitions the machine doesn't
+ * allow (e.g. a cancellation after a refund already made the user free) are logged
+ * and skipped, so Stripe events never dead-letter on them. So is any status of a
+ * subscription revoked by a refund or dispute.
+ */
+export const applyStripeStatus = async (user, stripeSubscription, options = {}) => {
+  const to = stateForStripeSubscription(stripeSubscription);
+
+  if (!to) {
+    return null;
+  }
+
+  // Late events (and reconciliation) for a refunded or charged-back subscription don't restore membership
+  if (await isRevokedSubscription(stripeSubscription.id, { client: options.client })) {
+    logger.warn({ userId: user.id, subscriptionId: stripeSubscription.id, status: stripeSubscription.status }, 'Skipping Stripe status for a subscription revoked by a refund or dispute');
+    return null;
+  }
+
+  try {
+    return await transition(user.id, to, {
+      reason: `Stripe subscription ${stripeSubscription.status}`,
+      actor: 'stripe',
+      metadata: { subscriptionId: stripeSubscription.id },
+      ...options,
+    });
+  } catch (err) {
+    if (err instanceof InvalidStateTransitionError) {
+      logger.warn({ userId: user.id, ...err.details, status: stripeSubscription.status }, 'Skipping membership transition not allowed from current state');
+      return null;
+    }
+    throw err;
+  }
+};
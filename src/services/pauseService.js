@@ -0,0 +1,261 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as membershipService from './membershipService.js';
+import * as discordRoleService from './discordRoleService.js';
+import * as auditLogService from './auditLogService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Pause service - "leave of absence" through Stripe pause_collection.
+ * Paused members drop the paid role and get the On Leave role (DISCORD_ON_LEAVE_ROLE_ID, optional).
+ * Pauses started in the Stripe dashboard are picked up from the subscription events.
+ */
+
+const PAUSE_MAX_DAYS = parseInt(process.env.PAUSE_MAX_DAYS || '180');
+
+const ON_LEAVE_ROLE_ID = process.env.DISCORD_ON_LEAVE_ROLE_ID || null;
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+// Subscription statuses where the subscription is over (state is left to handleSubscriptionCanceled)
+const ENDED_STATUSES = ['canceled', 'unpaid', 'incomplete_expired'];
+
+const isStripePaused = (stripeSubscription) => stripeSubscription.status === 'paused'
+  || Boolean(stripeSubscription.pause_collection);
+
+export const getActivePause = async (userId) => {
+  const result = await query(
+    "SELECT * FROM membership_pauses WHERE user_id = $1 AND status = 'active'",
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+export const getPauses = async (userId) => {
+  try {
+    const result = await query(
+      'SELECT * FROM membership_pauses WHERE user_id = $1 ORDER BY started_at DESC',
+      [userId]
+    );
+    return result.rows;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get pauses');
+    throw err;
+  }
+};
+
+/**
+ * Members currently on leave
+ */
+export const getPausedMembers = async () => {
+  const result = await query(
+    `SELECT u.id as user_id, u.discord_id, u.plan_tier, mp.started_at, mp.resumes_at, mp.reason
+     FROM users u
+     JOIN membership_pauses mp ON mp.user_id = u.id AND mp.status = 'active'
+     WHERE u.tier = 'paused'
+     ORDER BY mp.started_at ASC`
+  );
+  return result.rows;
+};
+
+// shouldHavePaid null leaves the paid role alone
+const syncPauseRoles = async (user, paused, shouldHavePaid) => {
+  const discordId = user.discord_id;
+
+  try {
+    if (shouldHavePaid) {
+      await discordRoleService.grantMemberRoles(user);
+    } else if (shouldHavePaid === false) {
+      await discordRoleService.syncRoles(discordId, false);
+    }
+
+    if (ON_LEAVE_ROLE_ID) {
+      if (paused) {
+        await discordRoleService.addRoleToMember(discordId, ON_LEAVE_ROLE_ID, 'Membership paused');
+      } else {
+        await discordRoleService.removeRoleFromMember(discordId, ON_LEAVE_ROLE_ID, 'Membership resumed');
+      }
+    }
+  } catch (err) {
+    // RoleBot also gets the membership.paused/resumed event and the lists
+    logger.error({ err, discordId }, 'Failed to sync On Leave roles');
+  }
+};
+
+const parseResumesAt = (resumesAt) => {
+  if (!resumesAt) {
+    return null;
+  }
+
+  const date = new Date(resumesAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new ValidationError('resumesAt must be a future date');
+  }
+
+  const latest = new Date();
+  latest.setDate(latest.getDate() + PAUSE_MAX_DAYS);
+  if (date > latest) {
+    throw new ValidationError(`A pause can last at most ${PAUSE_MAX_DAYS} days`);
+  }
+
+  return date;
+};
+
+/**
+ * Record a pause and move the member to paused (no-op if already recorded)
+ */
+const startPause = async (user, stripeSubscription, { reason = null, requestedBy, stripeEventId = null }) => {
+  const resumesAt = toDate(stripeSubscription.pause_collection?.resumes_at);
+
+  const result = await query(
+    `INSERT INTO membership_pauses (user_id, stripe_subscription_id, reason, requested_by, resumes_at)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id) WHERE status = 'active' DO NOTHING
+     RETURNING *`,
+    [user.id, stripeSubscription.id, reason, requestedBy, resumesAt]
+  );
+  const pause = result.rows[0] || await getActivePause(user.id);
+
+  await membershipService.applyStripeStatus(user, stripeSubscription, {
+    reason: reason || 'Membership paused',
+    actor: requestedBy,
+    stripeEventId,
+    webhookData: { resumesAt, onLeaveRoleId: ON_LEAVE_ROLE_ID },
+    metadata: { pauseId: pause.id, subscriptionId: stripeSubscription.id },
+  });
+
+  await syncPauseRoles(user, true, false);
+
+  if (result.rows[0]) {
+    await auditLogService.logEvent(user.id, 'membership.paused', {
+      pauseId: pause.id,
+      subscriptionId: stripeSubscription.id,
+      resumesAt,
+      reason,
+      requestedBy,
+    }, { action: 'pause', resourceType: 'membership_pause', resourceId: pause.id, stripeEventId });
+
+    logger.info({ userId: user.id, pauseId: pause.id, resumesAt }, 'Membership paused');
+  }
+
+  return pause;
+};
+
+/**
+ * Close the open pause and move the member to the state of their subscription
+ * (an ended subscription's state is handled by handleSubscriptionCanceled)
+ */
+const endPause = async (user, stripeSubscription, { endedBy, stripeEventId = null }) => {
+  const result = await query(
+    `UPDATE membership_pauses
+     SET status = 'ended', ended_at = NOW(), ended_by = $1
+     WHERE user_id = $2 AND status = 'active'
+     RETURNING *`,
+    [endedBy, user.id]
+  );
+  const pause = result.rows[0] || null;
+
+  if (ENDED_STATUSES.includes(stripeSubscription.status)) {
+    await syncPauseRoles(user, false, null);
+  } else {
+    const transitioned = await membershipService.applyStripeStatus(user, stripeSubscription, {
+      reason: 'Membership resumed',
+      actor: endedBy,
+      stripeEventId,
+    });
+    const state = transitioned?.to || membershipService.stateForStripeSubscription(stripeSubscription);
+
+    await syncPauseRoles(user, false, membershipService.MEMBER_STATES.includes(state));
+  }
+
+  if (pause) {
+    await auditLogService.logEvent(user.id, 'membership.resumed', {
+      pauseId: pause.id,
+      subscriptionId: stripeSubscription.id,
+      pausedDays: Math.round((new Date(pause.ended_at) - new Date(pause.started_at)) / (24 * 60 * 60 * 1000)),
+      endedBy,
+    }, { action: 'resume', resourceType: 'membership_pause', resourceId: pause.id, stripeEventId });
+
+    logger.info({ userId: user.id, pauseId: pause.id }, 'Membership resumed');
+  }
+
+  return pause;
+};
+
+/**
+ * Pause a paid member's subscription (member or admin request)
+ */
+export const pauseMembership = async (userId, { resumesAt = null, reason = null, requestedBy }) => {
+  const resumeDate = parseResumesAt(resumesAt);
+
+  try {
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (await getActivePause(userId)) {
+      throw new ConflictError('Membership is already paused');
+    }
+
+    const subscription = await subscriptionService.getActiveSubscription(userId);
+    if (!subscription || subscription.status !== 'active' || user.tier !== 'paid') {
+      throw new ValidationError('Only members with an active paid subscription can pause');
+    }
+
+    const stripeSubscription = await stripeService.pauseSubscription(subscription.stripe_subscription_id, {
+      resumesAt: resumeDate,
+    });
+    await subscriptionService.createOrUpdateSubscription(userId, stripeSubscription);
+
+    return await startPause(user, stripeSubscription, { reason, requestedBy });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to pause membership');
+    throw err;
+  }
+};
+
+/**
+ * Resume a paused member's subscription now
+ */
+export const resumeMembership = async (userId, { requestedBy }) => {
+  try {
+    const pause = await getActivePause(userId);
+    if (!pause) {
+      throw new NotFoundError('Membership is not paused');
+    }
+
+    const userResult = await query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+
+    const stripeSubscription = await stripeService.resumeSubscription(pause.stripe_subscription_id);
+    await subscriptionService.createOrUpdateSubscription(userId, stripeSubscription);
+
+    return await endPause(user, stripeSubscription, { endedBy: requestedBy });
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to resume membership');
+    throw err;
+  }
+};
+
+/**
+ * Match the local pause to Stripe's (customer.subscription.paused/resumed/updated/deleted).
+ * Covers pauses set in the Stripe dashboard, scheduled auto-resumes and trials Stripe paused.
+ */
+export const syncPauseFromStripe = async (user, stripeSubscription, { stripeEventId = null } = {}) => {
+  const activePause = await getActivePause(user.id);
+  const paused = isStripePaused(stripeSubscription);
+
+  if (paused && !activePause) {
+    return startPause(user, stripeSubscription, { requestedBy: 'stripe', stripeEventId });
+  }
+
+  if (!paused && activePause && activePause.stripe_subscription_id === stripeSubscription.id) {
+    return endPause(user, stripeSubscription, { endedBy: 'stripe', stripeEventId });
+  }
+
+  return activePause;
+};
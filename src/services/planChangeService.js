@@ -0,0 +1,196 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import * as stripeService from './stripeService.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as planService from './planService.js';
+import * as discordRoleService from './discordRoleService.js';
+import * as webhookService from './webhookService.js';
+import * as auditLogService from './auditLogService.js';
+
+/**
+ * Plan change service - upgrades apply immediately with proration,
+ * downgrades take effect at the end of the current period.
+ */
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+const getChangeContext = async (userId, planKey) => {
+  const subscription = await subscriptionService.getActiveSubscription(userId);
+  if (!subscription) {
+    throw new NotFoundError('No active subscription to change');
+  }
+
+  const newPlan = await planService.getPlanByKey(planKey);
+  if (!newPlan || !newPlan.is_active) {
+    throw new ValidationError(`Unknown plan: ${planKey}`);
+  }
+
+  const stripeSubscription = await stripeService.getSubscription(subscription.stripe_subscription_id);
+  const currentPriceId = stripeSubscription.items.data[0].price.id;
+  const currentPlan = await planService.getPlanByPriceId(currentPriceId);
+
+  if (currentPriceId === newPlan.stripe_price_id) {
+    throw new ValidationError(`Already on the ${newPlan.display_name} plan`);
+  }
+
+  // Unknown current plans are treated as rank 0, so any change is an upgrade
+  const direction = newPlan.rank > (currentPlan?.rank ?? 0) ? 'upgrade' : 'downgrade';
+
+  return { subscription, stripeSubscription, currentPlan, newPlan, direction };
+};
+
+const describePlan = (plan) => (plan ? { key: plan.tier_key, name: plan.display_name } : null);
+
+/**
+ * Preview a plan change: prorated amount due now for upgrades,
+ * effective date for downgrades
+ */
+export const previewPlanChange = async (userId, planKey) => {
+  try {
+    const { stripeSubscription, currentPlan, newPlan, direction } = await getChangeContext(userId, planKey);
+
+    if (direction === 'downgrade') {
+      return {
+        direction,
+        currentPlan: describePlan(currentPlan),
+        newPlan: describePlan(newPlan),
+        effective: 'period_end',
+        effectiveAt: toDate(stripeSubscription.current_period_end),
+        amountDue: 0,
+      };
+    }
+
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripeService.previewPriceChange(stripeSubscription, newPlan.stripe_price_id, prorationDate);
+    const prorationLines = invoice.lines.data.filter(line => line.proration);
+
+    return {
+      direction,
+      currentPlan: describePlan(currentPlan),
+      newPlan: describePlan(newPlan),
+      effective: 'immediately',
+      effectiveAt: toDate(prorationDate),
+      prorationDate,
+      amountDue: prorationLines.reduce((sum, line) => sum + line.amount, 0),
+      currency: invoice.currency,
+      lines: prorationLines.map(line => ({
+        description: line.description,
+        amount: line.amount,
+      })),
+    };
+  } catch (err) {
+    logger.error({ err, userId, planKey }, 'Failed to preview plan change');
+    throw err;
+  }
+};
+
+/**
+ * Change plan. prorationDate from the preview keeps the charged amount
+ * identical to what the member was shown.
+ */
+export const changePlan = async (userId, planKey, { prorationDate = null } = {}) => {
+  try {
+    const { subscription, stripeSubscription, currentPlan, newPlan, direction } = await getChangeContext(userId, planKey);
+
+    if (direction === 'upgrade') {
+      const now = Math.floor(Date.now() / 1000);
+      const effectiveProrationDate = prorationDate && now - prorationDate < 60 * 60 ? prorationDate : now;
+
+      await stripeService.changeSubscriptionPrice(stripeSubscription, newPlan.stripe_price_id, effectiveProrationDate);
+
+      await query(
+        'UPDATE subscriptions SET pending_price_id = NULL, pending_change_at = NULL WHERE id = $1',
+        [subscription.id]
+      );
+    } else {
+      await stripeService.schedulePriceChangeAtPeriodEnd(stripeSubscription, newPlan.stripe_price_id);
+
+      await query(
+        'UPDATE subscriptions SET pending_price_id = $1, pending_change_at = $2 WHERE id = $3',
+        [newPlan.stripe_price_id, toDate(stripeSubscription.current_period_end), subscription.id]
+      );
+    }
+
+    await auditLogService.logEvent(userId, 'subscription.plan_change_requested', {
+      subscriptionId: stripeSubscription.id,
+      fromPlan: currentPlan?.tier_key || null,
+      toPlan: newPlan.tier_key,
+      direction,
+    }, { action: direction, resourceType: 'subscription', resourceId: stripeSubscription.id });
+
+    logger.info({ userId, fromPlan: currentPlan?.tier_key, toPlan: newPlan.tier_key, direction }, 'Plan change requested');
+
+    return {
+      direction,
+      currentPlan: describePlan(currentPlan),
+      newPlan: describePlan(newPlan),
+      effective: direction === 'upgrade' ? 'immediately' : 'period_end',
+      effectiveAt: direction === 'upgrade' ? new Date() : toDate(stripeSubscription.current_period_end),
+    };
+  } catch (err) {
+    logger.error({ err, userId, planKey }, 'Failed to change plan');
+    throw err;
+  }
+};
+
+/**
+ * customer.subscription.updated with previous_attributes.items - the price changed
+ * (upgrade applied, scheduled downgrade kicked in, or changed in the Stripe dashboard).
+ * Swap the member's tier and roles to match.
+ */
+export const handlePriceChange = async (user, stripeSubscription, previousAttributes) => {
+  const oldPriceId = previousAttributes.items?.data?.[0]?.price?.id;
+  const newPriceId = stripeSubscription.items.data[0]?.price.id;
+
+  if (!oldPriceId || !newPriceId || oldPriceId === newPriceId) {
+    return null;
+  }
+
+  try {
+    const oldPlan = await planService.getPlanByPriceId(oldPriceId);
+
+    const { newPlan, webhookEventId } = await withTransaction(async (client) => {
+      const plan = await planService.setUserPlanFromPrice(user.id, newPriceId, stripeSubscription.status, { client });
+
+      await client.query(
+        `UPDATE subscriptions SET pending_price_id = NULL, pending_change_at = NULL
+         WHERE stripe_subscription_id = $1 AND (pending_price_id IS NULL OR pending_price_id = $2)`,
+        [stripeSubscription.id, newPriceId]
+      );
+
+      await auditLogService.logEvent(user.id, 'subscription.plan_changed', {
+        subscriptionId: stripeSubscription.id,
+        oldPriceId,
+        newPriceId,
+        oldTier: oldPlan?.tier_key || null,
+        newTier: plan?.tier_key || null,
+      }, { action: 'change', resourceType: 'subscription', resourceId: stripeSubscription.id, client });
+
+      const queuedId = await webhookService.queueWebhook(client, 'subscription.plan_changed', {
+        userId: user.id,
+        discordId: user.discord_id,
+        oldTier: oldPlan?.tier_key || null,
+        newTier: plan?.tier_key || null,
+      });
+
+      return { newPlan: plan, webhookEventId: queuedId };
+    });
+
+    await webhookService.deliverQueuedWebhook(webhookEventId);
+
+    if (newPlan) {
+      try {
+        await discordRoleService.syncRoles(user.discord_id, true, newPlan.tier_key);
+      } catch (err) {
+        logger.error({ err, discordId: user.discord_id }, 'Failed to sync Discord roles after plan change');
+      }
+    }
+
+    logger.info({ userId: user.id, oldTier: oldPlan?.tier_key, newTier: newPlan?.tier_key }, 'Subscription plan changed');
+    return newPlan;
+  } catch (err) {
+    logger.error({ err, userId: user.id, subscriptionId: stripeSubscription.id }, 'Failed to handle plan change');
+    throw err;
+  }
+};
@@ -0,0 +1,157 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as membershipChangeService from './membershipChangeService.js';
+
+/**
+ * Plan service - maps Stripe prices to membership tiers and Discord roles
+ */
+
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+export const listPlans = async ({ includeInactive = false } = {}) => {
+  try {
+    const result = await query(
+      `SELECT * FROM plans
+       ${includeInactive ? '' : 'WHERE is_active = true'}
+       ORDER BY rank ASC, tier_key ASC`
+    );
+
+    return result.rows;
+  } catch (err) {
+    logger.error({ err }, 'Failed to list plans');
+    throw err;
+  }
+};
+
+export const getPlanByKey = async (tierKey) => {
+  try {
+    const result = await query(
+      'SELECT * FROM plans WHERE tier_key = $1',
+      [tierKey]
+    );
+
+    return result.rows[0] || null;
+  } catch (err) {
+    logger.error({ err, tierKey }, 'Failed to get plan');
+    throw err;
+  }
+};
+
+export const getPlanByPriceId = async (stripePriceId) => {
+  try {
+    const result = await query(
+      'SELECT * FROM plans WHERE stripe_price_id = $1',
+      [stripePriceId]
+    );
+
+    return result.rows[0] || null;
+  } catch (err) {
+    logger.error({ err, stripePriceId }, 'Failed to get plan by price');
+    throw err;
+  }
+};
+
+/**
+ * Plan used when checkout doesn't name one: DEFAULT_PLAN_KEY, else the lowest-ranked active plan
+ */
+export const getDefaultPlan = async () => {
+  if (process.env.DEFAULT_PLAN_KEY) {
+    const plan = await getPlanByKey(process.env.DEFAULT_PLAN_KEY);
+    if (plan?.is_active) {
+      return plan;
+    }
+    logger.warn({ planKey: process.env.DEFAULT_PLAN_KEY }, 'DEFAULT_PLAN_KEY is missing or inactive');
+  }
+
+  const plans = await listPlans();
+  return plans[0] || null;
+};
+
+export const upsertPlan = async ({ tierKey, displayName, stripePriceId, discordRoleIds = [], rank = 0, isActive = true }) => {
+  try {
+    const result = await query(
+      `INSERT INTO plans (tier_key, display_name, stripe_price_id, discord_role_ids, rank, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (tier_key) DO UPDATE
+       SET display_name = $2, stripe_price_id = $3, discord_role_ids = $4, rank = $5, is_active = $6
+       RETURNING *`,
+      [tierKey, displayName, stripePriceId, JSON.stringify(discordRoleIds), rank, isActive]
+    );
+
+    logger.info({ tierKey, stripePriceId }, 'Upserted plan');
+    return result.rows[0];
+  } catch (err) {
+    logger.error({ err, tierKey }, 'Failed to upsert plan');
+    throw err;
+  }
+};
+
+/**
+ * Every Discord role managed by any plan (so roles from other plans can be removed)
+ */
+export const getAllPlanRoleIds = async () => {
+  const plans = await listPlans({ includeInactive: true });
+  return [...new Set(plans.flatMap(plan => plan.discord_role_ids || []))];
+};
+
+/**
+ * Record which plan a user is on, based on their subscription's price.
+ * Pass client to do it in the caller's transaction.
+ */
+export const setUserPlanFromPrice = async (userId, stripePriceId, status, { client = null } = {}) => {
+  if (!ACTIVE_STATUSES.includes(status)) {
+    return null;
+  }
+
+  try {
+    const plan = await getPlanByPriceId(stripePriceId);
+    if (!plan) {
+      logger.warn({ userId, stripePriceId }, 'No plan configured for Stripe price');
+      return null;
+    }
+
+    const db = client || { query };
+    const result = await db.query(
+      `UPDATE users SET plan_tier = $1
+       WHERE id = $2 AND plan_tier IS DISTINCT FROM $1
+       RETURNING discord_id, tier`,
+      [plan.tier_key, userId]
+    );
+
+    // The lists show the plan as tier, so delta syncs need to see the switch
+    if (result.rows[0]) {
+      await membershipChangeService.recordChange(db, {
+        userId,
+        discordId: result.rows[0].discord_id,
+        from: result.rows[0].tier,
+        to: result.rows[0].tier,
+        reason: `Plan changed to ${plan.tier_key}`,
+      });
+    }
+
+    return plan;
+  } catch (err) {
+    logger.error({ err, userId, stripePriceId }, 'Failed to set user plan');
+    throw err;
+  }
+};
+
+/**
+ * Seed a single plan from STRIPE_PRICE_ID when none exist (keeps single-price installs working)
+ */
+export const ensureDefaultPlan = async () => {
+  const plans = await listPlans({ includeInactive: true });
+
+  if (plans.length > 0 || !process.env.STRIPE_PRICE_ID) {
+    return;
+  }
+
+  await upsertPlan({
+    tierKey: process.env.DEFAULT_PLAN_KEY || 'supporter',
+    displayName: 'Supporter',
+    stripePriceId: process.env.STRIPE_PRICE_ID,
+    rank: 1,
+  });
+
+  logger.info('Seeded default plan from STRIPE_PRICE_ID');
+};
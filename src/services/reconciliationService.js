@@ -0,0 +1,421 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as membershipService from './membershipService.js';
+import * as planService from './planService.js';
+import * as auditLogService from './auditLogService.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Reconciliation service - compares Stripe subscriptions for our prices with the
+ * subscriptions/users tables and reports (or fixes) drift.
+ *
+ * Drift types:
+ * - missing_locally:  Stripe subscription for a known customer with no subscriptions row
+ * - status_drift:     subscriptions.status or users.tier doesn't match Stripe
+ * - period_end_drift: subscriptions.current_period_end doesn't match Stripe
+ * - orphan_customer:  Stripe subscription whose customer isn't linked to any user
+ *
+ * Drifts on a subscription revoked by a refund or dispute (an active refund override or a
+ * revoked Stripe ledger entry) are flagged revoked and reported only - auto-fix would
+ * hand the member back what the revocation took away.
+ */
+
+const AUTO_FIX = process.env.RECONCILIATION_AUTO_FIX === 'true';
+
+const PERIOD_END_TOLERANCE_MS = 60 * 1000;
+
+// Stripe statuses that no longer matter if we never recorded them
+const TERMINAL_STATUSES = ['canceled', 'incomplete_expired'];
+
+const LIVE_STATUSES = ['active', 'trialing', 'past_due', 'paused'];
+
+// A run older than this is assumed to have crashed
+const STALE_RUN_MINUTES = 60;
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+const getPriceIds = async () => {
+  const plans = await planService.listPlans({ includeInactive: true });
+  const priceIds = plans.map(plan => plan.stripe_price_id);
+
+  if (process.env.STRIPE_PRICE_ID) {
+    priceIds.push(process.env.STRIPE_PRICE_ID);
+  }
+
+  return [...new Set(priceIds)];
+};
+
+const fetchStripeSubscriptions = async (priceIds) => {
+  const subscriptions = new Map();
+
+  for (const priceId of priceIds) {
+    const list = await stripeService.listSubscriptionsForPrice(priceId);
+    for (const subscription of list) {
+      subscriptions.set(subscription.id, subscription);
+    }
+  }
+
+  return subscriptions;
+};
+
+const loadLocalState = async () => {
+  const usersResult = await query(
+    `SELECT id, discord_id, stripe_customer_id, tier, subscription_end_date, lifetime
+     FROM users WHERE stripe_customer_id IS NOT NULL`
+  );
+  const subscriptionsResult = await query('SELECT * FROM subscriptions');
+
+  const revokedSubscriptionsResult = await query(
+    `SELECT stripe_subscription_id FROM admin_overrides
+     WHERE override_type = 'refund' AND stripe_subscription_id IS NOT NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     UNION
+     SELECT source_ref FROM membership_entitlements
+     WHERE source = 'stripe' AND revoked_at IS NOT NULL AND source_ref IS NOT NULL`
+  );
+  // Overrides from before they recorded the subscription apply to the whole user
+  const revokedUsersResult = await query(
+    `SELECT DISTINCT user_id FROM admin_overrides
+     WHERE override_type = 'refund' AND stripe_subscription_id IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())`
+  );
+
+  return {
+    usersByCustomer: new Map(usersResult.rows.map(user => [user.stripe_customer_id, user])),
+    subscriptionsById: new Map(subscriptionsResult.rows.map(sub => [sub.stripe_subscription_id, sub])),
+    revokedSubscriptionIds: new Set(revokedSubscriptionsResult.rows.map(row => row.stripe_subscription_id)),
+    revokedUserIds: new Set(revokedUsersResult.rows.map(row => row.user_id)),
+  };
+};
+
+/**
+ * The subscription that decides a customer's membership: newest live one, else newest
+ */
+const primarySubscription = (subscriptions) => {
+  const byNewest = [...subscriptions].sort((a, b) => b.created - a.created);
+  return byNewest.find(sub => LIVE_STATUSES.includes(sub.status)) || byNewest[0];
+};
+
+const isCoveredLocally = (user) => user.lifetime || (user.subscription_end_date && new Date(user.subscription_end_date) > new Date());
+
+const drift = (type, stripeSubscription, user, details = {}) => ({
+  type,
+  stripeSubscriptionId: stripeSubscription?.id || details.stripeSubscriptionId || null,
+  stripeCustomerId: stripeSubscription?.customer || user?.stripe_customer_id || null,
+  userId: user?.id || null,
+  discordId: user?.discord_id || null,
+  ...details,
+  fixed: false,
+});
+
+/**
+ * Compare Stripe with the local tables
+ */
+export const detectDrift = async (stripeSubscriptions, {
+  usersByCustomer,
+  subscriptionsById,
+  revokedSubscriptionIds = new Set(),
+  revokedUserIds = new Set(),
+}) => {
+  const drifts = [];
+  const subscriptionsByCustomer = new Map();
+
+  for (const stripeSubscription of stripeSubscriptions.values()) {
+    const user = usersByCustomer.get(stripeSubscription.customer);
+    const local = subscriptionsById.get(stripeSubscription.id);
+
+    if (!user) {
+      if (!TERMINAL_STATUSES.includes(stripeSubscription.status)) {
+        drifts.push(drift('orphan_customer', stripeSubscription, null, { stripe: stripeSubscription.status }));
+      }
+      continue;
+    }
+
+    const customerSubscriptions = subscriptionsByCustomer.get(stripeSubscription.customer) || [];
+    customerSubscriptions.push(stripeSubscription);
+    subscriptionsByCustomer.set(stripeSubscription.customer, customerSubscriptions);
+
+    if (!local) {
+      if (!TERMINAL_STATUSES.includes(stripeSubscription.status)) {
+        drifts.push(drift('missing_locally', stripeSubscription, user, { stripe: stripeSubscription.status }));
+      }
+      continue;
+    }
+
+    if (local.status !== stripeSubscription.status) {
+      drifts.push(drift('status_drift', stripeSubscription, user, {
+        field: 'subscriptions.status',
+        local: local.status,
+        stripe: stripeSubscription.status,
+      }));
+    }
+
+    const stripePeriodEnd = toDate(stripeSubscription.current_period_end);
+    const localPeriodEnd = local.current_period_end ? new Date(local.current_period_end) : null;
+    if (stripePeriodEnd && (!localPeriodEnd || Math.abs(localPeriodEnd - stripePeriodEnd) > PERIOD_END_TOLERANCE_MS)) {
+      drifts.push(drift('period_end_drift', stripeSubscription, user, {
+        field: 'subscriptions.current_period_end',
+        local: localPeriodEnd,
+        stripe: stripePeriodEnd,
+      }));
+    }
+  }
+
+  // Membership state per customer, from their deciding subscription
+  for (const [customerId, customerSubscriptions] of subscriptionsByCustomer) {
+    const user = usersByCustomer.get(customerId);
+    const primary = primarySubscription(customerSubscriptions);
+    const expected = membershipService.stateForStripeSubscription(primary);
+
+    if (!expected) {
+      continue;
+    }
+
+    const tierDrifted = expected !== 'grace'
+      ? user.tier !== expected
+      // Ended in Stripe: still a member (or on leave) locally without gift/comp time to cover it
+      : [...membershipService.MEMBER_STATES, 'paused'].includes(user.tier) && !isCoveredLocally(user);
+
+    if (tierDrifted) {
+      drifts.push(drift('status_drift', primary, user, {
+        field: 'users.tier',
+        local: user.tier,
+        stripe: primary.status,
+        expected,
+      }));
+    }
+  }
+
+  // Live local subscriptions Stripe didn't return for our prices
+  for (const [subscriptionId, local] of subscriptionsById) {
+    if (stripeSubscriptions.has(subscriptionId) || !LIVE_STATUSES.includes(local.status)) {
+      continue;
+    }
+
+    const user = [...usersByCustomer.values()].find(u => u.id === local.user_id) || null;
+
+    let stripeSubscription = null;
+    try {
+      stripeSubscription = await stripeService.getSubscription(subscriptionId);
+    } catch (err) {
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+    }
+
+    if (!stripeSubscription) {
+      drifts.push(drift('status_drift', null, user, {
+        stripeSubscriptionId: subscriptionId,
+        field: 'subscriptions.status',
+        local: local.status,
+        stripe: 'missing',
+      }));
+    } else if (stripeSubscription.status !== local.status) {
+      drifts.push(drift('status_drift', stripeSubscription, user, {
+        field: 'subscriptions.status',
+        local: local.status,
+        stripe: stripeSubscription.status,
+      }));
+    }
+  }
+
+  for (const entry of drifts) {
+    if (revokedSubscriptionIds.has(entry.stripeSubscriptionId) || revokedUserIds.has(entry.userId)) {
+      entry.revoked = true;
+    }
+  }
+
+  return drifts;
+};
+
+/**
+ * Apply Stripe's view of a subscription locally (same path as the webhook handlers)
+ */
+const syncFromStripe = async (user, stripeSubscription) => {
+  await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+
+  if (['canceled', 'unpaid'].includes(stripeSubscription.status)) {
+    await subscriptionService.handleSubscriptionCanceled(stripeSubscription);
+  } else {
+    await membershipService.applyStripeStatus(user, stripeSubscription, {
+      reason: 'Reconciliation with Stripe',
+      actor: 'reconciliation',
+    });
+  }
+};
+
+/**
+ * Link an orphaned Stripe customer to a user by the discord_id in its metadata
+ */
+const linkOrphanCustomer = async (customerId) => {
+  const customer = await stripeService.getCustomer(customerId);
+  const discordId = customer?.metadata?.discord_id;
+  if (!discordId) {
+    return null;
+  }
+
+  const result = await query(
+    `UPDATE users SET stripe_customer_id = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE discord_id = $2 AND stripe_customer_id IS NULL
+     RETURNING *`,
+    [customerId, discordId]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const fixDrifts = async (drifts, stripeSubscriptions) => {
+  const synced = new Set();
+  let fixedCount = 0;
+
+  for (const entry of drifts) {
+    if (entry.revoked) {
+      entry.fixError = 'Revoked by a refund or dispute - needs manual review';
+      continue;
+    }
+
+    const stripeSubscription = stripeSubscriptions.get(entry.stripeSubscriptionId)
+      || (entry.stripe !== 'missing' && entry.stripeSubscriptionId
+        ? await stripeService.getSubscription(entry.stripeSubscriptionId).catch(() => null)
+        : null);
+
+    if (!stripeSubscription) {
+      entry.fixError = 'Subscription not found in Stripe - needs manual review';
+      continue;
+    }
+
+    try {
+      let user = entry.userId
+        ? (await query('SELECT * FROM users WHERE id = $1', [entry.userId])).rows[0]
+        : null;
+
+      if (entry.type === 'orphan_customer') {
+        user = await linkOrphanCustomer(stripeSubscription.customer);
+        if (!user) {
+          entry.fixError = 'No local user matches the customer - needs manual review';
+          continue;
+        }
+        entry.userId = user.id;
+        entry.discordId = user.discord_id;
+      }
+
+      if (!synced.has(stripeSubscription.id)) {
+        await syncFromStripe(user, stripeSubscription);
+        synced.add(stripeSubscription.id);
+      }
+
+      entry.fixed = true;
+      fixedCount++;
+    } catch (err) {
+      logger.error({ err, drift: entry }, 'Failed to fix reconciliation drift');
+      entry.fixError = err.message;
+    }
+  }
+
+  return fixedCount;
+};
+
+const summarize = (drifts) => drifts.reduce((summary, entry) => {
+  summary[entry.type] = (summary[entry.type] || 0) + 1;
+  return summary;
+}, {});
+
+/**
+ * Run a reconciliation. autoFix defaults to RECONCILIATION_AUTO_FIX.
+ */
+export const runReconciliation = async ({ autoFix = AUTO_FIX, triggeredBy = 'system' } = {}) => {
+  const running = await query(
+    `SELECT id FROM reconciliation_runs
+     WHERE status = 'running' AND started_at > NOW() - ($1 || ' minutes')::interval`,
+    [STALE_RUN_MINUTES]
+  );
+  if (running.rows.length > 0) {
+    throw new ConflictError('A reconciliation run is already in progress');
+  }
+
+  const runResult = await query(
+    `INSERT INTO reconciliation_runs (auto_fix, triggered_by)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [autoFix, triggeredBy]
+  );
+  const runId = runResult.rows[0].id;
+
+  try {
+    logger.info({ runId, autoFix }, 'Starting Stripe reconciliation');
+
+    const priceIds = await getPriceIds();
+    const stripeSubscriptions = await fetchStripeSubscriptions(priceIds);
+    const localState = await loadLocalState();
+
+    const drifts = await detectDrift(stripeSubscriptions, localState);
+    const fixedCount = autoFix ? await fixDrifts(drifts, stripeSubscriptions) : 0;
+
+    const result = await query(
+      `UPDATE reconciliation_runs
+       SET status = 'completed', stripe_subscriptions_scanned = $1, drift_count = $2,
+           fixed_count = $3, drift_summary = $4, drifts = $5, finished_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [stripeSubscriptions.size, drifts.length, fixedCount, JSON.stringify(summarize(drifts)), JSON.stringify(drifts), runId]
+    );
+
+    await auditLogService.logEvent(null, 'reconciliation.completed', {
+      runId,
+      autoFix,
+      scanned: stripeSubscriptions.size,
+      driftCount: drifts.length,
+      fixedCount,
+    }, { action: 'reconcile', resourceType: 'reconciliation_run', resourceId: runId });
+
+    logger.info({ runId, scanned: stripeSubscriptions.size, driftCount: drifts.length, fixedCount }, 'Stripe reconciliation completed');
+    return result.rows[0];
+  } catch (err) {
+    logger.error({ err, runId }, 'Stripe reconciliation failed');
+
+    await query(
+      `UPDATE reconciliation_runs SET status = 'failed', error_message = $1, finished_at = NOW()
+       WHERE id = $2`,
+      [err.message, runId]
+    );
+
+    throw err;
+  }
+};
+
+/**
+ * Recent runs, without the per-drift detail
+ */
+export const getRuns = async (limit = 20, offset = 0) => {
+  try {
+    const result = await query(
+      `SELECT id, status, auto_fix, triggered_by, stripe_subscriptions_scanned, drift_count,
+              fixed_count, drift_summary, error_message, started_at, finished_at
+       FROM reconciliation_runs
+       ORDER BY started_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return result.rows;
+  } catch (err) {
+    logger.error({ err }, 'Failed to get reconciliation runs');
+    throw err;
+  }
+};
+
+export const getRun = async (runId) => {
+  try {
+    const result = await query('SELECT * FROM reconciliation_runs WHERE id = $1', [runId]);
+    if (!result.rows[0]) {
+      throw new NotFoundError('Reconciliation run not found');
+    }
+
+    return result.rows[0];
+  } catch (err) {
+    logger.error({ err, runId }, 'Failed to get reconciliation run');
+    throw err;
+  }
+};
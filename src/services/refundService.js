@@ -0,0 +1,443 @@
+import logger from '../utils/logger.js';
+import { query, withTransaction } from '../db/connection.js';
+import * as stripeService from './stripeService.js';
+import * as membershipService from './membershipService.js';
+import * as discordRoleService from './discordRoleService.js';
+import * as auditLogService from './auditLogService.js';
+import * as webhookService from './webhookService.js';
+import * as entitlementService from './entitlementService.js';
+import * as giftService from './giftService.js';
+
+/**
+ * Refund & dispute service - revokes membership when a payment is refunded or charged back.
+ * Subscription payments revoke the payer's Stripe time and cancel the subscription, which
+ * can't restore membership afterwards unless the dispute is won; gift purchases void the gift
+ * code (or the time it granted, once redeemed). Other one-time charges leave membership alone.
+ *
+ * REFUND_MEMBERSHIP_ACTION / DISPUTE_MEMBERSHIP_ACTION choose what happens:
+ * - 'free':  drop to free immediately
+ * - 'grace': start a grace period without the paid role
+ */
+
+const MEMBERSHIP_ACTIONS = ['free', 'grace'];
+
+// Stripe isn't an admin, but admin_overrides requires an actor
+const SYSTEM_ACTOR = 'stripe';
+
+const getMembershipAction = (envVar) => {
+  const action = process.env[envVar] || 'free';
+  if (!MEMBERSHIP_ACTIONS.includes(action)) {
+    logger.warn({ envVar, action }, 'Invalid membership action, defaulting to free');
+    return 'free';
+  }
+  return action;
+};
+
+const findUserByCustomer = async (stripeCustomerId) => {
+  if (!stripeCustomerId) {
+    return null;
+  }
+
+  const result = await query(
+    'SELECT * FROM users WHERE stripe_customer_id = $1',
+    [stripeCustomerId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * The subscription an invoice charge paid for
+ */
+const getChargeSubscriptionId = async (charge) => {
+  const invoice = typeof charge.invoice === 'string'
+    ? await stripeService.getInvoice(charge.invoice)
+    : charge.invoice;
+  const subscription = invoice?.subscription;
+
+  return typeof subscription === 'string' ? subscription : subscription?.id || null;
+};
+
+/**
+ * Refunds and disputes of a duplicate checkout (stripeService.cancelDuplicateSubscription)
+ * leave the membership the kept subscription pays for alone
+ */
+const isDuplicateSubscription = async (stripeSubscriptionId) => {
+  const subscription = await stripeService.getSubscription(stripeSubscriptionId);
+  return Boolean(subscription.metadata?.duplicate_of);
+};
+
+/**
+ * Cancel a revoked subscription so it stops billing and can't renew (safe to repeat)
+ */
+const cancelRevokedSubscription = async (stripeSubscriptionId) => {
+  const subscription = await stripeService.getSubscription(stripeSubscriptionId);
+  if (['canceled', 'incomplete_expired'].includes(subscription.status)) {
+    return;
+  }
+
+  await stripeService.cancelSubscription(stripeSubscriptionId);
+  logger.info({ stripeSubscriptionId }, 'Canceled revoked subscription');
+};
+
+/**
+ * Move a user to the configured revoked state and record why.
+ * The ledger revoke, transition, override and audit log commit together; the override is
+ * keyed on stripeEventId, so a retried event that already revoked changes nothing. The
+ * override also marks stripeSubscriptionId as revoked, and the subscription is canceled.
+ */
+export const revokeMembership = async (user, { action, reason, stripeEventId = null, stripeSubscriptionId = null, metadata = {} }) => {
+  try {
+    const revoked = await withTransaction(async (client) => {
+      const locked = await client.query('SELECT tier FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+      const originalTier = locked.rows[0].tier;
+
+      const override = await client.query(
+        `INSERT INTO admin_overrides
+         (user_id, admin_discord_id, override_type, reason, stripe_event_id, stripe_subscription_id, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (stripe_event_id) WHERE stripe_event_id IS NOT NULL DO NOTHING
+         RETURNING id`,
+        [
+          user.id,
+          SYSTEM_ACTOR,
+          'refund',
+          reason,
+          stripeEventId,
+          stripeSubscriptionId,
+          JSON.stringify({
+            ...metadata,
+            action,
+            originalTier,
+            newTier: action,
+            stripeEventId,
+          }),
+        ]
+      );
+
+      if (override.rows.length === 0) {
+        return null;
+      }
+
+      // Paid Stripe time goes; gifted and comped time stays on the ledger
+      await entitlementService.revokeUserEntitlements(user.id, {
+        sources: ['stripe'],
+        // Tagged with the dispute so winning it only reinstates what it revoked
+        revokedBy: metadata.disputeId ? `${SYSTEM_ACTOR}:${metadata.disputeId}` : SYSTEM_ACTOR,
+        reason,
+        client,
+      });
+
+      // Free users can't enter grace; an already-revoked user isn't told again.
+      // Otherwise RoleBot gets membership.revoked, even if the user was already in grace.
+      const alreadyFree = originalTier === 'free';
+      const { webhookEventId } = await membershipService.transition(user.id, alreadyFree ? 'free' : action, {
+        reason,
+        actor: SYSTEM_ACTOR,
+        stripeEventId,
+        retainRole: false,
+        webhookEvent: alreadyFree ? null : 'membership.revoked',
+        webhookData: { reason, action },
+        metadata,
+        client,
+      });
+
+      await auditLogService.logEvent(user.id, 'membership.revoked', {
+        reason,
+        action,
+        originalTier,
+        ...metadata,
+      }, { action: 'revoke', resourceType: 'membership', stripeEventId, client });
+
+      return { webhookEventId };
+    });
+
+    if (!revoked) {
+      logger.info({ userId: user.id, stripeEventId }, 'Membership already revoked for this event');
+    } else if (revoked.webhookEventId) {
+      await webhookService.deliverQueuedWebhook(revoked.webhookEventId);
+    }
+
+    // Also on a retry - the earlier attempt may have failed before canceling or syncing roles
+    if (stripeSubscriptionId) {
+      await cancelRevokedSubscription(stripeSubscriptionId);
+    }
+
+    try {
+      await discordRoleService.syncRoles(user.discord_id, false);
+    } catch (err) {
+      logger.error({ err, discordId: user.discord_id }, 'Failed to remove Discord role after revocation');
+    }
+
+    if (revoked) {
+      logger.info({ userId: user.id, action, reason }, 'Membership revoked');
+    }
+  } catch (err) {
+    logger.error({ err, userId: user.id }, 'Failed to revoke membership');
+    throw err;
+  }
+};
+
+/**
+ * charge.refunded - revoke on full refund, record partial refunds only
+ */
+export const handleChargeRefunded = async (event) => {
+  const charge = event.data.object;
+
+  try {
+    logger.info({ chargeId: charge.id }, 'Processing charge.refunded');
+
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+
+    const giftCode = await giftService.getGiftCodeByPaymentIntent(charge.payment_intent);
+    if (giftCode) {
+      if (fullyRefunded) {
+        await giftService.reverseGiftPurchase(giftCode, {
+          revokedBy: SYSTEM_ACTOR,
+          reason: 'Gift payment refunded',
+          stripeEventId: event.id,
+        });
+      }
+
+      await auditLogService.logStripeEvent(event.id, 'charge.refunded', {
+        chargeId: charge.id,
+        giftCodeId: giftCode.id,
+        amount: charge.amount,
+        amountRefunded: charge.amount_refunded,
+        fullyRefunded,
+      }, giftCode.purchaser_user_id);
+      return;
+    }
+
+    const user = await findUserByCustomer(charge.customer);
+    if (!user) {
+      logger.warn({ chargeId: charge.id, customerId: charge.customer }, 'User not found for refunded charge');
+      return;
+    }
+
+    const stripeSubscriptionId = fullyRefunded && charge.invoice ? await getChargeSubscriptionId(charge) : null;
+
+    if (fullyRefunded && !charge.invoice) {
+      logger.warn({ chargeId: charge.id, userId: user.id }, 'Refunded charge is not a subscription payment - membership unchanged');
+    } else if (stripeSubscriptionId && await isDuplicateSubscription(stripeSubscriptionId)) {
+      logger.info({ chargeId: charge.id, userId: user.id, stripeSubscriptionId }, 'Refunded charge paid for a duplicate subscription - membership unchanged');
+    } else if (fullyRefunded) {
+      await revokeMembership(user, {
+        action: getMembershipAction('REFUND_MEMBERSHIP_ACTION'),
+        reason: 'Payment refunded',
+        stripeEventId: event.id,
+        stripeSubscriptionId,
+        metadata: {
+          chargeId: charge.id,
+          amount: charge.amount,
+          amountRefunded: charge.amount_refunded,
+        },
+      });
+    }
+
+    await auditLogService.logStripeEvent(event.id, 'charge.refunded', {
+      chargeId: charge.id,
+      amount: charge.amount,
+      amountRefunded: charge.amount_refunded,
+      fullyRefunded,
+    }, user.id);
+  } catch (err) {
+    logger.error({ err, chargeId: charge.id }, 'Failed to handle charge.refunded');
+    throw err;
+  }
+};
+
+/**
+ * charge.dispute.created - flag the user and revoke membership
+ */
+export const handleDisputeCreated = async (event) => {
+  const dispute = event.data.object;
+
+  try {
+    logger.info({ disputeId: dispute.id }, 'Processing charge.dispute.created');
+
+    const charge = await stripeService.getCharge(dispute.charge);
+    const user = await findUserByCustomer(charge.customer);
+
+    await query(
+      `INSERT INTO payment_disputes
+       (user_id, stripe_dispute_id, stripe_charge_id, amount, currency, reason, status, opened_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (stripe_dispute_id) DO UPDATE SET status = $7`,
+      [
+        user?.id || null,
+        dispute.id,
+        dispute.charge,
+        dispute.amount,
+        dispute.currency,
+        dispute.reason,
+        dispute.status,
+        new Date(dispute.created * 1000),
+      ]
+    );
+
+    const giftCode = await giftService.getGiftCodeByPaymentIntent(charge.payment_intent);
+    if (giftCode) {
+      // Tagged with the dispute so winning it only reinstates what it revoked
+      await giftService.reverseGiftPurchase(giftCode, {
+        revokedBy: `${SYSTEM_ACTOR}:${dispute.id}`,
+        reason: `Gift payment disputed (${dispute.reason})`,
+        stripeEventId: event.id,
+      });
+    } else if (!user) {
+      logger.warn({ disputeId: dispute.id, customerId: charge.customer }, 'User not found for disputed charge');
+      return;
+    } else if (!charge.invoice) {
+      logger.warn({ disputeId: dispute.id, chargeId: charge.id, userId: user.id }, 'Disputed charge is not a subscription payment - membership unchanged');
+    } else {
+      const stripeSubscriptionId = await getChargeSubscriptionId(charge);
+
+      if (stripeSubscriptionId && await isDuplicateSubscription(stripeSubscriptionId)) {
+        logger.info({ disputeId: dispute.id, userId: user.id, stripeSubscriptionId }, 'Disputed charge paid for a duplicate subscription - membership unchanged');
+      } else {
+        await revokeMembership(user, {
+          action: getMembershipAction('DISPUTE_MEMBERSHIP_ACTION'),
+          reason: `Payment disputed (${dispute.reason})`,
+          stripeEventId: event.id,
+          stripeSubscriptionId,
+          metadata: {
+            chargeId: dispute.charge,
+            disputeId: dispute.id,
+            amount: dispute.amount,
+          },
+        });
+      }
+    }
+
+    await auditLogService.logStripeEvent(event.id, 'charge.dispute.created', {
+      disputeId: dispute.id,
+      chargeId: dispute.charge,
+      giftCodeId: giftCode?.id,
+      reason: dispute.reason,
+      amount: dispute.amount,
+    }, user?.id || giftCode?.purchaser_user_id || null);
+  } catch (err) {
+    logger.error({ err, disputeId: dispute.id }, 'Failed to handle charge.dispute.created');
+    throw err;
+  }
+};
+
+/**
+ * Undo a dispute's revocation: end its override and give back the Stripe time it revoked
+ */
+const restoreDisputedMembership = async (userId, disputeId, stripeEventId) => {
+  const revokedBy = `${SYSTEM_ACTOR}:${disputeId}`;
+
+  const { membership, result } = await withTransaction(async (client) => {
+    const locked = await client.query('SELECT tier FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    await client.query(
+      `UPDATE admin_overrides SET expires_at = NOW()
+       WHERE user_id = $1 AND override_type = 'refund' AND metadata->>'disputeId' = $2 AND expires_at IS NULL`,
+      [userId, disputeId]
+    );
+
+    const membership = await entitlementService.reinstateUserEntitlements(userId, {
+      sources: ['stripe'],
+      revokedBy,
+      client,
+    });
+
+    const result = membership.active && ['free', 'grace'].includes(locked.rows[0].tier)
+      ? await membershipService.transition(userId, 'paid', {
+        reason: 'Dispute won',
+        actor: SYSTEM_ACTOR,
+        stripeEventId,
+        metadata: { disputeId, expiresAt: membership.expiresAt },
+        client,
+      })
+      : null;
+
+    return { membership, result };
+  });
+
+  if (!result) {
+    return;
+  }
+
+  if (result.webhookEventId) {
+    await webhookService.deliverQueuedWebhook(result.webhookEventId);
+  }
+
+  try {
+    await discordRoleService.grantMemberRoles(result.user);
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to restore Discord roles after dispute');
+  }
+
+  logger.info({ userId, disputeId, expiresAt: membership.expiresAt }, 'Dispute won - membership restored');
+};
+
+/**
+ * charge.dispute.closed - record the outcome, restore the revoked paid time (or the gift) if we won.
+ * The subscription stays canceled; the member keeps the time they paid for.
+ */
+export const handleDisputeClosed = async (event) => {
+  const dispute = event.data.object;
+
+  try {
+    logger.info({ disputeId: dispute.id, status: dispute.status }, 'Processing charge.dispute.closed');
+
+    const disputeResult = await query(
+      `UPDATE payment_disputes SET status = $1, closed_at = NOW()
+       WHERE stripe_dispute_id = $2
+       RETURNING user_id`,
+      [dispute.status, dispute.id]
+    );
+
+    const giftCode = await giftService.getGiftCodeByPaymentIntent(dispute.payment_intent);
+    if (giftCode) {
+      if (dispute.status === 'won') {
+        await giftService.reinstateGiftPurchase(giftCode, { revokedBy: `${SYSTEM_ACTOR}:${dispute.id}` });
+        logger.info({ giftCodeId: giftCode.id, disputeId: dispute.id }, 'Dispute won - gift purchase restored');
+      }
+
+      await auditLogService.logStripeEvent(event.id, 'charge.dispute.closed', {
+        disputeId: dispute.id,
+        giftCodeId: giftCode.id,
+        status: dispute.status,
+      }, giftCode.purchaser_user_id);
+      return;
+    }
+
+    const userId = disputeResult.rows[0]?.user_id;
+    if (!userId) {
+      logger.warn({ disputeId: dispute.id }, 'No local user for closed dispute');
+      return;
+    }
+
+    if (dispute.status === 'won') {
+      await restoreDisputedMembership(userId, dispute.id, event.id);
+    }
+
+    await auditLogService.logStripeEvent(event.id, 'charge.dispute.closed', {
+      disputeId: dispute.id,
+      status: dispute.status,
+    }, userId);
+  } catch (err) {
+    logger.error({ err, disputeId: dispute.id }, 'Failed to handle charge.dispute.closed');
+    throw err;
+  }
+};
+
+/**
+ * Disputes recorded for a user (newest first)
+ */
+export const getUserDisputes = async (userId) => {
+  try {
+    const result = await query(
+      'SELECT * FROM payment_disputes WHERE user_id = $1 ORDER BY opened_at DESC',
+      [userId]
+    );
+
+    return result.rows;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to get user disputes');
+    throw err;
+  }
+};
@@ -0,0 +1,80 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import { MEMBER_STATES } from './membershipService.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Report service - membership reports built from the state machine's audit trail
+ * (membership.transition) and the membership_pauses table.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRange = ({ since = null, until = null }) => {
+  const end = until ? new Date(until) : new Date();
+  const start = since ? new Date(since) : new Date(end.getTime() - 30 * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw new ValidationError('since and until must be dates with since before until');
+  }
+
+  return { start, end };
+};
+
+/**
+ * Churn over a date range (default: last 30 days).
+ * A member churns when they leave a member state (or a pause) for grace or free.
+ * Going on leave is paid -> paused, so pauses are reported separately, not as churn.
+ * churnRate is churned / (members now + churned).
+ */
+export const getChurnReport = async (range = {}) => {
+  const { start, end } = parseRange(range);
+
+  try {
+    const churnResult = await query(
+      `SELECT COUNT(DISTINCT al.user_id) as churned,
+              COUNT(DISTINCT al.user_id) FILTER (WHERE u.tier = ANY($3)) as reactivated
+       FROM audit_logs al
+       JOIN users u ON u.id = al.user_id
+       WHERE al.event_type = 'membership.transition'
+         AND al.payload->>'from' = ANY($4)
+         AND al.payload->>'to' IN ('grace', 'free')
+         AND al.created_at >= $1 AND al.created_at < $2`,
+      [start, end, MEMBER_STATES, [...MEMBER_STATES, 'paused']]
+    );
+
+    const pauseResult = await query(
+      `SELECT COUNT(*) FILTER (WHERE started_at >= $1 AND started_at < $2) as started,
+              COUNT(*) FILTER (WHERE ended_at >= $1 AND ended_at < $2) as ended,
+              COUNT(*) FILTER (WHERE status = 'active') as current
+       FROM membership_pauses`,
+      [start, end]
+    );
+
+    const membersResult = await query(
+      'SELECT COUNT(*) as count FROM users WHERE tier = ANY($1)',
+      [MEMBER_STATES]
+    );
+
+    const churned = parseInt(churnResult.rows[0].churned);
+    const activeMembers = parseInt(membersResult.rows[0].count);
+    const pauses = pauseResult.rows[0];
+
+    return {
+      since: start,
+      until: end,
+      activeMembers,
+      churned,
+      reactivated: parseInt(churnResult.rows[0].reactivated),
+      churnRate: churned + activeMembers > 0 ? churned / (churned + activeMembers) : 0,
+      pauses: {
+        started: parseInt(pauses.started),
+        ended: parseInt(pauses.ended),
+        current: parseInt(pauses.current),
+      },
+    };
+  } catch (err) {
+    logger.error({ err }, 'Failed to build churn report');
+    throw err;
+  }
+};
@@ -0,0 +1,548 @@
+import * as stripeService from './stripeService.js';
+import * as subscriptionService from './subscriptionService.js';
+import * as auditLogService from './auditLogService.js';
+import * as discordRoleService from './discordRoleService.js';
+import * as refundService from './refundService.js';
+import * as dunningService from './dunningService.js';
+import * as webhookService from './webhookService.js';
+import * as planChangeService from './planChangeService.js';
+import * as giftService from './giftService.js';
+import * as membershipService from './membershipService.js';
+import * as pauseService from './pauseService.js';
+import * as cancellationService from './cancellationService.js';
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+
+/**
+ * Stripe event handlers - shared by the webhook queue worker and replay tooling.
+ * Handlers throw on failure so the caller can retry the event.
+ */
+
+// What each handled event type does, for dry-run reports
+const EVENT_ACTIONS = {
+  'checkout.session.completed': 'Link Stripe customer, activate subscription and add paid role (or issue gift code); a duplicate subscription is canceled and refunded',
+  'checkout.session.async_payment_succeeded': 'Issue gift code for a delayed gift payment',
+  'customer.subscription.created': 'Create subscription record (activate if active/trialing)',
+  'customer.subscription.updated': 'Update subscription record, apply status/plan/pause changes and record cancellation reason',
+  'customer.subscription.deleted': 'Mark subscription canceled and move user to grace period',
+  'customer.subscription.paused': 'Record pause and move member to paused (On Leave role)',
+  'customer.subscription.resumed': 'End pause and restore membership',
+  'invoice.payment_succeeded': 'Refresh subscription from Stripe, ensure paid role and close dunning',
+  'invoice.payment_failed': 'Record dunning attempt and send payment.failed to RoleBot',
+  'customer.subscription.trial_will_end': 'Send trial.ending to RoleBot',
+  'charge.refunded': 'Revoke membership and cancel the subscription on full refund',
+  'charge.dispute.created': 'Flag dispute, revoke membership and cancel the subscription',
+  'charge.dispute.closed': 'Record dispute outcome (restore the revoked paid time if won)',
+};
+
+/**
+ * Describe what handling an event would change, without changing anything
+ */
+export const describeEvent = async (event) => {
+  const object = event.data.object;
+  const customerId = typeof object.customer === 'string' ? object.customer : object.customer?.id || null;
+
+  const userResult = customerId
+    ? await query('SELECT id, discord_id, tier FROM users WHERE stripe_customer_id = $1', [customerId])
+    : { rows: [] };
+  const user = userResult.rows[0] || null;
+
+  const description = {
+    eventId: event.id,
+    type: event.type,
+    created: new Date(event.created * 1000).toISOString(),
+    customerId,
+    userId: user?.id || null,
+    discordId: user?.discord_id || null,
+    currentTier: user?.tier || null,
+    handled: Boolean(EVENT_ACTIONS[event.type]),
+    action: EVENT_ACTIONS[event.type] || 'Ignored (unhandled event type)',
+  };
+
+  if (object.object === 'subscription') {
+    const subResult = await query(
+      'SELECT status FROM subscriptions WHERE stripe_subscription_id = $1',
+      [object.id]
+    );
+    description.subscriptionId = object.id;
+    description.localStatus = subResult.rows[0]?.status || null;
+    description.eventStatus = object.status;
+  }
+
+  if (!user && description.handled && !event.type.startsWith('checkout.session.')) {
+    description.action += ' (skipped: no local user for customer)';
+  }
+
+  return description;
+};
+
+/**
+ * Route a verified Stripe event to its handler
+ */
+export const handleStripeEvent = async (event) => {
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutSessionCompleted(event);
+      break;
+
+    case 'checkout.session.async_payment_succeeded':
+      await handleCheckoutAsyncPaymentSucceeded(event);
+      break;
+
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event);
+      break;
+
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event);
+      break;
+
+    case 'customer.subscription.paused':
+    case 'customer.subscription.resumed':
+      await handleSubscriptionPauseChanged(event);
+      break;
+
+    case 'invoice.payment_succeeded':
+      await handleInvoicePaymentSucceeded(event);
+      break;
+
+    case 'invoice.payment_failed':
+      await handleInvoicePaymentFailed(event);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event);
+      break;
+
+    case 'charge.refunded':
+      await refundService.handleChargeRefunded(event);
+      break;
+
+    case 'charge.dispute.created':
+      await refundService.handleDisputeCreated(event);
+      break;
+
+    case 'charge.dispute.closed':
+      await refundService.handleDisputeClosed(event);
+      break;
+
+    default:
+      logger.warn({ eventType: event.type }, 'Unhandled Stripe event type');
+  }
+};
+
+/**
+ * Retries and replays can run an event after newer ones for the same subscription, so
+ * subscription handlers apply the subscription as Stripe has it now, not the event's snapshot
+ */
+const getCurrentSubscription = (event) => stripeService.getSubscription(event.data.object.id);
+
+const isGiftSession = (session) => session.mode === 'payment' && session.metadata?.kind === 'gift';
+
+async function handleCheckoutSessionCompleted(event) {
+  const { id: sessionId, customer: stripeCustomerId, subscription: sessionSubscription, metadata } = event.data.object;
+
+  try {
+    logger.info({ sessionId }, 'Processing checkout.session.completed');
+
+    // Gift purchases are one-time payments - issue a code instead of a subscription
+    if (isGiftSession(event.data.object)) {
+      await giftService.fulfillGiftPurchase(event.data.object, event.id);
+      return;
+    }
+
+    // Get or find user
+    let user;
+    if (metadata?.user_id) {
+      const userResult = await query(
+        'SELECT * FROM users WHERE id = $1',
+        [metadata.user_id]
+      );
+      user = userResult.rows[0];
+    } else {
+      // Try to find user by Stripe customer ID
+      const userResult = await query(
+        'SELECT * FROM users WHERE stripe_customer_id = $1',
+        [stripeCustomerId]
+      );
+      user = userResult.rows[0];
+    }
+
+    if (!user) {
+      logger.error({ sessionId, stripeCustomerId }, 'User not found for checkout session');
+      return;
+    }
+
+    // Link Stripe customer to user
+    await query(
+      'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
+      [stripeCustomerId, user.id]
+    );
+
+    // The subscription this checkout created - the customer may have others
+    if (!sessionSubscription) {
+      logger.error({ sessionId, stripeCustomerId }, 'No subscription on checkout session');
+      return;
+    }
+
+    const stripeSubscription = await stripeService.getSubscription(
+      typeof sessionSubscription === 'string' ? sessionSubscription : sessionSubscription.id
+    );
+
+    // Checkout refuses customers with a live subscription, but two sessions opened before
+    // either completed both get through - keep the older subscription, undo this one
+    const earlier = await stripeService.findEarlierLiveSubscription(stripeSubscription);
+    if (earlier) {
+      const { refund } = await stripeService.cancelDuplicateSubscription(stripeSubscription, earlier.id);
+
+      await auditLogService.logStripeEvent(event.id, 'checkout.duplicate_subscription', {
+        sessionId,
+        userId: user.id,
+        subscriptionId: stripeSubscription.id,
+        keptSubscriptionId: earlier.id,
+        refundId: refund?.id || null,
+      }, user.id);
+      return;
+    }
+
+    // Create/update subscription in DB
+    await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+
+    // Move to paid/trialing
+    await membershipService.applyStripeStatus(user, stripeSubscription, { stripeEventId: event.id });
+
+    // Add them to the server if they paid before joining, then add the Discord role
+    try {
+      const { guildMembership } = await discordRoleService.grantMemberRoles(user);
+      logger.info({ discordId: user.discord_id, guildMembership }, 'Added paid role to Discord');
+    } catch (err) {
+      logger.error({ err, discordId: user.discord_id }, 'Failed to add Discord role');
+    }
+
+    // Log event
+    await auditLogService.logStripeEvent(event.id, 'checkout.session.completed', {
+      sessionId,
+      userId: user.id,
+      subscriptionId: stripeSubscription.id,
+    }, user.id);
+
+  } catch (err) {
+    logger.error({ err, sessionId }, 'Failed to handle checkout.session.completed');
+    throw err;
+  }
+}
+
+async function handleCheckoutAsyncPaymentSucceeded(event) {
+  const session = event.data.object;
+
+  try {
+    logger.info({ sessionId: session.id }, 'Processing checkout.session.async_payment_succeeded');
+
+    if (isGiftSession(session)) {
+      await giftService.fulfillGiftPurchase(session, event.id);
+    }
+  } catch (err) {
+    logger.error({ err, sessionId: session.id }, 'Failed to handle checkout.session.async_payment_succeeded');
+    throw err;
+  }
+}
+
+async function handleSubscriptionCreated(event) {
+  const { id: subscriptionId } = event.data.object;
+
+  try {
+    logger.info({ subscriptionId }, 'Processing customer.subscription.created');
+
+    const stripeSubscription = await getCurrentSubscription(event);
+
+    // Find user by customer ID
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [stripeSubscription.customer]
+    );
+
+    if (userResult.rows.length === 0) {
+      logger.error({ customerId: stripeSubscription.customer }, 'User not found for subscription');
+      return;
+    }
+
+    const user = userResult.rows[0];
+
+    // Create subscription record
+    await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+
+    // If already active or trialing, add role
+    if (['active', 'trialing'].includes(stripeSubscription.status)) {
+      await subscriptionService.handleSubscriptionActive(stripeSubscription);
+    }
+
+    await auditLogService.logStripeEvent(event.id, 'subscription.created', {
+      subscriptionId: stripeSubscription.id,
+      status: stripeSubscription.status,
+    }, user.id);
+
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to handle subscription.created');
+    throw err;
+  }
+}
+
+async function handleSubscriptionUpdated(event) {
+  const { id: subscriptionId } = event.data.object;
+  const previousAttributes = event.data.previous_attributes || {};
+
+  try {
+    logger.info({ subscriptionId, changes: previousAttributes }, 'Processing customer.subscription.updated');
+
+    const stripeSubscription = await getCurrentSubscription(event);
+
+    // Find user
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [stripeSubscription.customer]
+    );
+
+    if (userResult.rows.length === 0) {
+      logger.error({ customerId: stripeSubscription.customer }, 'User not found');
+      return;
+    }
+
+    const user = userResult.rows[0];
+
+    // Update subscription
+    await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+
+    // pause_collection set or cleared (member request, dashboard or scheduled resume)
+    await pauseService.syncPauseFromStripe(user, stripeSubscription, { stripeEventId: event.id });
+
+    // Cancellation scheduled or withdrawn (our cancel endpoint or the Stripe portal)
+    await cancellationService.recordCancellationDetails(user, stripeSubscription, {
+      previousAttributes,
+      stripeEventId: event.id,
+    });
+
+    // Handle status transitions
+    if (previousAttributes.status) {
+      const oldStatus = previousAttributes.status;
+      const newStatus = stripeSubscription.status;
+
+      logger.info({ oldStatus, newStatus }, 'Subscription status changed');
+
+      if (oldStatus !== newStatus) {
+        if (['active', 'trialing'].includes(newStatus)) {
+          await subscriptionService.handleSubscriptionActive(stripeSubscription);
+        } else if (newStatus === 'past_due') {
+          await subscriptionService.handleSubscriptionPastDue(stripeSubscription);
+        } else if (newStatus === 'unpaid') {
+          // Retries exhausted but Stripe keeps the subscription - treat as ended
+          await subscriptionService.handleSubscriptionCanceled(stripeSubscription);
+        }
+      }
+    }
+
+    // Handle plan changes (upgrade, downgrade at period end, dashboard edit)
+    if (previousAttributes.items) {
+      await planChangeService.handlePriceChange(user, stripeSubscription, previousAttributes);
+    }
+
+    await auditLogService.logStripeEvent(event.id, 'subscription.updated', {
+      subscriptionId: stripeSubscription.id,
+      status: stripeSubscription.status,
+      previousAttributes,
+    }, user.id);
+
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to handle subscription.updated');
+    throw err;
+  }
+}
+
+async function handleSubscriptionDeleted(event) {
+  const { id: subscriptionId } = event.data.object;
+
+  try {
+    logger.info({ subscriptionId }, 'Processing customer.subscription.deleted');
+
+    const stripeSubscription = await getCurrentSubscription(event);
+
+    // Find user
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [stripeSubscription.customer]
+    );
+
+    if (userResult.rows.length === 0) {
+      logger.error({ customerId: stripeSubscription.customer }, 'User not found');
+      return;
+    }
+
+    const user = userResult.rows[0];
+
+    // Update subscription status
+    await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+
+    // Close any open pause, then handle cancellation
+    await pauseService.syncPauseFromStripe(user, stripeSubscription, { stripeEventId: event.id });
+    await subscriptionService.handleSubscriptionCanceled(stripeSubscription);
+    await dunningService.markExhausted(user.id);
+    await cancellationService.recordCancellationDetails(user, stripeSubscription, { stripeEventId: event.id });
+
+    await auditLogService.logStripeEvent(event.id, 'subscription.deleted', {
+      subscriptionId: stripeSubscription.id,
+    }, user.id);
+
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to handle subscription.deleted');
+    throw err;
+  }
+}
+
+async function handleSubscriptionPauseChanged(event) {
+  const { id: subscriptionId } = event.data.object;
+
+  try {
+    logger.info({ subscriptionId, eventType: event.type }, 'Processing subscription pause change');
+
+    const stripeSubscription = await getCurrentSubscription(event);
+
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [stripeSubscription.customer]
+    );
+
+    if (userResult.rows.length === 0) {
+      logger.error({ customerId: stripeSubscription.customer }, 'User not found');
+      return;
+    }
+
+    const user = userResult.rows[0];
+
+    await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+    await pauseService.syncPauseFromStripe(user, stripeSubscription, { stripeEventId: event.id });
+
+    await auditLogService.logStripeEvent(event.id, event.type.replace('customer.', ''), {
+      subscriptionId: stripeSubscription.id,
+      status: stripeSubscription.status,
+    }, user.id);
+
+  } catch (err) {
+    logger.error({ err, subscriptionId }, `Failed to handle ${event.type}`);
+    throw err;
+  }
+}
+
+async function handleInvoicePaymentSucceeded(event) {
+  const invoice = event.data.object;
+
+  try {
+    logger.info({ invoiceId: invoice.id }, 'Processing invoice.payment_succeeded');
+
+    // Find user by customer
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [invoice.customer]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+
+      // Ensure subscription is marked active and role is present
+      if (invoice.subscription) {
+        const stripeSubscription = await stripeService.getSubscription(invoice.subscription);
+        await subscriptionService.createOrUpdateSubscription(user.id, stripeSubscription);
+        await membershipService.applyStripeStatus(user, stripeSubscription, { stripeEventId: event.id });
+
+        // Ensure paid role (and guild membership, e.g. after a grace period renewal)
+        try {
+          await discordRoleService.grantMemberRoles(user);
+        } catch (err) {
+          logger.error({ err }, 'Failed to sync Discord roles');
+        }
+      }
+
+      await dunningService.resolvePaymentRecovered(user, invoice);
+
+      await auditLogService.logStripeEvent(event.id, 'invoice.payment_succeeded', {
+        invoiceId: invoice.id,
+        customerId: invoice.customer,
+      }, user.id);
+    }
+
+  } catch (err) {
+    logger.error({ err, invoiceId: invoice.id }, 'Failed to handle invoice.payment_succeeded');
+    throw err;
+  }
+}
+
+async function handleInvoicePaymentFailed(event) {
+  const invoice = event.data.object;
+
+  try {
+    logger.info({ invoiceId: invoice.id }, 'Processing invoice.payment_failed');
+
+    // Find user
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [invoice.customer]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+
+      // Log event but don't remove role yet (Stripe dunning will handle it)
+      await auditLogService.logStripeEvent(event.id, 'invoice.payment_failed', {
+        invoiceId: invoice.id,
+        customerId: invoice.customer,
+        attemptCount: invoice.attempt_count,
+        nextPaymentAttempt: invoice.next_payment_attempt,
+      }, user.id);
+
+      // Track dunning progress and send RoleBot a payment link to DM
+      await dunningService.recordPaymentFailure(user, invoice, event.id);
+    }
+
+  } catch (err) {
+    logger.error({ err, invoiceId: invoice.id }, 'Failed to handle invoice.payment_failed');
+    throw err;
+  }
+}
+
+async function handleTrialWillEnd(event) {
+  const stripeSubscription = event.data.object;
+
+  try {
+    logger.info({ subscriptionId: stripeSubscription.id }, 'Processing customer.subscription.trial_will_end');
+
+    // Find user
+    const userResult = await query(
+      'SELECT * FROM users WHERE stripe_customer_id = $1',
+      [stripeSubscription.customer]
+    );
+
+    if (userResult.rows.length > 0) {
+      const user = userResult.rows[0];
+
+      await auditLogService.logStripeEvent(event.id, 'subscription.trial_will_end', {
+        subscriptionId: stripeSubscription.id,
+        trialEnd: stripeSubscription.trial_end,
+      }, user.id);
+
+      // RoleBot DMs the player before the first charge
+      const trialEndsAt = new Date(stripeSubscription.trial_end * 1000).toISOString();
+      await webhookService.sendTrialEnding(user.id, user.discord_id, {
+        subscriptionId: stripeSubscription.id,
+        trialEndsAt,
+        firstChargeAt: stripeSubscription.cancel_at_period_end ? null : trialEndsAt,
+        willConvert: !stripeSubscription.cancel_at_period_end,
+      });
+    }
+
+  } catch (err) {
+    logger.error({ err, subscriptionId: stripeSubscription.id }, 'Failed to handle trial_will_end');
+    throw err;
+  }
+}
@@ -0,0 +1,253 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { markWebhookProcessed } from '../api/middleware/webhookAuth.js';
+import { handleStripeEvent } from './stripeEventHandlers.js';
+import * as auditLogService from './auditLogService.js';
+
+/**
+ * Stripe event inbox - every verified webhook is stored here before processing,
+ * and events that exhaust their retries are moved to the dead-letter table.
+ */
+
+/**
+ * Store a verified event in the inbox.
+ * Returns the inbox row and whether it was newly created.
+ */
+export const recordEvent = async (event) => {
+  try {
+    const inserted = await query(
+      `INSERT INTO stripe_events (stripe_event_id, event_type, payload)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (stripe_event_id) DO NOTHING
+       RETURNING *`,
+      [event.id, event.type, JSON.stringify(event)]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { inboxEvent: inserted.rows[0], created: true };
+    }
+
+    const existing = await query(
+      'SELECT * FROM stripe_events WHERE stripe_event_id = $1',
+      [event.id]
+    );
+
+    return { inboxEvent: existing.rows[0], created: false };
+  } catch (err) {
+    logger.error({ err, eventId: event.id }, 'Failed to record Stripe event');
+    throw err;
+  }
+};
+
+/**
+ * Check whether an event was already processed (inbox or legacy idempotency table)
+ */
+export const isEventProcessed = async (stripeEventId) => {
+  try {
+    const result = await query(
+      `SELECT 1 FROM processed_webhooks WHERE stripe_event_id = $1
+       UNION ALL
+       SELECT 1 FROM stripe_events WHERE stripe_event_id = $1 AND status = 'processed'`,
+      [stripeEventId]
+    );
+
+    return result.rows.length > 0;
+  } catch (err) {
+    logger.error({ err, stripeEventId }, 'Failed to check processed Stripe event');
+    throw err;
+  }
+};
+
+/**
+ * Run an inbox event through the Stripe handlers.
+ * Throws on failure so the queue can retry with backoff.
+ */
+export const processEvent = async (stripeEventId) => {
+  const claimed = await query(
+    `UPDATE stripe_events
+     SET status = 'processing', attempts = attempts + 1
+     WHERE stripe_event_id = $1 AND status <> 'processed'
+     RETURNING *`,
+    [stripeEventId]
+  );
+
+  if (claimed.rows.length === 0) {
+    const existing = await query(
+      'SELECT status FROM stripe_events WHERE stripe_event_id = $1',
+      [stripeEventId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new NotFoundError(`Stripe event ${stripeEventId} not found in inbox`);
+    }
+
+    logger.info({ stripeEventId }, 'Stripe event already processed, skipping');
+    return { skipped: true };
+  }
+
+  const inboxEvent = claimed.rows[0];
+  const event = inboxEvent.payload;
+
+  try {
+    await handleStripeEvent(event);
+
+    await query(
+      `UPDATE stripe_events
+       SET status = 'processed', processed_at = NOW(), last_error = NULL
+       WHERE stripe_event_id = $1`,
+      [stripeEventId]
+    );
+
+    await markWebhookProcessed(event.id, event.type);
+
+    logger.info({ stripeEventId, eventType: event.type, attempt: inboxEvent.attempts }, 'Processed Stripe event');
+    return { skipped: false };
+  } catch (err) {
+    logger.error({ err, stripeEventId, attempt: inboxEvent.attempts }, 'Failed to process Stripe event');
+
+    await query(
+      `UPDATE stripe_events SET status = 'failed', last_error = $1 WHERE stripe_event_id = $2`,
+      [err.message, stripeEventId]
+    );
+
+    await auditLogService.logEvent(null, 'stripe.webhook_error', {
+      eventId: event.id,
+      eventType: event.type,
+      attempt: inboxEvent.attempts,
+      error: err.message,
+    }, { status: 'failure', errorMessage: err.message, stripeEventId: event.id });
+
+    throw err;
+  }
+};
+
+/**
+ * Move an event that exhausted its retries to the dead-letter store
+ */
+export const moveToDeadLetter = async (stripeEventId, errorMessage) => {
+  try {
+    const result = await query(
+      `UPDATE stripe_events SET status = 'dead', last_error = COALESCE($1, last_error)
+       WHERE stripe_event_id = $2
+       RETURNING *`,
+      [errorMessage, stripeEventId]
+    );
+
+    const inboxEvent = result.rows[0];
+    if (!inboxEvent) {
+      throw new NotFoundError(`Stripe event ${stripeEventId} not found in inbox`);
+    }
+
+    await query(
+      `INSERT INTO stripe_event_dead_letters (stripe_event_id, event_type, attempts, error_message)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (stripe_event_id) DO UPDATE
+       SET attempts = $3, error_message = $4, failed_at = CURRENT_TIMESTAMP,
+           replayed_at = NULL, replayed_by = NULL`,
+      [stripeEventId, inboxEvent.event_type, inboxEvent.attempts, inboxEvent.last_error]
+    );
+
+    await auditLogService.logEvent(null, 'stripe.webhook_dead_lettered', {
+      eventId: stripeEventId,
+      eventType: inboxEvent.event_type,
+      attempts: inboxEvent.attempts,
+      error: inboxEvent.last_error,
+    }, { status: 'failure', errorMessage: inboxEvent.last_error, stripeEventId });
+
+    logger.error({ stripeEventId, attempts: inboxEvent.attempts }, 'Stripe event moved to dead-letter store');
+  } catch (err) {
+    logger.error({ err, stripeEventId }, 'Failed to move Stripe event to dead-letter store');
+    throw err;
+  }
+};
+
+/**
+ * List dead-lettered events (unreplayed by default)
+ */
+export const getDeadLetters = async ({ includeReplayed = false } = {}, limit = 50, offset = 0) => {
+  try {
+    const whereClause = includeReplayed ? '' : 'WHERE d.replayed_at IS NULL';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as count FROM stripe_event_dead_letters d ${whereClause}`
+    );
+
+    const result = await query(
+      `SELECT d.*, e.payload->'data'->'object'->>'customer' as stripe_customer_id
+       FROM stripe_event_dead_letters d
+       JOIN stripe_events e ON e.stripe_event_id = d.stripe_event_id
+       ${whereClause}
+       ORDER BY d.failed_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return {
+      deadLetters: result.rows,
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      offset,
+    };
+  } catch (err) {
+    logger.error({ err }, 'Failed to get dead-lettered Stripe events');
+    throw err;
+  }
+};
+
+/**
+ * Reset a dead-lettered event so it can be queued again
+ */
+export const prepareReplay = async (deadLetterId, replayedBy) => {
+  try {
+    const result = await query(
+      'SELECT * FROM stripe_event_dead_letters WHERE id = $1',
+      [deadLetterId]
+    );
+
+    const deadLetter = result.rows[0];
+    if (!deadLetter) {
+      throw new NotFoundError('Dead-lettered event not found');
+    }
+
+    if (deadLetter.replayed_at) {
+      throw new ConflictError('Dead-lettered event has already been replayed');
+    }
+
+    await query(
+      `UPDATE stripe_events SET status = 'pending', attempts = 0, last_error = NULL
+       WHERE stripe_event_id = $1`,
+      [deadLetter.stripe_event_id]
+    );
+
+    await query(
+      `UPDATE stripe_event_dead_letters SET replayed_at = NOW(), replayed_by = $1
+       WHERE id = $2`,
+      [replayedBy, deadLetterId]
+    );
+
+    logger.info({ stripeEventId: deadLetter.stripe_event_id, replayedBy }, 'Prepared dead-lettered Stripe event for replay');
+    return deadLetter;
+  } catch (err) {
+    logger.error({ err, deadLetterId }, 'Failed to prepare Stripe event replay');
+    throw err;
+  }
+};
+
+/**
+ * Inbox events that still need to run (e.g. received while Redis was down)
+ */
+export const getUnfinishedEventIds = async () => {
+  try {
+    const result = await query(
+      `SELECT stripe_event_id FROM stripe_events
+       WHERE status IN ('pending', 'processing', 'failed')
+       ORDER BY received_at ASC`
+    );
+
+    return result.rows.map(row => row.stripe_event_id);
+  } catch (err) {
+    logger.error({ err }, 'Failed to get unfinished Stripe events');
+    return [];
+  }
+};
@@ -1,49 +1,127 @@
 import Stripe from 'stripe';
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
+import * as trialService from './trialService.js';
+import * as planService from './planService.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-export const createCheckoutSession = async (userId, discordId, { couponCode = null } = {}) => {
-  try {
-    // Get or create Stripe customer
-    const userResult = await query(
-      'SELECT stripe_customer_id FROM users WHERE id = $1',
-      [userId]
+const getOrCreateCustomer = async (userId, discordId) => {
+  const userResult = await query(
+    'SELECT stripe_customer_id, email FROM users WHERE id = $1',
+    [userId]
+  );
+
+  let customerId = userResult.rows[0]?.stripe_customer_id;
+
+  if (!customerId) {
+    // Create new customer
+    const customer = await stripe.customers.create({
+      email: userResult.rows[0]?.email,
+      metadata: {
+        discord_id: discordId,
+      },
+    });
+
+    customerId = customer.id;
+
+    // Save customer ID
+    await query(
+      'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
+      [customerId, userId]
     );
 
-    let customerId = userResult.rows[0]?.stripe_customer_id;
+    logger.info({ customerId, userId }, 'Created new Stripe customer');
+  }
 
-    if (!customerId) {
-      const userEmailResult = await query(
-        'SELECT email FROM users WHERE id = $1',
-        [userId]
-      );
-      const email = userEmailResult.rows[0]?.email;
+  return customerId;
+};
 
-      // Create new customer
-      const customer = await stripe.customers.create({
-        email,
-        metadata: {
-          discord_id: discordId,
-        },
-      });
+// Stripe subscription statuses that still bill (or will bill) the customer
+const LIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'paused'];
 
-      customerId = customer.id;
+/**
+ * A customer may only have one live subscription - checking out again would double-bill them
+ */
+const assertNoLiveSubscription = async (customerId) => {
+  const subscriptions = await stripe.subscriptions.list({ customer: customerId, limit: 100 });
+  const live = subscriptions.data.find(sub => LIVE_SUBSCRIPTION_STATUSES.includes(sub.status));
 
-      // Save customer ID
-      await query(
-        'UPDATE users SET stripe_customer_id = $1 WHERE id = $2',
-        [customerId, userId]
+  if (live) {
+    logger.warn({ customerId, subscriptionId: live.id, status: live.status }, 'Blocked checkout for customer with a live subscription');
+    throw new ConflictError('You already have an active subscription. Manage it from the billing portal.');
+  }
+};
+
+/**
+ * A live subscription the customer had before this one. Two checkouts opened before either
+ * completed both create subscriptions - the older one is kept.
+ */
+export const findEarlierLiveSubscription = async (stripeSubscription) => {
+  try {
+    const subscriptions = await stripe.subscriptions.list({ customer: stripeSubscription.customer, limit: 100 });
+
+    return subscriptions.data.find(sub => sub.id !== stripeSubscription.id
+      && LIVE_SUBSCRIPTION_STATUSES.includes(sub.status)
+      && (sub.created < stripeSubscription.created || (sub.created === stripeSubscription.created && sub.id < stripeSubscription.id))) || null;
+  } catch (err) {
+    logger.error({ err, subscriptionId: stripeSubscription.id }, 'Failed to look for an earlier subscription');
+    throw err;
+  }
+};
+
+/**
+ * Cancel a duplicate subscription and refund its first payment. It's tagged duplicate_of so the
+ * refund doesn't revoke the membership the kept subscription pays for. Safe to repeat.
+ */
+export const cancelDuplicateSubscription = async (stripeSubscription, keptSubscriptionId) => {
+  const { id: subscriptionId } = stripeSubscription;
+
+  try {
+    if (!['canceled', 'incomplete_expired'].includes(stripeSubscription.status)) {
+      await stripe.subscriptions.update(subscriptionId, { metadata: { duplicate_of: keptSubscriptionId } });
+      await stripe.subscriptions.cancel(subscriptionId);
+    }
+
+    const invoiceId = stripeSubscription.latest_invoice?.id || stripeSubscription.latest_invoice;
+    const invoice = invoiceId ? await stripe.invoices.retrieve(invoiceId) : null;
+
+    let refund = null;
+    if (invoice?.charge && invoice.amount_paid > 0) {
+      refund = await stripe.refunds.create(
+        { charge: invoice.charge, reason: 'duplicate', metadata: { duplicate_of: keptSubscriptionId } },
+        { idempotencyKey: `duplicate-subscription-refund:${subscriptionId}` }
       );
+    }
+
+    logger.warn({ subscriptionId, keptSubscriptionId, refundId: refund?.id }, 'Canceled duplicate subscription');
+    return { refund };
+  } catch (err) {
+    logger.error({ err, subscriptionId, keptSubscriptionId }, 'Failed to cancel duplicate subscription');
+    throw err;
+  }
+};
 
-      logger.info({ customerId, userId }, 'Created new Stripe customer');
+/**
+ * Subscription checkout. renewal marks a returning member (grace period) renewing their plan.
+ */
+export const createCheckoutSession = async (userId, discordId, { couponCode = null, planKey = null, renewal = false } = {}) => {
+  try {
+    // Resolve the plan (falls back to the default plan, then STRIPE_PRICE_ID)
+    const plan = planKey ? await planService.getPlanByKey(planKey) : await planService.getDefaultPlan();
+    if (planKey && (!plan || !plan.is_active)) {
+      throw new ValidationError(`Unknown plan: ${planKey}`);
     }
 
+    // Get or create Stripe customer
+    const customerId = await getOrCreateCustomer(userId, discordId);
+    await assertNoLiveSubscription(customerId);
+
     // Prepare line items
     const lineItems = [
       {
-        price: process.env.STRIPE_PRICE_ID,
+        price: plan?.stripe_price_id || process.env.STRIPE_PRICE_ID,
         quantity: 1,
       },
     ];
@@ -58,9 +136,23 @@ export const createCheckoutSession = async (userId, discordId, { couponCode = nu
       metadata: {
         user_id: userId,
         discord_id: discordId,
+        plan_key: plan?.tier_key || '',
+        renewal: renewal ? 'true' : 'false',
       },
     };
 
+    // Offer a free trial to members who have never subscribed or trialed
+    if (await trialService.isTrialEligible(userId)) {
+      sessionParams.subscription_data = {
+        trial_period_days: trialService.TRIAL_DAYS,
+        metadata: {
+          user_id: userId,
+          discord_id: discordId,
+        },
+      };
+      logger.info({ userId, trialDays: trialService.TRIAL_DAYS }, 'Applied free trial to session');
+    }
+
     // Add coupon if provided
     if (couponCode) {
       try {
@@ -79,7 +171,7 @@ export const createCheckoutSession = async (userId, discordId, { couponCode = nu
     // Create session
     const session = await stripe.checkout.sessions.create(sessionParams);
 
-    logger.info({ sessionId: session.id, customerId }, 'Created checkout session');
+    logger.info({ sessionId: session.id, customerId, planKey: plan?.tier_key, renewal }, 'Created checkout session');
 
     return session;
   } catch (err) {
@@ -88,6 +180,33 @@ export const createCheckoutSession = async (userId, discordId, { couponCode = nu
   }
 };
 
+export const createGiftCheckoutSession = async (userId, discordId, { priceId, duration }) => {
+  try {
+    const customerId = await getOrCreateCustomer(userId, discordId);
+
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      customer: customerId,
+      line_items: [{ price: priceId, quantity: 1 }],
+      success_url: process.env.STRIPE_GIFT_SUCCESS_URL || process.env.STRIPE_SUCCESS_URL,
+      cancel_url: process.env.STRIPE_CANCEL_URL,
+      metadata: {
+        kind: 'gift',
+        duration,
+        user_id: userId,
+        discord_id: discordId,
+      },
+    });
+
+    logger.info({ sessionId: session.id, customerId, duration }, 'Created gift checkout session');
+
+    return session;
+  } catch (err) {
+    logger.error({ err, userId, duration }, 'Failed to create gift checkout session');
+    throw err;
+  }
+};
+
 export const createPortalSession = async (userId) => {
   try {
     const userResult = await query(
@@ -98,7 +217,7 @@ export const createPortalSession = async (userId) => {
     const customerId = userResult.rows[0]?.stripe_customer_id;
 
     if (!customerId) {
-      throw new Error('User has no Stripe customer ID');
+      throw new NotFoundError('User has no Stripe customer ID');
     }
 
     const session = await stripe.billingPortal.sessions.create({
@@ -135,6 +254,26 @@ export const getSubscription = async (subscriptionId) => {
   }
 };
 
+export const getCharge = async (chargeId) => {
+  try {
+    const charge = await stripe.charges.retrieve(chargeId);
+    return charge;
+  } catch (err) {
+    logger.error({ err, chargeId }, 'Failed to get charge');
+    throw err;
+  }
+};
+
+export const getInvoice = async (invoiceId) => {
+  try {
+    const invoice = await stripe.invoices.retrieve(invoiceId);
+    return invoice;
+  } catch (err) {
+    logger.error({ err, invoiceId }, 'Failed to get invoice');
+    throw err;
+  }
+};
+
 export const listSubscriptionsForCustomer = async (customerId) => {
   try {
     const subscriptions = await stripe.subscriptions.list({
@@ -147,9 +286,184 @@ export const listSubscriptionsForCustomer = async (customerId) => {
   }
 };
 
+/**
+ * Every subscription (any status) on a price - auto-paginated
+ */
+export const listSubscriptionsForPrice = async (priceId) => {
+  try {
+    return await stripe.subscriptions
+      .list({ price: priceId, status: 'all', limit: 100 })
+      .autoPagingToArray({ limit: 10000 });
+  } catch (err) {
+    logger.error({ err, priceId }, 'Failed to list subscriptions for price');
+    throw err;
+  }
+};
+
+export const listEvents = async ({ createdGte, createdLte = null, types = null, startingAfter = null, limit = 100 } = {}) => {
+  try {
+    const params = {
+      created: { gte: createdGte },
+      limit,
+    };
+
+    if (createdLte) {
+      params.created.lte = createdLte;
+    }
+
+    if (types && types.length > 0) {
+      params.types = types;
+    }
+
+    if (startingAfter) {
+      params.starting_after = startingAfter;
+    }
+
+    return await stripe.events.list(params);
+  } catch (err) {
+    logger.error({ err, createdGte, startingAfter }, 'Failed to list events');
+    throw err;
+  }
+};
+
+export const previewPriceChange = async (stripeSubscription, newPriceId, prorationDate) => {
+  try {
+    const item = stripeSubscription.items.data[0];
+
+    return await stripe.invoices.retrieveUpcoming({
+      customer: stripeSubscription.customer,
+      subscription: stripeSubscription.id,
+      subscription_items: [{ id: item.id, price: newPriceId }],
+      subscription_proration_behavior: 'always_invoice',
+      subscription_proration_date: prorationDate,
+    });
+  } catch (err) {
+    logger.error({ err, subscriptionId: stripeSubscription.id, newPriceId }, 'Failed to preview price change');
+    throw err;
+  }
+};
+
+export const changeSubscriptionPrice = async (stripeSubscription, newPriceId, prorationDate) => {
+  try {
+    // An immediate change replaces any scheduled downgrade
+    if (stripeSubscription.schedule) {
+      const scheduleId = stripeSubscription.schedule.id || stripeSubscription.schedule;
+      await stripe.subscriptionSchedules.release(scheduleId);
+    }
+
+    const item = stripeSubscription.items.data[0];
+    const subscription = await stripe.subscriptions.update(stripeSubscription.id, {
+      items: [{ id: item.id, price: newPriceId }],
+      proration_behavior: 'always_invoice',
+      proration_date: prorationDate,
+    });
+
+    logger.info({ subscriptionId: stripeSubscription.id, newPriceId }, 'Changed subscription price');
+    return subscription;
+  } catch (err) {
+    logger.error({ err, subscriptionId: stripeSubscription.id, newPriceId }, 'Failed to change subscription price');
+    throw err;
+  }
+};
+
+export const schedulePriceChangeAtPeriodEnd = async (stripeSubscription, newPriceId) => {
+  try {
+    const scheduleId = stripeSubscription.schedule?.id || stripeSubscription.schedule;
+    const schedule = scheduleId
+      ? await stripe.subscriptionSchedules.retrieve(scheduleId)
+      : await stripe.subscriptionSchedules.create({ from_subscription: stripeSubscription.id });
+
+    const currentPriceId = stripeSubscription.items.data[0].price.id;
+
+    // Keep the current price until period end, then switch and release the schedule
+    const updated = await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: [{ price: currentPriceId, quantity: 1 }],
+          start_date: schedule.phases[0].start_date,
+          end_date: stripeSubscription.current_period_end,
+          proration_behavior: 'none',
+        },
+        {
+          items: [{ price: newPriceId, quantity: 1 }],
+          iterations: 1,
+          proration_behavior: 'none',
+        },
+      ],
+    });
+
+    logger.info({ subscriptionId: stripeSubscription.id, newPriceId, scheduleId: updated.id }, 'Scheduled price change at period end');
+    return updated;
+  } catch (err) {
+    logger.error({ err, subscriptionId: stripeSubscription.id, newPriceId }, 'Failed to schedule price change');
+    throw err;
+  }
+};
+
+/**
+ * Pause collection (no invoices are created while paused); resumesAt is optional
+ */
+export const pauseSubscription = async (subscriptionId, { resumesAt = null } = {}) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      pause_collection: {
+        behavior: 'void',
+        ...(resumesAt && { resumes_at: Math.floor(resumesAt.getTime() / 1000) }),
+      },
+    });
+    logger.info({ subscriptionId, resumesAt }, 'Paused subscription collection');
+    return subscription;
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to pause subscription');
+    throw err;
+  }
+};
+
+export const resumeSubscription = async (subscriptionId) => {
+  try {
+    // An empty string unsets pause_collection
+    const subscription = await stripe.subscriptions.update(subscriptionId, { pause_collection: '' });
+    logger.info({ subscriptionId }, 'Resumed subscription collection');
+    return subscription;
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to resume subscription');
+    throw err;
+  }
+};
+
+/**
+ * Cancel at the end of the current period, recording why (reason key goes in metadata)
+ */
+export const cancelSubscriptionAtPeriodEnd = async (subscriptionId, { reason, feedback = 'other', comment = null }) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: true,
+      cancellation_details: { feedback, ...(comment && { comment }) },
+      metadata: { cancellation_reason: reason },
+    });
+    logger.info({ subscriptionId, reason }, 'Scheduled subscription cancellation');
+    return subscription;
+  } catch (err) {
+    logger.error({ err, subscriptionId }, 'Failed to schedule subscription cancellation');
+    throw err;
+  }
+};
+
+export const applySubscriptionCoupon = async (subscriptionId, couponId) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, { coupon: couponId });
+    logger.info({ subscriptionId, couponId }, 'Applied coupon to subscription');
+    return subscription;
+  } catch (err) {
+    logger.error({ err, subscriptionId, couponId }, 'Failed to apply coupon');
+    throw err;
+  }
+};
+
 export const cancelSubscription = async (subscriptionId) => {
   try {
-    const subscription = await stripe.subscriptions.del(subscriptionId);
+    const subscription = await stripe.subscriptions.cancel(subscriptionId);
     logger.info({ subscriptionId }, 'Canceled subscription');
     return subscription;
   } catch (err) {
@@ -1,8 +1,10 @@
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
 import * as auditLogService from './auditLogService.js';
-import * as gracePeriodService from './gracePeriodService.js';
-import * as webhookService from './webhookService.js';
+import * as membershipService from './membershipService.js';
+import * as trialService from './trialService.js';
+import * as planService from './planService.js';
+import * as entitlementService from './entitlementService.js';
 
 export const createOrUpdateSubscription = async (userId, stripeSubscription) => {
   try {
@@ -17,6 +19,8 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
       cancel_at,
       cancel_at_period_end,
       canceled_at,
+      pause_collection,
+      cancellation_details,
       items,
     } = stripeSubscription;
 
@@ -36,7 +40,9 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
         `UPDATE subscriptions
          SET status = $1, current_period_start = $2, current_period_end = $3,
              trial_start = $4, trial_end = $5, cancel_at = $6,
-             cancel_at_period_end = $7, canceled_at = $8, updated_at = CURRENT_TIMESTAMP
+             cancel_at_period_end = $7, canceled_at = $8,
+             stripe_price_id = COALESCE($10, stripe_price_id), pause_collection = $11,
+             cancellation_details = COALESCE($12, cancellation_details), updated_at = CURRENT_TIMESTAMP
          WHERE stripe_subscription_id = $9
          RETURNING *`,
         [
@@ -49,6 +55,9 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
           cancel_at_period_end,
           canceled_at ? new Date(canceled_at * 1000) : null,
           stripe_subscription_id,
+          stripe_price_id,
+          pause_collection ? JSON.stringify(pause_collection) : null,
+          cancellation_details?.reason ? JSON.stringify(cancellation_details) : null,
         ]
       );
 
@@ -60,8 +69,8 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
         `INSERT INTO subscriptions
          (user_id, stripe_subscription_id, stripe_price_id, status,
           current_period_start, current_period_end, trial_start, trial_end,
-          cancel_at, cancel_at_period_end, canceled_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          cancel_at, cancel_at_period_end, canceled_at, pause_collection, cancellation_details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
          RETURNING *`,
         [
           userId,
@@ -75,6 +84,8 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
           cancel_at ? new Date(cancel_at * 1000) : null,
           cancel_at_period_end,
           canceled_at ? new Date(canceled_at * 1000) : null,
+          pause_collection ? JSON.stringify(pause_collection) : null,
+          cancellation_details?.reason ? JSON.stringify(cancellation_details) : null,
         ]
       );
 
@@ -82,6 +93,14 @@ export const createOrUpdateSubscription = async (userId, stripeSubscription) =>
       logger.info({ stripe_subscription_id, status }, 'Created subscription');
     }
 
+    await planService.setUserPlanFromPrice(subscription.user_id, subscription.stripe_price_id, status);
+
+    if (trial_start) {
+      await trialService.markTrialUsed(subscription.user_id, new Date(trial_start * 1000));
+    }
+
+    await entitlementService.recordStripePeriod(subscription.user_id, stripeSubscription);
+
     return subscription;
   } catch (err) {
     logger.error({ err, userId, subscription_id: stripeSubscription.id }, 'Failed to create/update subscription');
@@ -149,27 +168,8 @@ export const handleSubscriptionActive = async (stripeSubscription) => {
     // Now create/update subscription with correct userId
     const subscription = await createOrUpdateSubscription(user.id, stripeSubscription);
 
-    // Update user tier
-    await query(
-      'UPDATE users SET tier = $1 WHERE id = $2',
-      ['paid', user.id]
-    );
-
-    // RoleBot will handle role assignment via webhook (subscription renewal triggers sync)
-    // Remove from grace period if they were in it (they renewed)
-    try {
-      await gracePeriodService.removeFromGracePeriod(user.id, user.discord_id);
-      await webhookService.sendSubscriptionRenewed(user.id, user.discord_id);
-    } catch (err) {
-      logger.error({ err, userId: user.id }, 'Failed to handle renewal from grace period');
-    }
-
-    // Send webhook to RoleBot
-    try {
-      await webhookService.sendSubscriptionActivated(user.id, user.discord_id);
-    } catch (err) {
-      logger.error({ err, userId: user.id }, 'Failed to send webhook');
-    }
+    // Move to paid/trialing - clears any grace period and tells RoleBot (activated or renewed)
+    await membershipService.applyStripeStatus(user, stripeSubscription);
 
     // Log event
     await auditLogService.logEvent(user.id, 'subscription.activated', {
@@ -199,23 +199,33 @@ export const handleSubscriptionCanceled = async (stripeSubscription) => {
       throw new Error('User not found for subscription');
     }
 
+    // Gifted/comped time still running - they stay a member until it ends
+    const membership = await entitlementService.getMembership(user.id);
+
     // DON'T remove role yet - move to grace period for 7 days
-    // User keeps @Subscribed role during grace period
-    try {
-      await gracePeriodService.moveToGracePeriod(user.id, user.discord_id);
-      await webhookService.sendGracePeriodStarted(user.id, user.discord_id);
-    } catch (err) {
-      logger.error({ err, userId: user.id }, 'Failed to move to grace period');
+    // User keeps @Subscribed role during grace period.
+    // A user already made free by a refund/chargeback isn't handed the role back via grace.
+    let result = null;
+    if (!membership.active) {
+      result = await membershipService.applyStripeStatus(user, stripeSubscription);
+    } else if (user.tier === 'paused') {
+      // Canceled while on leave - the remaining time makes them a member again
+      result = await membershipService.transition(user.id, 'paid', {
+        reason: 'Subscription ended while paused, membership time remains',
+        actor: 'stripe',
+      });
     }
+    const movedToGracePeriod = Boolean(result?.changed && result.to === 'grace');
 
     // Log event
     await auditLogService.logEvent(user.id, 'subscription.canceled', {
       subscription_id: stripeSubscription.id,
       status: stripeSubscription.status,
-      movedToGracePeriod: true,
+      movedToGracePeriod,
+      coveredUntil: membership.active ? membership.expiresAt : null,
     });
 
-    logger.info({ userId: user.id, subscriptionId: stripeSubscription.id }, 'Subscription canceled - moved to grace period');
+    logger.info({ userId: user.id, subscriptionId: stripeSubscription.id, movedToGracePeriod }, 'Subscription canceled');
   } catch (err) {
     logger.error({ err, subscription_id: stripeSubscription.id }, 'Failed to handle subscription canceled');
     throw err;
@@ -237,7 +247,9 @@ export const handleSubscriptionPastDue = async (stripeSubscription) => {
       throw new Error('User not found for subscription');
     }
 
-    // Log event but keep roles - they should only be removed on full cancellation
+    // Mark past_due but keep roles - they should only be removed on full cancellation
+    await membershipService.applyStripeStatus(user, stripeSubscription);
+
     await auditLogService.logEvent(user.id, 'subscription.past_due', {
       subscription_id: stripeSubscription.id,
       current_period_end: stripeSubscription.current_period_end,
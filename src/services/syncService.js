@@ -1,6 +1,8 @@
 import { query } from '../db/connection.js';
 import logger from '../utils/logger.js';
-import * as gracePeriodService from './gracePeriodService.js';
+import * as entitlementService from './entitlementService.js';
+import * as membershipService from './membershipService.js';
+import * as membershipChangeService from './membershipChangeService.js';
 
 /**
  * Sync service - handles daily list updates and subscription state transitions
@@ -8,26 +10,40 @@ import * as gracePeriodService from './gracePeriodService.js';
 
 /**
  * Perform daily sync at 11:59 PM
- * - Move expired subscriptions to grace period
- * - Remove users from grace period if 7 days has passed
- * - Update all subscription end dates
+ * - Move expired memberships to grace period
+ * - Move users out of grace period if 7 days have passed
+ * - Prune the membership change log
  */
 export const performDailySync = async () => {
   try {
     logger.info('Starting daily sync');
 
-    // Step 1: Move expired subscriptions to grace period
+    // Step 1: Move expired memberships to grace period
     const expiredResult = await query(
       `SELECT id, discord_id, subscription_end_date
        FROM users
-       WHERE tier = 'paid'
+       WHERE tier = ANY($1)
+         AND NOT lifetime
          AND subscription_end_date <= NOW()
-       LIMIT 1000`
+       LIMIT 1000`,
+      [membershipService.MEMBER_STATES]
     );
 
+    let movedCount = 0;
     for (const user of expiredResult.rows) {
       try {
-        await gracePeriodService.moveToGracePeriod(user.id, user.discord_id);
+        // Recompute from the entitlement ledger - stacked gift/comp time may still cover them
+        const membership = await entitlementService.refreshMembership(user.id);
+        if (membership.active) {
+          logger.info({ userId: user.id, expiresAt: membership.expiresAt }, 'User still covered by entitlements');
+          continue;
+        }
+
+        await membershipService.transition(user.id, 'grace', {
+          reason: 'Membership expired',
+          actor: 'daily_sync',
+        });
+        movedCount++;
         logger.info({ userId: user.id, discordId: user.discord_id }, 'Moved user to grace period during sync');
       } catch (err) {
         logger.error({ err, userId: user.id }, 'Failed to move user to grace period');
@@ -45,49 +61,26 @@ export const performDailySync = async () => {
 
     for (const user of graceExpiredResult.rows) {
       try {
-        await query(
-          `UPDATE users
-           SET tier = 'free', grace_period_end_date = NULL
-           WHERE id = $1`,
-          [user.id]
-        );
+        await membershipService.transition(user.id, 'free', {
+          reason: 'Grace period expired',
+          actor: 'daily_sync',
+        });
         logger.info({ userId: user.id, discordId: user.discord_id }, 'Removed user from grace period - expired');
       } catch (err) {
         logger.error({ err, userId: user.id }, 'Failed to remove user from grace period');
       }
     }
 
-    logger.info({ expiredCount: expiredResult.rows.length, graceExpiredCount: graceExpiredResult.rows.length }, 'Daily sync completed');
-
-  } catch (err) {
-    logger.error({ err }, 'Daily sync failed');
-  }
-};
-
-/**
- * Sync user on new subscription/renewal
- * - Ensure user is marked as paid
- * - Set subscription end date
- * - Clear any grace period
- */
-export const syncUserOnSubscription = async (userId, stripeSubscription) => {
-  try {
-    const subscriptionEndDate = new Date(stripeSubscription.current_period_end * 1000);
-
-    await query(
-      `UPDATE users
-       SET tier = 'paid',
-           subscription_end_date = $1,
-           grace_period_end_date = NULL,
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $2`,
-      [subscriptionEndDate, userId]
-    );
+    // Step 3: Drop old membership change log rows (delta-sync cursors older than this get a 410)
+    try {
+      await membershipChangeService.pruneChanges();
+    } catch (err) {
+      logger.error({ err }, 'Failed to prune membership change log');
+    }
 
-    logger.info({ userId, expiresAt: subscriptionEndDate }, 'Synced user on subscription');
+    logger.info({ expiredCount: movedCount, graceExpiredCount: graceExpiredResult.rows.length }, 'Daily sync completed');
 
   } catch (err) {
-    logger.error({ err, userId }, 'Failed to sync user on subscription');
-    throw err;
+    logger.error({ err }, 'Daily sync failed');
   }
 };
@@ -0,0 +1,53 @@
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+
+/**
+ * Trial service - free trials for new members, limited to one per Discord account
+ */
+
+export const TRIAL_DAYS = parseInt(process.env.STRIPE_TRIAL_DAYS || '0');
+
+/**
+ * A user can trial if trials are enabled, they never trialed before
+ * and they have never held a subscription
+ */
+export const isTrialEligible = async (userId) => {
+  if (TRIAL_DAYS <= 0) {
+    return false;
+  }
+
+  try {
+    const result = await query(
+      `SELECT u.trial_used_at,
+              EXISTS (SELECT 1 FROM subscriptions s WHERE s.user_id = u.id) as has_subscribed
+       FROM users u
+       WHERE u.id = $1`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user) {
+      return false;
+    }
+
+    return !user.trial_used_at && !user.has_subscribed;
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to check trial eligibility');
+    return false;
+  }
+};
+
+/**
+ * Record that a user has started their trial (idempotent)
+ */
+export const markTrialUsed = async (userId, trialStart) => {
+  try {
+    await query(
+      'UPDATE users SET trial_used_at = COALESCE(trial_used_at, $1) WHERE id = $2',
+      [trialStart, userId]
+    );
+  } catch (err) {
+    logger.error({ err, userId }, 'Failed to mark trial used');
+    throw err;
+  }
+};
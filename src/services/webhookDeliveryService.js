@@ -0,0 +1,316 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import * as webhookEndpointService from './webhookEndpointService.js';
+import { signPayload, SIGNATURE_HEADER, EVENT_ID_HEADER } from '../sdk/webhookSignature.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Webhook delivery service - sends outbox deliveries (one per event per endpoint) and keeps
+ * their status: pending -> delivered, or failed while retrying -> dead after the last attempt.
+ * Every HTTP attempt is recorded with its status code and latency.
+ */
+
+export const DELIVERY_STATUSES = ['pending', 'failed', 'delivered', 'dead'];
+
+const MAX_BULK_REDELIVERIES = 1000;
+
+// The signature covers the exact bytes sent, so post the serialized body as-is
+const postToEndpoint = (endpoint, payload) => {
+  const body = JSON.stringify(payload);
+
+  return axios.post(endpoint.url, body, {
+    timeout: 5000,
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(body, endpoint.secrets),
+      [EVENT_ID_HEADER]: payload.id,
+    },
+    transformRequest: [(requestBody) => requestBody],
+  });
+};
+
+// The event counts as sent once every endpoint has it
+const markEventSentIfDelivered = async (webhookEventId) => {
+  await query(
+    `UPDATE webhook_events SET sent_to_rolebot = true, sent_at = NOW()
+     WHERE id = $1 AND sent_to_rolebot = false
+       AND NOT EXISTS (
+         SELECT 1 FROM webhook_deliveries WHERE webhook_event_id = $1 AND status <> 'delivered'
+       )`,
+    [webhookEventId]
+  );
+};
+
+/**
+ * Make one delivery attempt. Throws when the endpoint doesn't accept it, so the worker retries.
+ */
+export const attemptDelivery = async (deliveryId) => {
+  const result = await query(
+    `SELECT d.*, e.event_type, e.payload
+     FROM webhook_deliveries d
+     JOIN webhook_events e ON e.id = d.webhook_event_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  const delivery = result.rows[0];
+
+  if (!delivery || ['delivered', 'dead'].includes(delivery.status)) {
+    return { deliveryId, skipped: true };
+  }
+
+  const endpoint = await webhookEndpointService.getDeliveryTarget(delivery.endpoint_id);
+  if (!endpoint?.enabled) {
+    await moveToDead(deliveryId, 'Endpoint is disabled');
+    return { deliveryId, skipped: true };
+  }
+
+  // Events queued before signing was added have no id in the payload
+  const payload = { ...delivery.payload, id: delivery.webhook_event_id };
+  const attempt = delivery.attempts + 1;
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await postToEndpoint(endpoint, payload);
+    statusCode = response.status;
+  } catch (err) {
+    statusCode = err.response?.status || null;
+    error = err.message;
+  }
+
+  const latencyMs = Date.now() - startedAt;
+
+  await query(
+    `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, latency_ms, error)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [deliveryId, attempt, statusCode, latencyMs, error]
+  );
+
+  if (error) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = 'failed', attempts = $1, last_status_code = $2, last_error = $3
+       WHERE id = $4`,
+      [attempt, statusCode, error, deliveryId]
+    );
+
+    throw new Error(`Webhook delivery to ${endpoint.name} failed: ${error}`);
+  }
+
+  await query(
+    `UPDATE webhook_deliveries
+     SET status = 'delivered', attempts = $1, last_status_code = $2, last_error = NULL, delivered_at = NOW()
+     WHERE id = $3`,
+    [attempt, statusCode, deliveryId]
+  );
+
+  await markEventSentIfDelivered(delivery.webhook_event_id);
+
+  logger.info({
+    deliveryId,
+    eventType: delivery.event_type,
+    endpoint: endpoint.name,
+    statusCode,
+    latencyMs,
+    attempt,
+  }, 'Webhook delivered');
+
+  return { deliveryId, statusCode, latencyMs };
+};
+
+/**
+ * Give up on a delivery after its last attempt (or when its endpoint is disabled)
+ */
+export const moveToDead = async (deliveryId, errorMessage) => {
+  try {
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET status = 'dead', dead_at = NOW(), last_error = COALESCE($1, last_error)
+       WHERE id = $2 AND status <> 'delivered'
+       RETURNING *`,
+      [errorMessage, deliveryId]
+    );
+
+    const delivery = result.rows[0];
+    if (!delivery) {
+      return null;
+    }
+
+    await auditLogService.logEvent(null, 'webhook.delivery_dead', {
+      deliveryId,
+      webhookEventId: delivery.webhook_event_id,
+      endpointId: delivery.endpoint_id,
+      attempts: delivery.attempts,
+      lastStatusCode: delivery.last_status_code,
+      error: delivery.last_error,
+    }, { status: 'failure', errorMessage: delivery.last_error, resourceType: 'webhook_delivery', resourceId: deliveryId });
+
+    logger.error({ deliveryId, attempts: delivery.attempts, error: delivery.last_error }, 'Webhook delivery gave up - moved to dead');
+    return delivery;
+  } catch (err) {
+    logger.error({ err, deliveryId }, 'Failed to mark webhook delivery dead');
+    throw err;
+  }
+};
+
+/**
+ * Deliveries that still need sending (e.g. queued while Redis was down)
+ */
+export const getUnfinishedDeliveryIds = async () => {
+  try {
+    const result = await query(
+      `SELECT id FROM webhook_deliveries
+       WHERE status IN ('pending', 'failed')
+       ORDER BY created_at ASC`
+    );
+
+    return result.rows.map(row => row.id);
+  } catch (err) {
+    logger.error({ err }, 'Failed to get unfinished webhook deliveries');
+    return [];
+  }
+};
+
+export const getPendingDeliveryIds = async (webhookEventId) => {
+  const result = await query(
+    "SELECT id FROM webhook_deliveries WHERE webhook_event_id = $1 AND status = 'pending'",
+    [webhookEventId]
+  );
+  return result.rows.map(row => row.id);
+};
+
+/**
+ * List deliveries by status (failed and dead by default), newest first
+ */
+export const getDeliveries = async ({ statuses = ['failed', 'dead'], endpointId = null } = {}, limit = 50, offset = 0) => {
+  const unknown = statuses.filter(status => !DELIVERY_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Invalid status. Must be from: ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  try {
+    const countResult = await query(
+      `SELECT COUNT(*) as count FROM webhook_deliveries
+       WHERE status = ANY($1) AND ($2::uuid IS NULL OR endpoint_id = $2)`,
+      [statuses, endpointId]
+    );
+
+    const result = await query(
+      `SELECT d.*, e.event_type, e.user_id, w.name as endpoint_name, w.url as endpoint_url
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON e.id = d.webhook_event_id
+       JOIN webhook_endpoints w ON w.id = d.endpoint_id
+       WHERE d.status = ANY($1) AND ($2::uuid IS NULL OR d.endpoint_id = $2)
+       ORDER BY d.updated_at DESC
+       LIMIT $3 OFFSET $4`,
+      [statuses, endpointId, limit, offset]
+    );
+
+    return {
+      deliveries: result.rows,
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      offset,
+    };
+  } catch (err) {
+    logger.error({ err }, 'Failed to get webhook deliveries');
+    throw err;
+  }
+};
+
+/**
+ * One delivery with its event payload and every attempt
+ */
+export const getDelivery = async (deliveryId) => {
+  try {
+    const result = await query(
+      `SELECT d.*, e.event_type, e.payload, w.name as endpoint_name, w.url as endpoint_url
+       FROM webhook_deliveries d
+       JOIN webhook_events e ON e.id = d.webhook_event_id
+       JOIN webhook_endpoints w ON w.id = d.endpoint_id
+       WHERE d.id = $1`,
+      [deliveryId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Webhook delivery not found');
+    }
+
+    const attempts = await query(
+      'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = $1 ORDER BY attempted_at ASC',
+      [deliveryId]
+    );
+
+    return { ...result.rows[0], attemptLog: attempts.rows };
+  } catch (err) {
+    logger.error({ err, deliveryId }, 'Failed to get webhook delivery');
+    throw err;
+  }
+};
+
+/**
+ * Reset a dead delivery to pending so the worker sends it again (the caller queues it)
+ */
+export const prepareRedelivery = async (deliveryId, redeliveredBy) => {
+  try {
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', last_error = NULL, dead_at = NULL, redelivered_at = NOW(), redelivered_by = $1
+       WHERE id = $2 AND status = 'dead'
+       RETURNING *`,
+      [redeliveredBy, deliveryId]
+    );
+
+    if (!result.rows[0]) {
+      const existing = await query('SELECT status FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+      if (!existing.rows[0]) {
+        throw new NotFoundError('Webhook delivery not found');
+      }
+      throw new ConflictError(`Only dead deliveries can be redelivered (this one is ${existing.rows[0].status})`);
+    }
+
+    logger.info({ deliveryId, redeliveredBy }, 'Prepared webhook delivery for redelivery');
+    return result.rows[0];
+  } catch (err) {
+    logger.error({ err, deliveryId }, 'Failed to prepare webhook redelivery');
+    throw err;
+  }
+};
+
+/**
+ * Reset dead deliveries in bulk - the given ids, or every dead delivery (optionally for one
+ * endpoint). Capped per call; returns the reset delivery ids.
+ */
+export const prepareBulkRedelivery = async ({ deliveryIds = null, endpointId = null }, redeliveredBy) => {
+  if (deliveryIds && (!Array.isArray(deliveryIds) || deliveryIds.length === 0 || deliveryIds.length > MAX_BULK_REDELIVERIES)) {
+    throw new ValidationError(`deliveryIds must be a non-empty array of at most ${MAX_BULK_REDELIVERIES} ids`);
+  }
+
+  try {
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', last_error = NULL, dead_at = NULL, redelivered_at = NOW(), redelivered_by = $1
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'dead'
+           AND ($2::uuid[] IS NULL OR id = ANY($2))
+           AND ($3::uuid IS NULL OR endpoint_id = $3)
+         ORDER BY created_at ASC
+         LIMIT $4
+       )
+       RETURNING id`,
+      [redeliveredBy, deliveryIds, endpointId, MAX_BULK_REDELIVERIES]
+    );
+
+    const ids = result.rows.map(row => row.id);
+
+    logger.info({ count: ids.length, endpointId, redeliveredBy }, 'Prepared webhook deliveries for bulk redelivery');
+    return ids;
+  } catch (err) {
+    logger.error({ err, endpointId }, 'Failed to prepare bulk webhook redelivery');
+    throw err;
+  }
+};
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+import { query } from '../db/connection.js';
+import * as auditLogService from './auditLogService.js';
+import { encrypt, decrypt, isEncryptionConfigured } from '../utils/encryption.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Webhook endpoint service - where outgoing webhooks go and the secret each is signed with.
+ * Secrets are encrypted at rest (they have to be readable to sign with) and only shown
+ * when created or rotated.
+ */
+
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+// Never hand secrets back out
+const toPublicEndpoint = (row) => ({
+  id: row.id,
+  name: row.name,
+  url: row.url,
+  enabled: row.enabled,
+  rotating: Boolean(row.previous_secret_encrypted && new Date(row.previous_secret_expires_at) > new Date()),
+  previousSecretExpiresAt: row.previous_secret_expires_at,
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const validateUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ValidationError('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError('url must be an absolute http(s) URL');
+  }
+  return parsed.toString();
+};
+
+const requireEncryption = () => {
+  if (!isEncryptionConfigured()) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be set to store webhook secrets');
+  }
+};
+
+export const listEndpoints = async () => {
+  try {
+    const result = await query('SELECT * FROM webhook_endpoints ORDER BY created_at ASC');
+    return result.rows.map(toPublicEndpoint);
+  } catch (err) {
+    logger.error({ err }, 'Failed to list webhook endpoints');
+    throw err;
+  }
+};
+
+/**
+ * An endpoint with its signing secrets (current first, then one still in its rotation overlap)
+ */
+export const getDeliveryTarget = async (endpointId) => {
+  const result = await query('SELECT * FROM webhook_endpoints WHERE id = $1', [endpointId]);
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  const secrets = [decrypt(row.secret_encrypted)];
+  if (row.previous_secret_encrypted && new Date(row.previous_secret_expires_at) > new Date()) {
+    secrets.push(decrypt(row.previous_secret_encrypted));
+  }
+
+  return { id: row.id, name: row.name, url: row.url, enabled: row.enabled, secrets };
+};
+
+/**
+ * Add an endpoint. The signing secret is only returned here (and on rotation).
+ */
+export const createEndpoint = async ({ name, url, secret = null, actor }) => {
+  if (!name || typeof name !== 'string' || name.length > 255) {
+    throw new ValidationError('name is required');
+  }
+  const endpointUrl = validateUrl(url);
+  requireEncryption();
+
+  const signingSecret = secret || generateSecret();
+
+  try {
+    const result = await query(
+      `INSERT INTO webhook_endpoints (name, url, secret_encrypted, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, endpointUrl, encrypt(signingSecret), actor.discord_id]
+    );
+    const endpoint = toPublicEndpoint(result.rows[0]);
+
+    await auditLogService.logEvent(actor.id || null, 'webhook_endpoint.created', {
+      endpointId: endpoint.id,
+      name,
+      url: endpointUrl,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'create', resourceType: 'webhook_endpoint', resourceId: endpoint.id });
+
+    logger.info({ endpointId: endpoint.id, name, url: endpointUrl }, 'Webhook endpoint created');
+
+    return { endpoint, secret: signingSecret };
+  } catch (err) {
+    logger.error({ err, name }, 'Failed to create webhook endpoint');
+    throw err;
+  }
+};
+
+/**
+ * Change an endpoint's name, URL or enabled flag
+ */
+export const updateEndpoint = async (endpointId, { name, url, enabled }, { actor }) => {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new ValidationError('enabled must be true or false');
+  }
+  const endpointUrl = url !== undefined ? validateUrl(url) : null;
+
+  try {
+    const result = await query(
+      `UPDATE webhook_endpoints
+       SET name = COALESCE($1, name), url = COALESCE($2, url), enabled = COALESCE($3, enabled)
+       WHERE id = $4
+       RETURNING *`,
+      [name || null, endpointUrl, enabled ?? null, endpointId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Webhook endpoint not found');
+    }
+
+    await auditLogService.logEvent(actor.id || null, 'webhook_endpoint.updated', {
+      endpointId,
+      changes: { name, url: endpointUrl || undefined, enabled },
+      actorDiscordId: actor.discord_id,
+    }, { action: 'update', resourceType: 'webhook_endpoint', resourceId: endpointId });
+
+    return toPublicEndpoint(result.rows[0]);
+  } catch (err) {
+    logger.error({ err, endpointId }, 'Failed to update webhook endpoint');
+    throw err;
+  }
+};
+
+/**
+ * New signing secret. Webhooks carry a signature for the old secret too for overlapHours,
+ * so the receiver can switch secrets without rejecting anything.
+ */
+export const rotateSecret = async (endpointId, { overlapHours = DEFAULT_ROTATION_OVERLAP_HOURS, actor }) => {
+  const hours = Number(overlapHours);
+  if (!Number.isFinite(hours) || hours < 0 || hours > 24 * 30) {
+    throw new ValidationError('overlapHours must be between 0 and 720');
+  }
+  requireEncryption();
+
+  const secret = generateSecret();
+  const previousSecretExpiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  try {
+    const result = await query(
+      `UPDATE webhook_endpoints
+       SET previous_secret_encrypted = secret_encrypted, previous_secret_expires_at = $1, secret_encrypted = $2
+       WHERE id = $3
+       RETURNING *`,
+      [previousSecretExpiresAt, encrypt(secret), endpointId]
+    );
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Webhook endpoint not found');
+    }
+
+    await auditLogService.logEvent(actor.id || null, 'webhook_endpoint.secret_rotated', {
+      endpointId,
+      previousSecretExpiresAt,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'rotate', resourceType: 'webhook_endpoint', resourceId: endpointId });
+
+    logger.info({ endpointId, previousSecretExpiresAt }, 'Webhook endpoint secret rotated');
+
+    return { endpoint: toPublicEndpoint(result.rows[0]), secret, previousSecretExpiresAt };
+  } catch (err) {
+    logger.error({ err, endpointId }, 'Failed to rotate webhook endpoint secret');
+    throw err;
+  }
+};
+
+export const deleteEndpoint = async (endpointId, { actor }) => {
+  try {
+    const result = await query('DELETE FROM webhook_endpoints WHERE id = $1 RETURNING *', [endpointId]);
+
+    if (!result.rows[0]) {
+      throw new NotFoundError('Webhook endpoint not found');
+    }
+
+    await auditLogService.logEvent(actor.id || null, 'webhook_endpoint.deleted', {
+      endpointId,
+      name: result.rows[0].name,
+      url: result.rows[0].url,
+      actorDiscordId: actor.discord_id,
+    }, { action: 'delete', resourceType: 'webhook_endpoint', resourceId: endpointId });
+
+    logger.info({ endpointId }, 'Webhook endpoint deleted');
+
+    return toPublicEndpoint(result.rows[0]);
+  } catch (err) {
+    logger.error({ err, endpointId }, 'Failed to delete webhook endpoint');
+    throw err;
+  }
+};
+
+/**
+ * On startup: if there are no endpoints yet, add RoleBot from ROLEBOT_WEBHOOK_URL and
+ * ROLEBOT_WEBHOOK_SECRET. Once an endpoint exists the env vars are ignored.
+ */
+export const bootstrapRoleBotEndpoint = async () => {
+  const url = process.env.ROLEBOT_WEBHOOK_URL;
+  const secret = process.env.ROLEBOT_WEBHOOK_SECRET;
+
+  try {
+    const existing = await query('SELECT 1 FROM webhook_endpoints LIMIT 1');
+    if (existing.rows.length > 0) {
+      return null;
+    }
+
+    if (!url || !secret) {
+      logger.warn('No webhook endpoints and ROLEBOT_WEBHOOK_URL/ROLEBOT_WEBHOOK_SECRET not set - webhooks will not be sent');
+      return null;
+    }
+
+    if (!isEncryptionConfigured()) {
+      logger.warn('TOKEN_ENCRYPTION_KEY is not set - cannot store the RoleBot webhook secret, webhooks will not be sent');
+      return null;
+    }
+
+    const { endpoint } = await createEndpoint({
+      name: 'rolebot',
+      url,
+      secret,
+      actor: { id: null, discord_id: 'system' },
+    });
+
+    logger.info({ endpointId: endpoint.id }, 'Bootstrapped RoleBot webhook endpoint from ROLEBOT_WEBHOOK_URL');
+    return endpoint;
+  } catch (err) {
+    logger.error({ err }, 'Failed to bootstrap RoleBot webhook endpoint');
+    throw err;
+  }
+};
@@ -1,53 +1,73 @@
-import axios from 'axios';
+import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import { query } from '../db/connection.js';
+import * as webhookDeliveryService from './webhookDeliveryService.js';
+import * as webhookDeliveryQueue from '../queues/webhookDeliveryQueue.js';
 
-const ROLEBOT_URL = process.env.ROLEBOT_WEBHOOK_URL || 'http://localhost:3001/webhooks/rolebot';
-const BACKEND_API_TOKEN = process.env.BACKEND_API_TOKEN;
+/**
+ * Outgoing webhooks (RoleBot) through an outbox. Every event is a webhook_events row whose id
+ * is the event id receivers dedupe on, plus one webhook_deliveries row per enabled endpoint.
+ * The webhook delivery worker sends them signed with each endpoint's secret (X-Triboar-Signature,
+ * see src/sdk/webhookSignature.js) and retries with backoff.
+ */
 
 /**
- * Send webhook event to RoleBot
+ * Record a webhook event and queue its delivery (not tied to a caller's transaction)
  */
 export const sendWebhook = async (eventType, data) => {
   try {
-    const payload = {
-      type: eventType,
-      data,
-      timestamp: new Date().toISOString(),
-    };
-
-    const response = await axios.post(ROLEBOT_URL, payload, {
-      timeout: 5000,
-      headers: {
-        'Authorization': `Bearer ${BACKEND_API_TOKEN}`,
-      },
-    });
-
-    logger.info({ eventType, discordId: data.discordId }, 'Webhook sent to RoleBot');
-
-    // Log webhook event in database
-    await query(
-      `INSERT INTO webhook_events (user_id, event_type, payload, sent_to_rolebot, sent_at)
-       VALUES ($1, $2, $3, true, NOW())`,
-      [data.userId || null, eventType, JSON.stringify(payload)]
-    );
+    const webhookEventId = await queueWebhook({ query }, eventType, data);
+    return await deliverQueuedWebhook(webhookEventId);
+  } catch (err) {
+    logger.error({ err, eventType, data }, 'Failed to send webhook');
+    return false;
+  }
+};
 
-    return true;
+/**
+ * Write a webhook event and its deliveries into the outbox as part of the caller's transaction.
+ * Call deliverQueuedWebhook once the transaction has committed.
+ */
+export const queueWebhook = async (client, eventType, data) => {
+  const payload = {
+    id: crypto.randomUUID(),
+    type: eventType,
+    data,
+    timestamp: new Date().toISOString(),
+  };
 
-  } catch (err) {
-    logger.error({ err, eventType, data }, 'Failed to send webhook to RoleBot');
-
-    // Log failed webhook attempt
-    try {
-      await query(
-        `INSERT INTO webhook_events (user_id, event_type, payload, sent_to_rolebot)
-         VALUES ($1, $2, $3, false)`,
-        [data.userId || null, eventType, JSON.stringify({ type: eventType, data })]
-      );
-    } catch (logErr) {
-      logger.error({ logErr }, 'Failed to log webhook event');
+  const result = await client.query(
+    `INSERT INTO webhook_events (id, user_id, event_type, payload, sent_to_rolebot)
+     VALUES ($1, $2, $3, $4, false)
+     RETURNING id`,
+    [payload.id, data.userId || null, eventType, JSON.stringify(payload)]
+  );
+
+  await client.query(
+    `INSERT INTO webhook_deliveries (webhook_event_id, endpoint_id)
+     SELECT $1, id FROM webhook_endpoints WHERE enabled = true`,
+    [payload.id]
+  );
+
+  return result.rows[0].id;
+};
+
+/**
+ * Hand a committed event's deliveries to the delivery worker. If Redis is down they stay
+ * pending in the outbox and the sweep queues them later.
+ */
+export const deliverQueuedWebhook = async (webhookEventId) => {
+  try {
+    const deliveryIds = await webhookDeliveryService.getPendingDeliveryIds(webhookEventId);
+    if (deliveryIds.length === 0) {
+      logger.warn({ webhookEventId }, 'No webhook endpoints configured - webhook not sent');
+      return false;
     }
 
+    await webhookDeliveryQueue.enqueueDeliveries(deliveryIds);
+    return true;
+  } catch (err) {
+    logger.error({ err, webhookEventId }, 'Failed to queue webhook deliveries');
     return false;
   }
 };
@@ -80,6 +100,20 @@ export const sendGracePeriodStarted = async (userId, discordId) => {
   return sendWebhook('grace_period.started', { userId, discordId });
 };
 
+/**
+ * Send trial ending webhook (Stripe sends trial_will_end three days before the first charge)
+ */
+export const sendTrialEnding = async (userId, discordId, details = {}) => {
+  return sendWebhook('trial.ending', { userId, discordId, ...details });
+};
+
+/**
+ * Send payment failed webhook (dunning)
+ */
+export const sendPaymentFailed = async (userId, discordId, details = {}) => {
+  return sendWebhook('payment.failed', { userId, discordId, ...details });
+};
+
 /**
  * Get webhook status
  */
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+
+/**
+ * AES-256-GCM encryption for secrets stored in the database.
+ * TOKEN_ENCRYPTION_KEY is 32 bytes as 64 hex characters (openssl rand -hex 32).
+ * Output is `v1:<iv>:<auth tag>:<ciphertext>` (base64url parts).
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+
+const getKey = () => {
+  const key = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 64 hex characters (32 bytes)');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+export const isEncryptionConfigured = () => {
+  try {
+    getKey();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+    typeof part === 'string' ? part : part.toString('base64url')
+  )).join(':');
+};
+
+export const decrypt = (encrypted) => {
+  const [version, iv, tag, ciphertext] = encrypted.split(':');
+  if (version !== 'v1' || !iv || !tag || !ciphertext) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+};
@@ -37,3 +37,16 @@ export class ConflictError extends AppError {
     super(message, 409, 'CONFLICT');
   }
 }
+
+export class InvalidStateTransitionError extends AppError {
+  constructor(from, to) {
+    super(`Invalid membership transition: ${from} -> ${to}`, 409, 'INVALID_STATE_TRANSITION');
+    this.details = { from, to };
+  }
+}
+
+export class OAuthStateError extends AppError {
+  constructor(code = 'INVALID_STATE', message = 'Login link is invalid. Please try again.') {
+    super(message, 400, code);
+  }
+}
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import logger from './logger.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -18,9 +19,11 @@ if (JWT_SECRET.length < 32) {
   throw new Error(errorMsg);
 }
 
-export const generateToken = (payload) => {
+// Every token gets a jti so it can be revoked before it expires
+export const generateToken = (payload, { expiresIn = JWT_EXPIRE } = {}) => {
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRE,
+    expiresIn,
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -0,0 +1,118 @@
+import { jest, describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import {
+  createOAuthState,
+  verifyOAuthState,
+  OAUTH_INTENTS,
+  OAUTH_STATE_TTL_MS,
+} from '../../src/services/discordAuthService.js';
+import { OAuthStateError, ValidationError } from '../../src/utils/errors.js';
+
+const decodePayload = (state) => JSON.parse(Buffer.from(state.split('.')[0], 'base64url').toString('utf8'));
+const encodePayload = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const expectStateError = (fn, code) => {
+  let error;
+  try {
+    fn();
+  } catch (err) {
+    error = err;
+  }
+
+  expect(error).toBeInstanceOf(OAuthStateError);
+  expect(error.code).toBe(code);
+};
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-jwt-secret';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createOAuthState', () => {
+  it('defaults to the join intent with no return path', () => {
+    const { state, nonce } = createOAuthState();
+
+    expect(verifyOAuthState(state, nonce)).toEqual({ intent: 'join', returnTo: null });
+  });
+
+  it.each(OAUTH_INTENTS)('accepts the %s intent', (intent) => {
+    const { state, nonce } = createOAuthState({ intent, returnTo: '/account?tab=billing' });
+
+    expect(verifyOAuthState(state, nonce)).toEqual({ intent, returnTo: '/account?tab=billing' });
+  });
+
+  it('issues a fresh nonce every time', () => {
+    expect(createOAuthState().nonce).not.toBe(createOAuthState().nonce);
+  });
+
+  it('rejects unknown intents', () => {
+    expect(() => createOAuthState({ intent: 'steal' })).toThrow(ValidationError);
+  });
+
+  it.each([
+    'https://evil.example/phish',
+    '//evil.example/phish',
+    '/\\evil.example',
+    'account',
+    '/with space',
+    `/${'a'.repeat(512)}`,
+  ])('rejects %s as a return path', (returnTo) => {
+    expect(() => createOAuthState({ returnTo })).toThrow(ValidationError);
+  });
+});
+
+describe('verifyOAuthState', () => {
+  it.each([
+    ['missing', undefined],
+    ['empty', ''],
+    ['unsigned', 'eyJ9'],
+  ])('rejects a %s state', (label, state) => {
+    expectStateError(() => verifyOAuthState(state, 'nonce'), 'INVALID_STATE');
+  });
+
+  it('rejects a state whose payload was changed', () => {
+    const { state, nonce } = createOAuthState({ intent: 'join' });
+    const [, signature] = state.split('.');
+    const forged = encodePayload({ ...decodePayload(state), intent: 'admin' });
+
+    expectStateError(() => verifyOAuthState(`${forged}.${signature}`, nonce), 'INVALID_STATE');
+  });
+
+  it('rejects a state signed with another secret', () => {
+    const { state, nonce } = createOAuthState();
+    process.env.JWT_SECRET = 'rotated-secret';
+
+    try {
+      expectStateError(() => verifyOAuthState(state, nonce), 'INVALID_STATE');
+    } finally {
+      process.env.JWT_SECRET = 'test-jwt-secret';
+    }
+  });
+
+  it('rejects a missing or different nonce', () => {
+    const { state } = createOAuthState();
+
+    expectStateError(() => verifyOAuthState(state, undefined), 'INVALID_STATE');
+    expectStateError(() => verifyOAuthState(state, createOAuthState().nonce), 'INVALID_STATE');
+  });
+
+  it('accepts a state until it expires', () => {
+    const issuedAt = Date.now();
+    const { state, nonce } = createOAuthState();
+
+    jest.spyOn(Date, 'now').mockReturnValue(issuedAt + OAUTH_STATE_TTL_MS - 1000);
+
+    expect(verifyOAuthState(state, nonce).intent).toBe('join');
+  });
+
+  it('rejects an expired state', () => {
+    const issuedAt = Date.now();
+    const { state, nonce } = createOAuthState();
+
+    jest.spyOn(Date, 'now').mockReturnValue(issuedAt + OAUTH_STATE_TTL_MS + 1000);
+
+    expectStateError(() => verifyOAuthState(state, nonce), 'STATE_EXPIRED');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterAll } from '@jest/globals';
+import { encrypt, decrypt, isEncryptionConfigured } from '../../src/utils/encryption.js';
+
+const KEY = 'a1'.repeat(32);
+const OTHER_KEY = 'b2'.repeat(32);
+const originalKey = process.env.TOKEN_ENCRYPTION_KEY;
+
+beforeEach(() => {
+  process.env.TOKEN_ENCRYPTION_KEY = KEY;
+});
+
+afterAll(() => {
+  if (originalKey === undefined) {
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+  } else {
+    process.env.TOKEN_ENCRYPTION_KEY = originalKey;
+  }
+});
+
+const replacePart = (encrypted, index, value) => {
+  const parts = encrypted.split(':');
+  parts[index] = value;
+  return parts.join(':');
+};
+
+describe('encrypt / decrypt', () => {
+  it('round-trips a value', () => {
+    const token = 'discord-refresh-token.with:colons';
+
+    expect(decrypt(encrypt(token))).toBe(token);
+  });
+
+  it('round-trips unicode', () => {
+    expect(decrypt(encrypt('Triboar ⚔️ café'))).toBe('Triboar ⚔️ café');
+  });
+
+  it('writes v1:<iv>:<tag>:<ciphertext> without the plaintext', () => {
+    const encrypted = encrypt('secret-token');
+    const [version, iv, tag, ciphertext] = encrypted.split(':');
+
+    expect(version).toBe('v1');
+    expect(Buffer.from(iv, 'base64url')).toHaveLength(12);
+    expect(Buffer.from(tag, 'base64url')).toHaveLength(16);
+    expect(ciphertext).toBeTruthy();
+    expect(encrypted).not.toContain('secret-token');
+  });
+
+  it('uses a fresh IV for every value', () => {
+    expect(encrypt('same')).not.toBe(encrypt('same'));
+  });
+
+  it('rejects a tampered ciphertext', () => {
+    const encrypted = encrypt('secret-token');
+    const ciphertext = Buffer.from(encrypted.split(':')[3], 'base64url');
+    ciphertext[0] ^= 1;
+
+    expect(() => decrypt(replacePart(encrypted, 3, ciphertext.toString('base64url')))).toThrow();
+  });
+
+  it('rejects a tampered auth tag', () => {
+    const encrypted = encrypt('secret-token');
+
+    expect(() => decrypt(replacePart(encrypted, 2, Buffer.alloc(16).toString('base64url')))).toThrow();
+  });
+
+  it('cannot be read with a different key', () => {
+    const encrypted = encrypt('secret-token');
+    process.env.TOKEN_ENCRYPTION_KEY = OTHER_KEY;
+
+    expect(() => decrypt(encrypted)).toThrow();
+  });
+
+  it.each([
+    ['plaintext', 'secret-token'],
+    ['an unknown version', 'v2:aaaa:bbbb:cccc'],
+    ['a truncated value', 'v1:aaaa:bbbb'],
+  ])('rejects %s', (label, value) => {
+    expect(() => decrypt(value)).toThrow('Unrecognized encrypted value');
+  });
+});
+
+describe('key configuration', () => {
+  it('is configured with a 64 character hex key', () => {
+    expect(isEncryptionConfigured()).toBe(true);
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['too short', 'a1'.repeat(16)],
+    ['not hex', 'zz'.repeat(32)],
+  ])('is not configured when the key is %s', (label, key) => {
+    if (key === undefined) {
+      delete process.env.TOKEN_ENCRYPTION_KEY;
+    } else {
+      process.env.TOKEN_ENCRYPTION_KEY = key;
+    }
+
+    expect(isEncryptionConfigured()).toBe(false);
+    expect(() => encrypt('secret-token')).toThrow('TOKEN_ENCRYPTION_KEY must be 64 hex characters');
+  });
+});
@@ -0,0 +1,233 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { computeMembership, refreshMembership } from '../../src/services/entitlementService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-01T12:00:00Z');
+
+const daysFromNow = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+let nextId = 1;
+
+const entitlement = (source, startDays, endDays, extra = {}) => ({
+  id: `ent-${nextId++}`,
+  source,
+  starts_at: daysFromNow(startDays),
+  ends_at: endDays === null ? null : daysFromNow(endDays),
+  duration_days: null,
+  revoked_at: null,
+  created_at: daysFromNow(startDays),
+  ...extra,
+});
+
+const gift = (startDays, days, extra = {}) => entitlement('gift', startDays, startDays + days, { duration_days: days, ...extra });
+
+describe('computeMembership', () => {
+  it('is inactive with no entitlements', () => {
+    expect(computeMembership([], NOW)).toEqual({ active: false, lifetime: false, expiresAt: null });
+  });
+
+  it('covers until the end of the range that includes now', () => {
+    const rows = [entitlement('stripe', -10, 20)];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: true, lifetime: false, expiresAt: daysFromNow(20) });
+  });
+
+  it('chains back-to-back and overlapping ranges', () => {
+    const rows = [
+      entitlement('stripe', -10, 20),
+      gift(20, 30),
+      entitlement('manual_comp', 40, 90),
+    ];
+
+    expect(computeMembership(rows, NOW).expiresAt).toEqual(daysFromNow(90));
+  });
+
+  it('does not chain across a gap', () => {
+    const rows = [
+      entitlement('stripe', -10, 20),
+      gift(25, 30),
+    ];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: true, lifetime: false, expiresAt: daysFromNow(20) });
+  });
+
+  it('does not depend on the order of the rows', () => {
+    const rows = [
+      gift(50, 10),
+      entitlement('stripe', -10, 20),
+      gift(20, 30),
+    ];
+
+    expect(computeMembership(rows, NOW).expiresAt).toEqual(daysFromNow(60));
+  });
+
+  it('reports the most recent expiry once nothing covers now', () => {
+    const rows = [
+      entitlement('stripe', -60, -30),
+      gift(-30, 20),
+    ];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: false, lifetime: false, expiresAt: daysFromNow(-10) });
+  });
+
+  it('is inactive when the only time starts in the future', () => {
+    const rows = [gift(5, 30)];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: false, lifetime: false, expiresAt: daysFromNow(35) });
+  });
+
+  it('treats a started lifetime grant as lifetime with no expiry', () => {
+    const rows = [
+      entitlement('stripe', -10, 20),
+      entitlement('lifetime', -1, null),
+    ];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: true, lifetime: true, expiresAt: null });
+  });
+
+  it('ignores a lifetime grant that has not started yet', () => {
+    const rows = [entitlement('lifetime', 1, null)];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: false, lifetime: false, expiresAt: null });
+  });
+
+  it('ignores revoked rows', () => {
+    const rows = [
+      entitlement('stripe', -10, 20, { revoked_at: daysFromNow(-1) }),
+      entitlement('lifetime', -5, null, { revoked_at: daysFromNow(-1) }),
+      gift(-5, 10),
+    ];
+
+    expect(computeMembership(rows, NOW)).toEqual({ active: true, lifetime: false, expiresAt: daysFromNow(5) });
+  });
+});
+
+/**
+ * Stands in for a pg client: serves the ledger rows and records the entitlement updates
+ */
+const fakeClient = (rows) => {
+  const updates = [];
+
+  return {
+    updates,
+    query: async (text, params) => {
+      if (text.includes('FROM membership_entitlements')) {
+        return { rows: rows.filter(row => !row.revoked_at) };
+      }
+
+      if (text.startsWith('UPDATE membership_entitlements')) {
+        const [startsAt, endsAt, id] = params;
+        updates.push({ id, startsAt, endsAt });
+        return { rows: [{ ...rows.find(row => row.id === id), starts_at: startsAt, ends_at: endsAt }] };
+      }
+
+      if (text.includes('UPDATE users')) {
+        return { rows: [{ tier: 'paid', discord_id: '123', expiry_changed: false }] };
+      }
+
+      throw new Error(`Unexpected query: ${text}`);
+    },
+  };
+};
+
+describe('refreshMembership restacking', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'setInterval', 'queueMicrotask'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('moves pending gift time behind a Stripe renewal', async () => {
+    // The gift was stacked after the period ending in 20 days; the renewal now runs to 50
+    const pending = gift(20, 30);
+    const client = fakeClient([
+      entitlement('stripe', -10, 20),
+      entitlement('stripe', 20, 50),
+      pending,
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([{ id: pending.id, startsAt: daysFromNow(50), endsAt: daysFromNow(80) }]);
+    expect(membership).toEqual({ active: true, lifetime: false, expiresAt: daysFromNow(80) });
+  });
+
+  it('pulls pending gift time forward to now once Stripe time is revoked', async () => {
+    const pending = gift(20, 30);
+    const client = fakeClient([
+      entitlement('stripe', -10, 20, { revoked_at: daysFromNow(-1) }),
+      pending,
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([{ id: pending.id, startsAt: NOW, endsAt: daysFromNow(30) }]);
+    expect(membership.expiresAt).toEqual(daysFromNow(30));
+  });
+
+  it('restacks several pending grants in the order they were granted', async () => {
+    const first = gift(20, 30, { created_at: daysFromNow(-5) });
+    const second = entitlement('manual_comp', 50, 60, { duration_days: 10, created_at: daysFromNow(-2) });
+    const client = fakeClient([
+      entitlement('stripe', -10, 40),
+      second,
+      first,
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([
+      { id: first.id, startsAt: daysFromNow(40), endsAt: daysFromNow(70) },
+      { id: second.id, startsAt: daysFromNow(70), endsAt: daysFromNow(80) },
+    ]);
+    expect(membership.expiresAt).toEqual(daysFromNow(80));
+  });
+
+  it('leaves grants alone when they already start where coverage ends', async () => {
+    const client = fakeClient([
+      entitlement('stripe', -10, 20),
+      gift(20, 30),
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([]);
+    expect(membership.expiresAt).toEqual(daysFromNow(50));
+  });
+
+  it('does not restack gifts that already started', async () => {
+    const client = fakeClient([
+      gift(-5, 30),
+      entitlement('stripe', -10, 40),
+    ]);
+
+    await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([]);
+  });
+
+  it('never moves Stripe periods', async () => {
+    const client = fakeClient([
+      entitlement('stripe', 10, 40),
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([]);
+    expect(membership.active).toBe(false);
+  });
+
+  it('does not restack behind a lifetime grant', async () => {
+    const client = fakeClient([
+      entitlement('lifetime', -10, null),
+      gift(20, 30),
+    ]);
+
+    const membership = await refreshMembership('user-1', { client });
+
+    expect(client.updates).toEqual([]);
+    expect(membership).toEqual({ active: true, lifetime: true, expiresAt: null });
+  });
+});
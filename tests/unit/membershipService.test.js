@@ -0,0 +1,248 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+/**
+ * Stands in for a pg client: one users row, refund overrides by subscription, and every query seen
+ */
+const fakeClient = ({ user, revokedSubscriptionIds = [] }) => {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (text, params = []) => {
+      queries.push({ text, params });
+
+      if (text.startsWith('SELECT * FROM users WHERE id = $1 FOR UPDATE')) {
+        return { rows: user ? [user] : [] };
+      }
+
+      if (text.includes('FROM admin_overrides')) {
+        return { rows: revokedSubscriptionIds.includes(params[0]) ? [{ '?column?': 1 }] : [] };
+      }
+
+      if (text.startsWith('UPDATE grace_period SET retain_role = false')) {
+        return { rows: [], rowCount: user?.retainRole ? 1 : 0 };
+      }
+
+      return { rows: [], rowCount: 1 };
+    },
+  };
+};
+
+let client;
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: (...args) => client.query(...args),
+  withTransaction: (fn) => fn(client),
+}));
+
+jest.unstable_mockModule('../../src/services/webhookService.js', () => ({
+  queueWebhook: jest.fn(async (db, type) => `webhook-${type}`),
+  deliverQueuedWebhook: jest.fn(async () => true),
+}));
+
+jest.unstable_mockModule('../../src/services/auditLogService.js', () => ({
+  logEvent: jest.fn(async () => null),
+}));
+
+const membershipService = await import('../../src/services/membershipService.js');
+const webhookService = await import('../../src/services/webhookService.js');
+const { InvalidStateTransitionError, NotFoundError } = await import('../../src/utils/errors.js');
+
+const {
+  STATES,
+  canTransition,
+  defaultWebhookEvent,
+  stateForStripeStatus,
+  stateForStripeSubscription,
+  transition,
+  applyStripeStatus,
+} = membershipService;
+
+const user = (tier, extra = {}) => ({ id: 'user-1', discord_id: '123', tier, ...extra });
+
+const queriesMatching = (pattern) => client.queries.filter(({ text }) => text.includes(pattern));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('canTransition', () => {
+  const ALLOWED = {
+    free: ['trialing', 'paid'],
+    trialing: ['paid', 'past_due', 'grace', 'free', 'paused'],
+    paid: ['past_due', 'grace', 'free', 'paused'],
+    past_due: ['paid', 'grace', 'free'],
+    grace: ['paid', 'past_due', 'free'],
+    paused: ['paid', 'past_due', 'grace', 'free'],
+  };
+
+  const pairs = STATES.flatMap(from => STATES.map(to => [from, to]));
+
+  it.each(pairs)('%s -> %s follows the transition table', (from, to) => {
+    expect(canTransition(from, to)).toBe(from === to || ALLOWED[from].includes(to));
+  });
+
+  it('rejects unknown states', () => {
+    expect(canTransition('vip', 'paid')).toBe(false);
+    expect(canTransition('free', 'vip')).toBe(false);
+  });
+});
+
+describe('defaultWebhookEvent', () => {
+  it.each([
+    ['paid', 'paused', 'membership.paused'],
+    ['trialing', 'paused', 'membership.paused'],
+    ['paused', 'paid', 'membership.resumed'],
+    ['paused', 'past_due', 'membership.resumed'],
+    ['paid', 'grace', 'grace_period.started'],
+    ['paused', 'grace', 'grace_period.started'],
+    ['grace', 'free', 'grace_period.expired'],
+    ['paid', 'free', 'membership.revoked'],
+    ['paused', 'free', 'membership.revoked'],
+    ['grace', 'paid', 'subscription.renewed'],
+    ['free', 'paid', 'subscription.activated'],
+    ['free', 'trialing', 'subscription.activated'],
+    ['trialing', 'paid', 'subscription.activated'],
+  ])('%s -> %s sends %s', (from, to, event) => {
+    expect(defaultWebhookEvent(from, to)).toBe(event);
+  });
+
+  it.each([
+    ['paid', 'past_due'],
+    ['past_due', 'paid'],
+    ['grace', 'past_due'],
+  ])('%s -> %s sends nothing (dunning sends its own events)', (from, to) => {
+    expect(defaultWebhookEvent(from, to)).toBeNull();
+  });
+});
+
+describe('stateForStripeSubscription', () => {
+  it.each([
+    ['trialing', 'trialing'],
+    ['active', 'paid'],
+    ['past_due', 'past_due'],
+    ['unpaid', 'grace'],
+    ['canceled', 'grace'],
+    ['paused', 'paused'],
+    ['incomplete', null],
+  ])('maps %s to %s', (status, state) => {
+    expect(stateForStripeStatus(status)).toBe(state);
+  });
+
+  it('treats an active subscription with collection paused as paused', () => {
+    expect(stateForStripeSubscription({ status: 'active', pause_collection: { behavior: 'void' } })).toBe('paused');
+    expect(stateForStripeSubscription({ status: 'canceled', pause_collection: { behavior: 'void' } })).toBe('grace');
+  });
+});
+
+describe('transition', () => {
+  it('moves the user, logs the change and queues the default event', async () => {
+    client = fakeClient({ user: user('free') });
+
+    const result = await transition('user-1', 'paid', { reason: 'Checkout', client });
+
+    expect(result).toMatchObject({ from: 'free', to: 'paid', changed: true, webhookEventId: 'webhook-subscription.activated' });
+    expect(queriesMatching('UPDATE users')[0].params).toEqual(['paid', null, 'user-1']);
+    expect(queriesMatching('INSERT INTO membership_changes')[0].params).toEqual(['user-1', '123', 'free', 'paid', 'Checkout']);
+    expect(queriesMatching('DELETE FROM grace_period')).toHaveLength(1);
+    expect(webhookService.queueWebhook).toHaveBeenCalledWith(client, 'subscription.activated', expect.objectContaining({ from: 'free', to: 'paid' }));
+  });
+
+  it('starts a grace period, without the role when asked', async () => {
+    client = fakeClient({ user: user('paid') });
+
+    await transition('user-1', 'grace', { retainRole: false, client });
+
+    const [, , graceEndsAt, retainRole] = queriesMatching('INSERT INTO grace_period')[0].params;
+    expect(graceEndsAt.getTime()).toBeGreaterThan(Date.now());
+    expect(retainRole).toBe(false);
+  });
+
+  it('rejects transitions the table does not allow', async () => {
+    client = fakeClient({ user: user('free') });
+
+    await expect(transition('user-1', 'grace', { client })).rejects.toThrow(InvalidStateTransitionError);
+    expect(queriesMatching('UPDATE users')).toHaveLength(0);
+  });
+
+  it('rejects unknown states and missing users', async () => {
+    client = fakeClient({ user: null });
+
+    await expect(transition('user-1', 'vip', { client })).rejects.toThrow(InvalidStateTransitionError);
+    await expect(transition('user-1', 'paid', { client })).rejects.toThrow(NotFoundError);
+  });
+
+  it('is a no-op when the state does not change', async () => {
+    client = fakeClient({ user: user('paid') });
+
+    const result = await transition('user-1', 'paid', { client });
+
+    expect(result).toMatchObject({ changed: false, webhookEventId: null });
+    expect(queriesMatching('UPDATE users')).toHaveLength(0);
+    expect(webhookService.queueWebhook).not.toHaveBeenCalled();
+  });
+
+  it('drops the role when grace is re-entered without it, and logs that for delta lists', async () => {
+    client = fakeClient({ user: user('grace', { retainRole: true }) });
+
+    const result = await transition('user-1', 'grace', { retainRole: false, client });
+
+    expect(result.changed).toBe(false);
+    expect(queriesMatching('UPDATE grace_period SET retain_role = false')).toHaveLength(1);
+    expect(queriesMatching('INSERT INTO membership_changes')[0].params.slice(2, 4)).toEqual(['grace', 'grace']);
+  });
+
+  it('sends an explicit webhookEvent even without a change, and none when it is null', async () => {
+    client = fakeClient({ user: user('free') });
+    const revoked = await transition('user-1', 'free', { webhookEvent: 'membership.revoked', client });
+
+    client = fakeClient({ user: user('paid') });
+    const silent = await transition('user-1', 'free', { webhookEvent: null, client });
+
+    expect(revoked.webhookEventId).toBe('webhook-membership.revoked');
+    expect(silent).toMatchObject({ changed: true, webhookEventId: null });
+  });
+
+  it('delivers the queued event itself when it runs its own transaction', async () => {
+    client = fakeClient({ user: user('paid') });
+
+    const result = await transition('user-1', 'past_due');
+    await transition('user-1', 'paused');
+
+    expect(result).not.toHaveProperty('webhookEventId');
+    expect(webhookService.deliverQueuedWebhook).toHaveBeenCalledTimes(1);
+    expect(webhookService.deliverQueuedWebhook).toHaveBeenCalledWith('webhook-membership.paused');
+  });
+});
+
+describe('applyStripeStatus', () => {
+  const subscription = (status, extra = {}) => ({ id: 'sub_1', status, ...extra });
+
+  it('moves the user to the state for the subscription', async () => {
+    client = fakeClient({ user: user('past_due') });
+
+    const result = await applyStripeStatus(user('past_due'), subscription('active'));
+
+    expect(result).toMatchObject({ from: 'past_due', to: 'paid', changed: true });
+  });
+
+  it('skips statuses without a state', async () => {
+    client = fakeClient({ user: user('free') });
+
+    expect(await applyStripeStatus(user('free'), subscription('incomplete'))).toBeNull();
+    expect(client.queries).toHaveLength(0);
+  });
+
+  it('skips transitions the state machine does not allow instead of throwing', async () => {
+    client = fakeClient({ user: user('free') });
+
+    expect(await applyStripeStatus(user('free'), subscription('canceled'))).toBeNull();
+  });
+
+  it('ignores a subscription revoked by a refund or dispute', async () => {
+    client = fakeClient({ user: user('free'), revokedSubscriptionIds: ['sub_1'] });
+
+    expect(await applyStripeStatus(user('free'), subscription('active'))).toBeNull();
+    expect(queriesMatching('UPDATE users')).toHaveLength(0);
+  });
+});
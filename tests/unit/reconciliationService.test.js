@@ -0,0 +1,248 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW_SECONDS = Math.floor(Date.now() / 1000);
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: jest.fn(async () => ({ rows: [] })),
+  withTransaction: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../src/services/stripeService.js', () => ({
+  getSubscription: jest.fn(),
+  getCustomer: jest.fn(),
+  listSubscriptionsForPrice: jest.fn(async () => []),
+}));
+
+jest.unstable_mockModule('../../src/services/subscriptionService.js', () => ({
+  createOrUpdateSubscription: jest.fn(async () => null),
+  handleSubscriptionCanceled: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/auditLogService.js', () => ({
+  logEvent: jest.fn(async () => null),
+}));
+
+const { detectDrift, fixDrifts } = await import('../../src/services/reconciliationService.js');
+const { query } = await import('../../src/db/connection.js');
+const stripeService = await import('../../src/services/stripeService.js');
+const subscriptionService = await import('../../src/services/subscriptionService.js');
+
+const user = (extra = {}) => ({
+  id: 'user-1',
+  discord_id: '123',
+  stripe_customer_id: 'cus_1',
+  tier: 'paid',
+  subscription_end_date: null,
+  lifetime: false,
+  ...extra,
+});
+
+const stripeSubscription = (extra = {}) => ({
+  id: 'sub_1',
+  customer: 'cus_1',
+  status: 'active',
+  created: NOW_SECONDS - 30 * 24 * 60 * 60,
+  current_period_end: NOW_SECONDS + 10 * 24 * 60 * 60,
+  ...extra,
+});
+
+const localSubscription = (subscription, extra = {}) => ({
+  stripe_subscription_id: subscription.id,
+  user_id: 'user-1',
+  status: subscription.status,
+  current_period_end: new Date(subscription.current_period_end * 1000),
+  ...extra,
+});
+
+const byId = (items, key = 'id') => new Map(items.map(item => [item[key], item]));
+
+/**
+ * Local state with one user and the given local subscription rows
+ */
+const localState = ({ users = [user()], subscriptions = [], revokedSubscriptionIds = [], revokedUserIds = [] } = {}) => ({
+  usersByCustomer: byId(users, 'stripe_customer_id'),
+  subscriptionsById: byId(subscriptions, 'stripe_subscription_id'),
+  revokedSubscriptionIds: new Set(revokedSubscriptionIds),
+  revokedUserIds: new Set(revokedUserIds),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('detectDrift', () => {
+  it('finds nothing when Stripe and the database agree', async () => {
+    const subscription = stripeSubscription();
+
+    const drifts = await detectDrift(byId([subscription]), localState({ subscriptions: [localSubscription(subscription)] }));
+
+    expect(drifts).toEqual([]);
+  });
+
+  it('reports live subscriptions of unknown customers as orphans, but not ended ones', async () => {
+    const drifts = await detectDrift(byId([
+      stripeSubscription({ id: 'sub_live', customer: 'cus_unknown' }),
+      stripeSubscription({ id: 'sub_ended', customer: 'cus_unknown', status: 'canceled' }),
+    ]), localState());
+
+    expect(drifts).toEqual([expect.objectContaining({ type: 'orphan_customer', stripeSubscriptionId: 'sub_live', userId: null })]);
+  });
+
+  it('reports live subscriptions with no local row as missing', async () => {
+    const drifts = await detectDrift(byId([stripeSubscription()]), localState());
+
+    expect(drifts).toEqual([expect.objectContaining({ type: 'missing_locally', stripe: 'active', userId: 'user-1' })]);
+  });
+
+  it('reports a local status that differs from Stripe', async () => {
+    const subscription = stripeSubscription({ status: 'past_due' });
+
+    const drifts = await detectDrift(byId([subscription]), localState({
+      users: [user({ tier: 'past_due' })],
+      subscriptions: [localSubscription(subscription, { status: 'active' })],
+    }));
+
+    expect(drifts).toEqual([expect.objectContaining({
+      type: 'status_drift',
+      field: 'subscriptions.status',
+      local: 'active',
+      stripe: 'past_due',
+    })]);
+  });
+
+  it('reports period ends more than a minute apart', async () => {
+    const subscription = stripeSubscription();
+    const periodEnd = subscription.current_period_end * 1000;
+
+    const close = await detectDrift(byId([subscription]), localState({
+      subscriptions: [localSubscription(subscription, { current_period_end: new Date(periodEnd + 30 * 1000) })],
+    }));
+    const far = await detectDrift(byId([subscription]), localState({
+      subscriptions: [localSubscription(subscription, { current_period_end: new Date(periodEnd - DAY_MS) })],
+    }));
+
+    expect(close).toEqual([]);
+    expect(far).toEqual([expect.objectContaining({ type: 'period_end_drift', field: 'subscriptions.current_period_end' })]);
+  });
+
+  it('reports a member state that does not match the subscription', async () => {
+    const subscription = stripeSubscription();
+
+    const drifts = await detectDrift(byId([subscription]), localState({
+      users: [user({ tier: 'grace' })],
+      subscriptions: [localSubscription(subscription)],
+    }));
+
+    expect(drifts).toEqual([expect.objectContaining({ type: 'status_drift', field: 'users.tier', local: 'grace', expected: 'paid' })]);
+  });
+
+  it('judges the member state by the newest live subscription', async () => {
+    const old = stripeSubscription({ id: 'sub_old', status: 'canceled', created: NOW_SECONDS - 90 * 24 * 60 * 60 });
+    const current = stripeSubscription({ id: 'sub_new' });
+
+    const drifts = await detectDrift(byId([old, current]), localState({
+      subscriptions: [localSubscription(old), localSubscription(current)],
+    }));
+
+    expect(drifts).toEqual([]);
+  });
+
+  it('only reports a member of an ended subscription when nothing else covers them', async () => {
+    const subscription = stripeSubscription({ status: 'canceled' });
+    const local = [localSubscription(subscription)];
+
+    const uncovered = await detectDrift(byId([subscription]), localState({ subscriptions: local }));
+    const gifted = await detectDrift(byId([subscription]), localState({
+      users: [user({ subscription_end_date: new Date(Date.now() + 5 * DAY_MS) })],
+      subscriptions: local,
+    }));
+    const lifetime = await detectDrift(byId([subscription]), localState({ users: [user({ lifetime: true })], subscriptions: local }));
+    const alreadyGrace = await detectDrift(byId([subscription]), localState({ users: [user({ tier: 'grace' })], subscriptions: local }));
+
+    expect(uncovered).toEqual([expect.objectContaining({ field: 'users.tier', expected: 'grace' })]);
+    expect(gifted).toEqual([]);
+    expect(lifetime).toEqual([]);
+    expect(alreadyGrace).toEqual([]);
+  });
+
+  it('checks live local subscriptions Stripe did not list', async () => {
+    const canceled = stripeSubscription({ id: 'sub_gone', status: 'canceled' });
+    stripeService.getSubscription
+      .mockResolvedValueOnce(canceled)
+      .mockRejectedValueOnce(Object.assign(new Error('No such subscription'), { statusCode: 404 }));
+
+    const drifts = await detectDrift(new Map(), localState({
+      subscriptions: [
+        localSubscription(canceled, { status: 'active' }),
+        localSubscription(stripeSubscription({ id: 'sub_deleted' }), { status: 'trialing' }),
+        localSubscription(stripeSubscription({ id: 'sub_over' }), { status: 'canceled' }),
+      ],
+    }));
+
+    expect(drifts).toEqual([
+      expect.objectContaining({ type: 'status_drift', stripeSubscriptionId: 'sub_gone', local: 'active', stripe: 'canceled' }),
+      expect.objectContaining({ type: 'status_drift', stripeSubscriptionId: 'sub_deleted', local: 'trialing', stripe: 'missing' }),
+    ]);
+    expect(stripeService.getSubscription).toHaveBeenCalledTimes(2);
+  });
+
+  it('flags drift on subscriptions revoked by a refund or dispute', async () => {
+    const subscription = stripeSubscription();
+    const local = [localSubscription(subscription)];
+
+    const bySubscription = await detectDrift(byId([subscription]), localState({
+      users: [user({ tier: 'free' })],
+      subscriptions: local,
+      revokedSubscriptionIds: ['sub_1'],
+    }));
+    const byUser = await detectDrift(byId([subscription]), localState({
+      users: [user({ tier: 'free' })],
+      subscriptions: local,
+      revokedUserIds: ['user-1'],
+    }));
+    const other = await detectDrift(byId([subscription]), localState({
+      users: [user({ tier: 'free' })],
+      subscriptions: local,
+      revokedSubscriptionIds: ['sub_refunded_earlier'],
+    }));
+
+    expect(bySubscription).toEqual([expect.objectContaining({ field: 'users.tier', revoked: true })]);
+    expect(byUser).toEqual([expect.objectContaining({ field: 'users.tier', revoked: true })]);
+    expect(other[0]).not.toHaveProperty('revoked');
+  });
+});
+
+describe('fixDrifts', () => {
+  it('applies Stripe state, but leaves revoked drift for manual review', async () => {
+    const refunded = stripeSubscription({ id: 'sub_refunded', status: 'canceled' });
+    const ended = stripeSubscription({ id: 'sub_ended', customer: 'cus_2', status: 'canceled' });
+    query.mockResolvedValue({ rows: [user()] });
+
+    const drifts = [
+      { type: 'status_drift', stripeSubscriptionId: 'sub_refunded', userId: 'user-1', revoked: true, fixed: false },
+      { type: 'status_drift', stripeSubscriptionId: 'sub_ended', userId: 'user-2', fixed: false },
+    ];
+
+    const fixedCount = await fixDrifts(drifts, byId([refunded, ended]));
+
+    expect(fixedCount).toBe(1);
+    expect(drifts[0]).toMatchObject({ fixed: false, fixError: 'Revoked by a refund or dispute - needs manual review' });
+    expect(drifts[1]).toMatchObject({ fixed: true });
+    expect(subscriptionService.createOrUpdateSubscription).toHaveBeenCalledTimes(1);
+    expect(subscriptionService.handleSubscriptionCanceled).toHaveBeenCalledWith(ended);
+  });
+
+  it('syncs each subscription once, however many drifts it has', async () => {
+    const ended = stripeSubscription({ status: 'canceled' });
+    query.mockResolvedValue({ rows: [user()] });
+
+    const drifts = [
+      { type: 'status_drift', stripeSubscriptionId: 'sub_1', userId: 'user-1', fixed: false },
+      { type: 'period_end_drift', stripeSubscriptionId: 'sub_1', userId: 'user-1', fixed: false },
+    ];
+
+    expect(await fixDrifts(drifts, byId([ended]))).toBe(2);
+    expect(subscriptionService.handleSubscriptionCanceled).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,264 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const USER = { id: 'user-1', discord_id: '123', tier: 'paid', stripe_customer_id: 'cus_1' };
+
+/**
+ * Stands in for the database: the refunding user, their locked tier, refund overrides
+ * (alreadyRevoked = the event's override exists) and every query seen
+ */
+const fakeDb = ({ tier = 'paid', alreadyRevoked = false, disputeUserId = USER.id } = {}) => {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (text, params = []) => {
+      queries.push({ text, params });
+
+      if (text.includes('FROM users WHERE stripe_customer_id')) {
+        return { rows: [USER] };
+      }
+      if (text.includes('SELECT tier FROM users')) {
+        return { rows: [{ tier }] };
+      }
+      if (text.includes('INSERT INTO admin_overrides')) {
+        return { rows: alreadyRevoked ? [] : [{ id: 'override-1' }] };
+      }
+      if (text.includes('UPDATE payment_disputes')) {
+        return { rows: disputeUserId ? [{ user_id: disputeUserId }] : [] };
+      }
+      return { rows: [] };
+    },
+  };
+};
+
+let db;
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: (...args) => db.query(...args),
+  withTransaction: (fn) => fn(db),
+}));
+
+jest.unstable_mockModule('../../src/services/stripeService.js', () => ({
+  getCharge: jest.fn(),
+  getInvoice: jest.fn(async () => ({ id: 'in_1', subscription: 'sub_1' })),
+  getSubscription: jest.fn(),
+  cancelSubscription: jest.fn(async () => ({ id: 'sub_1', status: 'canceled' })),
+}));
+
+jest.unstable_mockModule('../../src/services/membershipService.js', () => ({
+  transition: jest.fn(async (userId, to) => ({ user: USER, to, changed: true, webhookEventId: `webhook-${to}` })),
+}));
+
+jest.unstable_mockModule('../../src/services/entitlementService.js', () => ({
+  revokeUserEntitlements: jest.fn(async () => ({ active: false, lifetime: false, expiresAt: null })),
+  reinstateUserEntitlements: jest.fn(async () => ({ active: true, lifetime: false, expiresAt: new Date('2026-12-01') })),
+}));
+
+jest.unstable_mockModule('../../src/services/giftService.js', () => ({
+  getGiftCodeByPaymentIntent: jest.fn(async () => null),
+  reverseGiftPurchase: jest.fn(async () => null),
+  reinstateGiftPurchase: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/discordRoleService.js', () => ({
+  syncRoles: jest.fn(async () => []),
+  grantMemberRoles: jest.fn(async () => ({ guildMembership: 'present', changes: [] })),
+}));
+
+jest.unstable_mockModule('../../src/services/auditLogService.js', () => ({
+  logEvent: jest.fn(async () => null),
+  logStripeEvent: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/webhookService.js', () => ({
+  deliverQueuedWebhook: jest.fn(async () => true),
+}));
+
+const { handleChargeRefunded, handleDisputeCreated, handleDisputeClosed } = await import('../../src/services/refundService.js');
+const stripeService = await import('../../src/services/stripeService.js');
+const membershipService = await import('../../src/services/membershipService.js');
+const entitlementService = await import('../../src/services/entitlementService.js');
+const giftService = await import('../../src/services/giftService.js');
+const discordRoleService = await import('../../src/services/discordRoleService.js');
+const webhookService = await import('../../src/services/webhookService.js');
+
+const charge = (extra = {}) => ({
+  id: 'ch_1',
+  customer: 'cus_1',
+  invoice: 'in_1',
+  payment_intent: 'pi_1',
+  amount: 1000,
+  amount_refunded: 1000,
+  ...extra,
+});
+
+const refundEvent = (extra) => ({ id: 'evt_refund', type: 'charge.refunded', data: { object: charge(extra) } });
+
+const dispute = (extra = {}) => ({
+  id: 'dp_1',
+  charge: 'ch_1',
+  payment_intent: 'pi_1',
+  amount: 1000,
+  currency: 'usd',
+  reason: 'fraudulent',
+  status: 'needs_response',
+  created: 1790000000,
+  ...extra,
+});
+
+const queriesMatching = (pattern) => db.queries.filter(({ text }) => text.includes(pattern));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.REFUND_MEMBERSHIP_ACTION;
+  delete process.env.DISPUTE_MEMBERSHIP_ACTION;
+  db = fakeDb();
+  stripeService.getSubscription.mockResolvedValue({ id: 'sub_1', status: 'active', metadata: {} });
+});
+
+describe('handleChargeRefunded', () => {
+  it('revokes Stripe time, moves the member to free and cancels the subscription on a full refund', async () => {
+    await handleChargeRefunded(refundEvent());
+
+    expect(entitlementService.revokeUserEntitlements).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      sources: ['stripe'],
+      revokedBy: 'stripe',
+      client: db,
+    }));
+    expect(membershipService.transition).toHaveBeenCalledWith('user-1', 'free', expect.objectContaining({
+      webhookEvent: 'membership.revoked',
+      retainRole: false,
+      client: db,
+    }));
+    expect(queriesMatching('INSERT INTO admin_overrides')[0].params.slice(4, 6)).toEqual(['evt_refund', 'sub_1']);
+    expect(webhookService.deliverQueuedWebhook).toHaveBeenCalledWith('webhook-free');
+    expect(stripeService.cancelSubscription).toHaveBeenCalledWith('sub_1');
+    expect(discordRoleService.syncRoles).toHaveBeenCalledWith('123', false);
+  });
+
+  it('uses REFUND_MEMBERSHIP_ACTION', async () => {
+    process.env.REFUND_MEMBERSHIP_ACTION = 'grace';
+
+    await handleChargeRefunded(refundEvent());
+
+    expect(membershipService.transition).toHaveBeenCalledWith('user-1', 'grace', expect.anything());
+  });
+
+  it('only records a partial refund', async () => {
+    await handleChargeRefunded(refundEvent({ amount_refunded: 400 }));
+
+    expect(membershipService.transition).not.toHaveBeenCalled();
+    expect(stripeService.cancelSubscription).not.toHaveBeenCalled();
+    expect(queriesMatching('INSERT INTO admin_overrides')).toHaveLength(0);
+  });
+
+  it('leaves membership alone for a refunded one-time charge', async () => {
+    await handleChargeRefunded(refundEvent({ invoice: null }));
+
+    expect(membershipService.transition).not.toHaveBeenCalled();
+    expect(stripeService.cancelSubscription).not.toHaveBeenCalled();
+  });
+
+  it('leaves membership alone when the refund was for a duplicate subscription', async () => {
+    stripeService.getSubscription.mockResolvedValueOnce({ id: 'sub_1', status: 'canceled', metadata: { duplicate_of: 'sub_0' } });
+
+    await handleChargeRefunded(refundEvent());
+
+    expect(membershipService.transition).not.toHaveBeenCalled();
+    expect(stripeService.cancelSubscription).not.toHaveBeenCalled();
+  });
+
+  it('does not revoke twice when the event is retried', async () => {
+    db = fakeDb({ alreadyRevoked: true });
+    stripeService.getSubscription.mockResolvedValue({ id: 'sub_1', status: 'canceled', metadata: {} });
+
+    await handleChargeRefunded(refundEvent());
+
+    expect(entitlementService.revokeUserEntitlements).not.toHaveBeenCalled();
+    expect(membershipService.transition).not.toHaveBeenCalled();
+    expect(stripeService.cancelSubscription).not.toHaveBeenCalled();
+    expect(discordRoleService.syncRoles).toHaveBeenCalledWith('123', false);
+  });
+
+  it('voids a refunded gift purchase instead of touching the buyer', async () => {
+    giftService.getGiftCodeByPaymentIntent.mockResolvedValueOnce({ id: 'gift-1', purchaser_user_id: 'user-1' });
+
+    await handleChargeRefunded(refundEvent({ invoice: null }));
+
+    expect(giftService.reverseGiftPurchase).toHaveBeenCalledWith({ id: 'gift-1', purchaser_user_id: 'user-1' }, expect.objectContaining({ revokedBy: 'stripe' }));
+    expect(membershipService.transition).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleDisputeCreated', () => {
+  beforeEach(() => {
+    stripeService.getCharge.mockResolvedValue(charge({ amount_refunded: 0 }));
+  });
+
+  it('records the dispute and revokes with the dispute tag', async () => {
+    process.env.DISPUTE_MEMBERSHIP_ACTION = 'grace';
+
+    await handleDisputeCreated({ id: 'evt_dispute', data: { object: dispute() } });
+
+    expect(queriesMatching('INSERT INTO payment_disputes')).toHaveLength(1);
+    expect(entitlementService.revokeUserEntitlements).toHaveBeenCalledWith('user-1', expect.objectContaining({ revokedBy: 'stripe:dp_1' }));
+    expect(membershipService.transition).toHaveBeenCalledWith('user-1', 'grace', expect.anything());
+    expect(stripeService.cancelSubscription).toHaveBeenCalledWith('sub_1');
+  });
+
+  it('does not tell RoleBot again about an already free member', async () => {
+    db = fakeDb({ tier: 'free' });
+
+    await handleDisputeCreated({ id: 'evt_dispute', data: { object: dispute() } });
+
+    expect(membershipService.transition).toHaveBeenCalledWith('user-1', 'free', expect.objectContaining({ webhookEvent: null }));
+  });
+});
+
+describe('handleDisputeClosed', () => {
+  const closedEvent = (status) => ({ id: 'evt_closed', data: { object: dispute({ status }) } });
+
+  it('ends the override and restores the revoked time when the dispute is won', async () => {
+    db = fakeDb({ tier: 'free' });
+
+    await handleDisputeClosed(closedEvent('won'));
+
+    expect(queriesMatching('UPDATE admin_overrides SET expires_at = NOW()')[0].params).toEqual(['user-1', 'dp_1']);
+    expect(entitlementService.reinstateUserEntitlements).toHaveBeenCalledWith('user-1', {
+      sources: ['stripe'],
+      revokedBy: 'stripe:dp_1',
+      client: db,
+    });
+    expect(membershipService.transition).toHaveBeenCalledWith('user-1', 'paid', expect.objectContaining({ reason: 'Dispute won' }));
+    expect(webhookService.deliverQueuedWebhook).toHaveBeenCalledWith('webhook-paid');
+    expect(discordRoleService.grantMemberRoles).toHaveBeenCalledWith(USER);
+  });
+
+  it('does not move a won dispute to paid once the restored time has run out', async () => {
+    db = fakeDb({ tier: 'free' });
+    entitlementService.reinstateUserEntitlements.mockResolvedValueOnce({ active: false, lifetime: false, expiresAt: new Date('2026-01-01') });
+
+    await handleDisputeClosed(closedEvent('won'));
+
+    expect(membershipService.transition).not.toHaveBeenCalled();
+    expect(discordRoleService.grantMemberRoles).not.toHaveBeenCalled();
+  });
+
+  it('only records a lost dispute', async () => {
+    await handleDisputeClosed(closedEvent('lost'));
+
+    expect(queriesMatching('UPDATE payment_disputes')[0].params).toEqual(['lost', 'dp_1']);
+    expect(queriesMatching('UPDATE admin_overrides')).toHaveLength(0);
+    expect(entitlementService.reinstateUserEntitlements).not.toHaveBeenCalled();
+    expect(membershipService.transition).not.toHaveBeenCalled();
+  });
+
+  it('restores a won gift purchase', async () => {
+    giftService.getGiftCodeByPaymentIntent.mockResolvedValueOnce({ id: 'gift-1', purchaser_user_id: 'user-1' });
+
+    await handleDisputeClosed(closedEvent('won'));
+
+    expect(giftService.reinstateGiftPurchase).toHaveBeenCalledWith(expect.objectContaining({ id: 'gift-1' }), { revokedBy: 'stripe:dp_1' });
+    expect(entitlementService.reinstateUserEntitlements).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,158 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const USER = { id: 'user-1', discord_id: '123', tier: 'free', stripe_customer_id: 'cus_1' };
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: jest.fn(async () => ({ rows: [USER] })),
+  withTransaction: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../src/services/stripeService.js', () => ({
+  getSubscription: jest.fn(),
+  findEarlierLiveSubscription: jest.fn(async () => null),
+  cancelDuplicateSubscription: jest.fn(async () => ({ refund: { id: 're_1' } })),
+}));
+
+jest.unstable_mockModule('../../src/services/subscriptionService.js', () => ({
+  createOrUpdateSubscription: jest.fn(async () => null),
+  handleSubscriptionActive: jest.fn(async () => null),
+  handleSubscriptionPastDue: jest.fn(async () => null),
+  handleSubscriptionCanceled: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/membershipService.js', () => ({
+  applyStripeStatus: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/discordRoleService.js', () => ({
+  grantMemberRoles: jest.fn(async () => ({ guildMembership: 'present', changes: [] })),
+}));
+
+jest.unstable_mockModule('../../src/services/auditLogService.js', () => ({
+  logStripeEvent: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/giftService.js', () => ({
+  fulfillGiftPurchase: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/pauseService.js', () => ({
+  syncPauseFromStripe: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/cancellationService.js', () => ({
+  recordCancellationDetails: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/planChangeService.js', () => ({
+  handlePriceChange: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/refundService.js', () => ({}));
+jest.unstable_mockModule('../../src/services/dunningService.js', () => ({}));
+jest.unstable_mockModule('../../src/services/webhookService.js', () => ({}));
+
+const { handleStripeEvent } = await import('../../src/services/stripeEventHandlers.js');
+const stripeService = await import('../../src/services/stripeService.js');
+const subscriptionService = await import('../../src/services/subscriptionService.js');
+const membershipService = await import('../../src/services/membershipService.js');
+const discordRoleService = await import('../../src/services/discordRoleService.js');
+const auditLogService = await import('../../src/services/auditLogService.js');
+
+const subscription = (id, extra = {}) => ({ id, customer: 'cus_1', status: 'active', created: 200, ...extra });
+
+const checkoutEvent = (session = {}) => ({
+  id: 'evt_checkout',
+  type: 'checkout.session.completed',
+  data: {
+    object: {
+      id: 'cs_1',
+      mode: 'subscription',
+      customer: 'cus_1',
+      subscription: 'sub_new',
+      metadata: { user_id: 'user-1' },
+      ...session,
+    },
+  },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('checkout.session.completed', () => {
+  it("activates the session's own subscription, not the customer's first", async () => {
+    const created = subscription('sub_new');
+    stripeService.getSubscription.mockResolvedValueOnce(created);
+
+    await handleStripeEvent(checkoutEvent());
+
+    expect(stripeService.getSubscription).toHaveBeenCalledWith('sub_new');
+    expect(subscriptionService.createOrUpdateSubscription).toHaveBeenCalledWith('user-1', created);
+    expect(membershipService.applyStripeStatus).toHaveBeenCalledWith(USER, created, { stripeEventId: 'evt_checkout' });
+    expect(discordRoleService.grantMemberRoles).toHaveBeenCalledWith(USER);
+  });
+
+  it('accepts an expanded session subscription', async () => {
+    stripeService.getSubscription.mockResolvedValueOnce(subscription('sub_new'));
+
+    await handleStripeEvent(checkoutEvent({ subscription: { id: 'sub_new' } }));
+
+    expect(stripeService.getSubscription).toHaveBeenCalledWith('sub_new');
+  });
+
+  it('cancels and refunds a duplicate instead of activating it', async () => {
+    const duplicate = subscription('sub_new');
+    stripeService.getSubscription.mockResolvedValueOnce(duplicate);
+    stripeService.findEarlierLiveSubscription.mockResolvedValueOnce(subscription('sub_old', { created: 100 }));
+
+    await handleStripeEvent(checkoutEvent());
+
+    expect(stripeService.cancelDuplicateSubscription).toHaveBeenCalledWith(duplicate, 'sub_old');
+    expect(subscriptionService.createOrUpdateSubscription).not.toHaveBeenCalled();
+    expect(membershipService.applyStripeStatus).not.toHaveBeenCalled();
+    expect(auditLogService.logStripeEvent).toHaveBeenCalledWith('evt_checkout', 'checkout.duplicate_subscription', expect.objectContaining({
+      subscriptionId: 'sub_new',
+      keptSubscriptionId: 'sub_old',
+      refundId: 're_1',
+    }), 'user-1');
+  });
+
+  it('does nothing for a session without a subscription', async () => {
+    await handleStripeEvent(checkoutEvent({ subscription: null }));
+
+    expect(stripeService.getSubscription).not.toHaveBeenCalled();
+    expect(subscriptionService.createOrUpdateSubscription).not.toHaveBeenCalled();
+  });
+});
+
+describe('customer.subscription.updated', () => {
+  const updatedEvent = (status, previousStatus) => ({
+    id: 'evt_updated',
+    type: 'customer.subscription.updated',
+    data: {
+      object: subscription('sub_1', { status }),
+      previous_attributes: { status: previousStatus },
+    },
+  });
+
+  it("applies Stripe's current copy, not the event's snapshot", async () => {
+    const current = subscription('sub_1', { status: 'canceled' });
+    stripeService.getSubscription.mockResolvedValueOnce(current);
+
+    await handleStripeEvent(updatedEvent('active', 'past_due'));
+
+    expect(stripeService.getSubscription).toHaveBeenCalledWith('sub_1');
+    expect(subscriptionService.createOrUpdateSubscription).toHaveBeenCalledWith('user-1', current);
+    expect(subscriptionService.handleSubscriptionActive).not.toHaveBeenCalled();
+  });
+
+  it('acts on the status change when the event is current', async () => {
+    const current = subscription('sub_1', { status: 'past_due' });
+    stripeService.getSubscription.mockResolvedValueOnce(current);
+
+    await handleStripeEvent(updatedEvent('past_due', 'active'));
+
+    expect(subscriptionService.handleSubscriptionPastDue).toHaveBeenCalledWith(current);
+  });
+});
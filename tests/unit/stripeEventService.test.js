@@ -0,0 +1,145 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const EVENT = { id: 'evt_1', type: 'invoice.payment_failed', data: { object: { customer: 'cus_1' } } };
+
+/**
+ * Stands in for the stripe_events inbox and dead-letter tables, recording every query seen
+ */
+const fakeDb = ({ status = 'pending', attempts = 0, deadLetter = null } = {}) => {
+  const inbox = { stripe_event_id: EVENT.id, event_type: EVENT.type, payload: EVENT, status, attempts, last_error: null };
+  const queries = [];
+
+  return {
+    inbox,
+    queries,
+    query: async (text, params = []) => {
+      queries.push({ text, params });
+
+      if (text.includes("SET status = 'processing'")) {
+        if (inbox.status === 'processed') {
+          return { rows: [] };
+        }
+        inbox.status = 'processing';
+        inbox.attempts += 1;
+        return { rows: [{ ...inbox }] };
+      }
+      if (text.includes("SET status = 'dead'")) {
+        inbox.status = 'dead';
+        inbox.last_error = params[0] ?? inbox.last_error;
+        return { rows: [{ ...inbox }] };
+      }
+      if (text.startsWith('SELECT status FROM stripe_events')) {
+        return { rows: [{ status: inbox.status }] };
+      }
+      if (text.includes('FROM stripe_event_dead_letters WHERE id')) {
+        return { rows: deadLetter ? [deadLetter] : [] };
+      }
+      return { rows: [] };
+    },
+  };
+};
+
+let db;
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: (...args) => db.query(...args),
+}));
+
+jest.unstable_mockModule('../../src/api/middleware/webhookAuth.js', () => ({
+  markWebhookProcessed: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/stripeEventHandlers.js', () => ({
+  handleStripeEvent: jest.fn(async () => null),
+}));
+
+jest.unstable_mockModule('../../src/services/auditLogService.js', () => ({
+  logEvent: jest.fn(async () => null),
+}));
+
+const { processEvent, moveToDeadLetter, prepareReplay } = await import('../../src/services/stripeEventService.js');
+const { handleStripeEvent } = await import('../../src/services/stripeEventHandlers.js');
+const { markWebhookProcessed } = await import('../../src/api/middleware/webhookAuth.js');
+const auditLogService = await import('../../src/services/auditLogService.js');
+const { NotFoundError, ConflictError } = await import('../../src/utils/errors.js');
+
+const queriesMatching = (pattern) => db.queries.filter(({ text }) => text.includes(pattern));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db = fakeDb();
+});
+
+describe('processEvent', () => {
+  it('claims the event, runs the handler and marks it processed', async () => {
+    expect(await processEvent('evt_1')).toEqual({ skipped: false });
+
+    expect(handleStripeEvent).toHaveBeenCalledWith(EVENT);
+    expect(queriesMatching("SET status = 'processed'")).toHaveLength(1);
+    expect(markWebhookProcessed).toHaveBeenCalledWith('evt_1', 'invoice.payment_failed');
+    expect(db.inbox.attempts).toBe(1);
+  });
+
+  it('skips an event that was already processed', async () => {
+    db = fakeDb({ status: 'processed' });
+
+    expect(await processEvent('evt_1')).toEqual({ skipped: true });
+    expect(handleStripeEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects an event that is not in the inbox', async () => {
+    db.query = async () => ({ rows: [] });
+
+    await expect(processEvent('evt_missing')).rejects.toThrow(NotFoundError);
+  });
+
+  it('marks a failed event and rethrows so the queue retries it', async () => {
+    handleStripeEvent.mockRejectedValueOnce(new Error('Stripe is down'));
+
+    await expect(processEvent('evt_1')).rejects.toThrow('Stripe is down');
+
+    expect(queriesMatching("SET status = 'failed'")[0].params).toEqual(['Stripe is down', 'evt_1']);
+    expect(markWebhookProcessed).not.toHaveBeenCalled();
+    expect(auditLogService.logEvent).toHaveBeenCalledWith(null, 'stripe.webhook_error', expect.objectContaining({ attempt: 1 }), expect.anything());
+  });
+});
+
+describe('moveToDeadLetter', () => {
+  it('marks the event dead and records it for replay', async () => {
+    db = fakeDb({ status: 'failed', attempts: 5 });
+
+    await moveToDeadLetter('evt_1', 'Stripe is down');
+
+    expect(db.inbox.status).toBe('dead');
+    expect(queriesMatching('INSERT INTO stripe_event_dead_letters')[0].params).toEqual(['evt_1', 'invoice.payment_failed', 5, 'Stripe is down']);
+    expect(auditLogService.logEvent).toHaveBeenCalledWith(null, 'stripe.webhook_dead_lettered', expect.anything(), expect.anything());
+  });
+
+  it('rejects an event that is not in the inbox', async () => {
+    db.query = async () => ({ rows: [] });
+
+    await expect(moveToDeadLetter('evt_missing', 'boom')).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('prepareReplay', () => {
+  it('resets the inbox event and marks the dead letter replayed', async () => {
+    db = fakeDb({ status: 'dead', attempts: 5, deadLetter: { id: 'dl-1', stripe_event_id: 'evt_1', replayed_at: null } });
+
+    await prepareReplay('dl-1', 'admin-1');
+
+    expect(queriesMatching("SET status = 'pending', attempts = 0")[0].params).toEqual(['evt_1']);
+    expect(queriesMatching('SET replayed_at = NOW()')[0].params).toEqual(['admin-1', 'dl-1']);
+  });
+
+  it('refuses to replay twice', async () => {
+    db = fakeDb({ deadLetter: { id: 'dl-1', stripe_event_id: 'evt_1', replayed_at: new Date() } });
+
+    await expect(prepareReplay('dl-1', 'admin-1')).rejects.toThrow(ConflictError);
+    expect(queriesMatching("SET status = 'pending'")).toHaveLength(0);
+  });
+
+  it('rejects an unknown dead letter', async () => {
+    await expect(prepareReplay('dl-missing', 'admin-1')).rejects.toThrow(NotFoundError);
+  });
+});
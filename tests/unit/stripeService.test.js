@@ -0,0 +1,133 @@
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+const stripe = {
+  subscriptions: {
+    list: jest.fn(),
+    update: jest.fn(async (id) => ({ id })),
+    cancel: jest.fn(async (id) => ({ id, status: 'canceled' })),
+  },
+  invoices: { retrieve: jest.fn() },
+  refunds: { create: jest.fn(async () => ({ id: 're_1' })) },
+  checkout: { sessions: { create: jest.fn(async () => ({ id: 'cs_1' })) } },
+};
+
+jest.unstable_mockModule('stripe', () => ({
+  default: jest.fn(() => stripe),
+}));
+
+jest.unstable_mockModule('../../src/db/connection.js', () => ({
+  query: jest.fn(async () => ({ rows: [{ stripe_customer_id: 'cus_1', email: 'member@example.com' }] })),
+}));
+
+jest.unstable_mockModule('../../src/services/planService.js', () => ({
+  getPlanByKey: jest.fn(async () => null),
+  getDefaultPlan: jest.fn(async () => ({ tier_key: 'standard', stripe_price_id: 'price_standard', is_active: true })),
+}));
+
+jest.unstable_mockModule('../../src/services/trialService.js', () => ({
+  TRIAL_DAYS: 0,
+  isTrialEligible: jest.fn(async () => false),
+}));
+
+const {
+  createCheckoutSession,
+  findEarlierLiveSubscription,
+  cancelDuplicateSubscription,
+} = await import('../../src/services/stripeService.js');
+const { ConflictError } = await import('../../src/utils/errors.js');
+
+const subscription = (id, created, status = 'active', extra = {}) => ({
+  id,
+  customer: 'cus_1',
+  created,
+  status,
+  latest_invoice: `in_${id}`,
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('createCheckoutSession', () => {
+  it('refuses a customer who already has a live subscription', async () => {
+    stripe.subscriptions.list.mockResolvedValueOnce({ data: [subscription('sub_1', 100, 'past_due')] });
+
+    await expect(createCheckoutSession('user-1', '123')).rejects.toThrow(ConflictError);
+    expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+  });
+
+  it('lets a customer whose subscriptions ended check out again', async () => {
+    stripe.subscriptions.list.mockResolvedValueOnce({ data: [subscription('sub_1', 100, 'canceled')] });
+
+    await createCheckoutSession('user-1', '123');
+
+    expect(stripe.checkout.sessions.create).toHaveBeenCalledWith(expect.objectContaining({ customer: 'cus_1', mode: 'subscription' }));
+  });
+});
+
+describe('findEarlierLiveSubscription', () => {
+  it('returns a live subscription created before this one', async () => {
+    const earlier = subscription('sub_a', 100);
+    stripe.subscriptions.list.mockResolvedValueOnce({ data: [subscription('sub_b', 200), earlier] });
+
+    expect(await findEarlierLiveSubscription(subscription('sub_b', 200))).toBe(earlier);
+  });
+
+  it('keeps the older subscription, so the older one has no earlier subscription', async () => {
+    stripe.subscriptions.list.mockResolvedValueOnce({ data: [subscription('sub_b', 200), subscription('sub_a', 100)] });
+
+    expect(await findEarlierLiveSubscription(subscription('sub_a', 100))).toBeNull();
+  });
+
+  it('breaks a tie on created by id, so both checkouts agree on which to keep', async () => {
+    const both = { data: [subscription('sub_a', 100), subscription('sub_b', 100)] };
+    stripe.subscriptions.list.mockResolvedValueOnce(both).mockResolvedValueOnce(both);
+
+    expect(await findEarlierLiveSubscription(subscription('sub_b', 100))).toMatchObject({ id: 'sub_a' });
+    expect(await findEarlierLiveSubscription(subscription('sub_a', 100))).toBeNull();
+  });
+
+  it('ignores subscriptions that no longer bill', async () => {
+    stripe.subscriptions.list.mockResolvedValueOnce({
+      data: [subscription('sub_a', 100, 'canceled'), subscription('sub_b', 150, 'incomplete_expired')],
+    });
+
+    expect(await findEarlierLiveSubscription(subscription('sub_c', 200))).toBeNull();
+  });
+});
+
+describe('cancelDuplicateSubscription', () => {
+  it('tags, cancels and refunds the duplicate', async () => {
+    stripe.invoices.retrieve.mockResolvedValueOnce({ id: 'in_sub_b', charge: 'ch_b', amount_paid: 1000 });
+
+    const { refund } = await cancelDuplicateSubscription(subscription('sub_b', 200), 'sub_a');
+
+    expect(stripe.subscriptions.update).toHaveBeenCalledWith('sub_b', { metadata: { duplicate_of: 'sub_a' } });
+    expect(stripe.subscriptions.cancel).toHaveBeenCalledWith('sub_b');
+    expect(stripe.refunds.create).toHaveBeenCalledWith(
+      { charge: 'ch_b', reason: 'duplicate', metadata: { duplicate_of: 'sub_a' } },
+      { idempotencyKey: 'duplicate-subscription-refund:sub_b' }
+    );
+    expect(refund).toEqual({ id: 're_1' });
+  });
+
+  it('does not refund a trial that charged nothing', async () => {
+    stripe.invoices.retrieve.mockResolvedValueOnce({ id: 'in_sub_b', charge: null, amount_paid: 0 });
+
+    const { refund } = await cancelDuplicateSubscription(subscription('sub_b', 200, 'trialing'), 'sub_a');
+
+    expect(stripe.subscriptions.cancel).toHaveBeenCalledWith('sub_b');
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect(refund).toBeNull();
+  });
+
+  it('only retries the refund once the duplicate is canceled', async () => {
+    stripe.invoices.retrieve.mockResolvedValueOnce({ id: 'in_sub_b', charge: 'ch_b', amount_paid: 1000 });
+
+    await cancelDuplicateSubscription(subscription('sub_b', 200, 'canceled'), 'sub_a');
+
+    expect(stripe.subscriptions.cancel).not.toHaveBeenCalled();
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.anything(), { idempotencyKey: 'duplicate-subscription-refund:sub_b' });
+  });
+});
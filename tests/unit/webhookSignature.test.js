@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { describe, it, expect } from '@jest/globals';
+import {
+  signPayload,
+  verifySignature,
+  constructEvent,
+  WebhookSignatureError,
+  DEFAULT_TOLERANCE_SECONDS,
+} from '../../src/sdk/webhookSignature.js';
+
+const SECRET = 'whsec_current';
+const OLD_SECRET = 'whsec_previous';
+const BODY = JSON.stringify({ id: 'evt-1', type: 'subscription.activated', data: { discordId: '123' } });
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+describe('signPayload', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+
+    expect(signPayload(BODY, SECRET, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('adds one v1 per secret while rotating', () => {
+    const header = signPayload(BODY, [SECRET, OLD_SECRET], 1700000000);
+
+    expect(header.split(',').filter(part => part.startsWith('v1='))).toHaveLength(2);
+  });
+});
+
+describe('verifySignature', () => {
+  it('accepts a fresh signature', () => {
+    expect(verifySignature(BODY, signPayload(BODY, SECRET), SECRET)).toBe(true);
+  });
+
+  it('accepts a Buffer body', () => {
+    expect(verifySignature(Buffer.from(BODY), signPayload(BODY, SECRET), SECRET)).toBe(true);
+  });
+
+  it('accepts either secret during a rotation', () => {
+    const header = signPayload(BODY, [SECRET, OLD_SECRET]);
+
+    expect(verifySignature(BODY, header, SECRET)).toBe(true);
+    expect(verifySignature(BODY, header, OLD_SECRET)).toBe(true);
+  });
+
+  it('rejects the wrong secret', () => {
+    expect(() => verifySignature(BODY, signPayload(BODY, SECRET), 'whsec_other')).toThrow(WebhookSignatureError);
+  });
+
+  it('rejects a modified body', () => {
+    const header = signPayload(BODY, SECRET);
+
+    expect(() => verifySignature(BODY.replace('123', '456'), header, SECRET)).toThrow('No signature matches');
+  });
+
+  it('rejects a signature whose timestamp was changed', () => {
+    const header = signPayload(BODY, SECRET).replace(/^t=(\d+)/, (match, t) => `t=${Number(t) - 1}`);
+
+    expect(() => verifySignature(BODY, header, SECRET)).toThrow('No signature matches');
+  });
+
+  it('rejects timestamps outside the tolerance window', () => {
+    const old = signPayload(BODY, SECRET, nowSeconds() - DEFAULT_TOLERANCE_SECONDS - 10);
+    const future = signPayload(BODY, SECRET, nowSeconds() + DEFAULT_TOLERANCE_SECONDS + 10);
+
+    expect(() => verifySignature(BODY, old, SECRET)).toThrow('tolerance');
+    expect(() => verifySignature(BODY, future, SECRET)).toThrow('tolerance');
+  });
+
+  it('accepts timestamps just inside the tolerance window', () => {
+    const header = signPayload(BODY, SECRET, nowSeconds() - DEFAULT_TOLERANCE_SECONDS + 5);
+
+    expect(verifySignature(BODY, header, SECRET)).toBe(true);
+  });
+
+  it('honours a custom tolerance, and 0 turns the check off', () => {
+    const header = signPayload(BODY, SECRET, nowSeconds() - 60);
+
+    expect(() => verifySignature(BODY, header, SECRET, { tolerance: 30 })).toThrow('tolerance');
+    expect(verifySignature(BODY, header, SECRET, { tolerance: 0 })).toBe(true);
+  });
+
+  it.each([
+    ['missing', undefined],
+    ['empty', ''],
+    ['without a timestamp', 'v1=abc'],
+    ['without a signature', `t=${nowSeconds()}`],
+    ['with a non-hex signature', `t=${nowSeconds()},v1=${'z'.repeat(64)}`],
+  ])('rejects a header that is %s', (label, header) => {
+    expect(() => verifySignature(BODY, header, SECRET)).toThrow('Missing or malformed');
+  });
+
+  it('ignores signature schemes it does not know', () => {
+    const header = `${signPayload(BODY, SECRET)},v0=${'a'.repeat(64)}`;
+
+    expect(verifySignature(BODY, header, SECRET)).toBe(true);
+  });
+
+  it('requires a secret', () => {
+    expect(() => verifySignature(BODY, signPayload(BODY, SECRET), '')).toThrow('No webhook secret configured');
+  });
+});
+
+describe('constructEvent', () => {
+  it('returns the parsed event once verified', () => {
+    const event = constructEvent(Buffer.from(BODY), signPayload(BODY, SECRET), SECRET);
+
+    expect(event).toEqual(JSON.parse(BODY));
+  });
+
+  it('throws instead of parsing an unverified body', () => {
+    expect(() => constructEvent(BODY, signPayload(BODY, OLD_SECRET), SECRET)).toThrow(WebhookSignatureError);
+  });
+});